@@ -0,0 +1,216 @@
+import { curveLookup } from './adjustments-gl.js';
+import { ToolParamsPanel } from './tool-params-panel.js';
+
+/**
+ * @typedef {import('./shader-tool.js').ShaderTool} ShaderTool
+ * @typedef {import('./tool-controller.js').ToolController} ToolController
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./rect.js').Point} Point
+ */
+
+// How close to a curve point a press has to be to grab it, in editor pixels.
+const CURVE_HIT_RADIUS = 6;
+
+/**
+ * Tunes an adjustment in a dialog while the document shows what it would do.  Apply commits
+ * it like a stroke; Cancel leaves the document alone.  Adjustments that take a path, like
+ * curves, get a curve to shape, whose points go in the stroke's path.
+ */
+export class AdjustmentDialog {
+  /**
+   * @param {HTMLDialogElement} dialog A dialog laid out like `#adjustmentDialog`.
+   * @param {ToolController} controller
+   * @param {ShaderTool[]} tools Every adjustment the dialog can open.
+   */
+  constructor(dialog, controller, tools) {
+    if (!dialog) {
+      throw new Error("Dialog element not provided for AdjustmentDialog.");
+    }
+    this.dialog = dialog;
+    this.controller = controller;
+    this.title = /** @type {HTMLElement} */ (dialog.querySelector('.adjustment-title'));
+    this.paramsPanel = new ToolParamsPanel(
+      /** @type {HTMLElement} */ (dialog.querySelector('.adjustment-params')), tools, () => this.#preview());
+    this.curveEditor = /** @type {HTMLCanvasElement} */ (dialog.querySelector('.curve-editor'));
+    /** @type {ShaderTool | null} */
+    this.tool = null;
+    /** Input along x and output along y, from 0 to 255. @type {Point[]} */
+    this.curvePoints = [];
+    /** @type {Point | null} */
+    this.draggedPoint = null;
+
+    dialog.querySelector('.reset-adjustment')?.addEventListener('click', () => this.#reset());
+    this.curveEditor.addEventListener('pointerdown', (e) => this.#onCurvePointerDown(e));
+    this.curveEditor.addEventListener('pointermove', (e) => this.#onCurvePointerMove(e));
+    this.curveEditor.addEventListener('pointerup', () => { this.draggedPoint = null; });
+    this.curveEditor.addEventListener('dblclick', (e) => this.#onCurveDoubleClick(e));
+  }
+
+  /**
+   * Shows the dialog and previews the adjustment until it closes.
+   * @param {string} name
+   * @param {ShaderTool} tool
+   * @returns {Promise<boolean>} Whether the adjustment was applied.
+   */
+  open(name, tool) {
+    this.tool = tool;
+    this.title.textContent = name;
+    this.paramsPanel.show(tool);
+    this.curveEditor.hidden = !tool.pathFunction;
+    this.curvePoints = [{ x: 0, y: 0 }, { x: 255, y: 255 }];
+    this.#drawCurve();
+    this.#preview();
+
+    return new Promise((resolve) => {
+      this.dialog.addEventListener('close', () => {
+        let applied = this.dialog.returnValue === 'ok';
+        if (applied) {
+          try {
+            this.controller.applyPreview();
+          } catch (error) {
+            this.controller.cancelPreview();
+            applied = false;
+            alert(`Could not apply the adjustment: ${error.message}`);
+          }
+        } else {
+          this.controller.cancelPreview();
+        }
+        this.tool = null;
+        resolve(applied);
+      }, { once: true });
+      this.dialog.returnValue = '';
+      this.dialog.showModal();
+    });
+  }
+
+  #reset() {
+    const tool = this.tool;
+    if (!tool) return;
+    for (const param of tool.params) {
+      tool.setParam(param.name, param.default);
+    }
+    this.paramsPanel.show(tool);
+    this.curvePoints = [{ x: 0, y: 0 }, { x: 255, y: 255 }];
+    this.#drawCurve();
+    this.#preview();
+  }
+
+  #preview() {
+    const tool = this.tool;
+    if (!tool) return;
+    const origin = { x: 0, y: 0 };
+    /** @type {StrokeRecord} */
+    const stroke = {
+      tool: tool.id,
+      start: { ...origin },
+      mid: { ...origin },
+      end: { ...origin },
+      pressure: 1,
+      tilt: { x: 0, y: 0 },
+      width: this.controller.width,
+      height: this.controller.height,
+      timestamp: Date.now(),
+      params: { ...tool.paramValues },
+    };
+    if (tool.pathFunction) {
+      // Relative to the stroke's start, which is the origin.
+      stroke.path = this.curvePoints.map((p) => ({ ...p, pressure: 1 }));
+    }
+    this.controller.previewStroke(tool, stroke);
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @returns {Point} Where the event is on the curve, from 0 to 255 with output going up.
+   */
+  #curvePoint(e) {
+    const rect = this.curveEditor.getBoundingClientRect();
+    /** @param {number} value */
+    const clamp = (value) => Math.min(Math.max(Math.round(value), 0), 255);
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width * 255),
+      y: clamp((1 - (e.clientY - rect.top) / rect.height) * 255),
+    };
+  }
+
+  /**
+   * @param {Point} point
+   * @returns {Point | undefined} The curve point under it.
+   */
+  #hitPoint(point) {
+    const scale = this.curveEditor.getBoundingClientRect().width / 255;
+    return this.curvePoints.find((p) => Math.hypot(p.x - point.x, p.y - point.y) * scale <= CURVE_HIT_RADIUS);
+  }
+
+  /** @param {PointerEvent} e */
+  #onCurvePointerDown(e) {
+    const point = this.#curvePoint(e);
+    this.draggedPoint = this.#hitPoint(point) ?? null;
+    if (!this.draggedPoint) {
+      this.draggedPoint = point;
+      this.curvePoints.push(point);
+    }
+    this.curveEditor.setPointerCapture(e.pointerId);
+    this.#drawCurve();
+    this.#preview();
+  }
+
+  /** @param {PointerEvent} e */
+  #onCurvePointerMove(e) {
+    if (!this.draggedPoint) return;
+    Object.assign(this.draggedPoint, this.#curvePoint(e));
+    this.#drawCurve();
+    this.#preview();
+  }
+
+  /** @param {MouseEvent} e Removes the point under it, as long as two are left. */
+  #onCurveDoubleClick(e) {
+    const hit = this.#hitPoint(this.#curvePoint(e));
+    if (!hit || this.curvePoints.length <= 2) return;
+    this.curvePoints.splice(this.curvePoints.indexOf(hit), 1);
+    this.#drawCurve();
+    this.#preview();
+  }
+
+  #drawCurve() {
+    const canvas = this.curveEditor;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    const { width, height } = canvas;
+    /** @param {Point} p */
+    const toCanvas = (p) => ({ x: p.x / 255 * width, y: (1 - p.y / 255) * height });
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 4; i++) {
+      ctx.moveTo(i * width / 4, 0);
+      ctx.lineTo(i * width / 4, height);
+      ctx.moveTo(0, i * height / 4);
+      ctx.lineTo(width, i * height / 4);
+    }
+    ctx.moveTo(0, height);
+    ctx.lineTo(width, 0);
+    ctx.stroke();
+
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    curveLookup(this.curvePoints).forEach((output, input) => {
+      const p = toCanvas({ x: input, y: output * 255 });
+      if (input === 0) {
+        ctx.moveTo(p.x, p.y);
+      } else {
+        ctx.lineTo(p.x, p.y);
+      }
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = '#4299e1';
+    for (const point of this.curvePoints) {
+      const p = toCanvas(point);
+      ctx.fillRect(p.x - 4, p.y - 4, 8, 8);
+    }
+  }
+}
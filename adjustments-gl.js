@@ -0,0 +1,279 @@
+// @ts-check
+
+import { ShaderTool } from './shader-tool.js';
+
+/**
+ * @typedef {import('./shader-tool.js').ToolParam} ToolParam
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ * @typedef {import('./rect.js').Point} Point
+ */
+
+// The curves adjustment looks its curve up in a table this long.
+const CURVE_SAMPLES = 256;
+
+/**
+ * An adjustment changes each pixel on its own, over the whole layer or the selection.
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} id
+ * @param {string} adjustSource GLSL declaring its uniforms and defining
+ *   `vec3 adjust(vec3 color)`.  Alpha is left alone.
+ * @param {ToolParam[]} params
+ * @param {(stroke: StrokeRecord) => PathPoint[]} [path]
+ * @returns {ShaderTool}
+ */
+function createAdjustmentTool(gl, id, adjustSource, params, path) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+
+out vec4 fragColor;
+${adjustSource}
+void main() {
+    vec4 color = texture(u_texture, gl_FragCoord.xy / u_resolution);
+    fragColor = vec4(adjust(color.rgb), color.a);
+}
+`;
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id,
+    params,
+    footprint: (stroke) => ({ x: 0, y: 0, width: stroke.width, height: stroke.height }),
+    reach: () => 0,
+    ...(path ? { path } : {}),
+  });
+}
+
+/**
+ * Maps the input range onto the output range, with a gamma for the midtones.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createLevelsTool(gl) {
+  return createAdjustmentTool(gl, 'levels', `
+uniform float u_inputBlack;
+uniform float u_inputWhite;
+uniform float u_gamma;
+uniform float u_outputBlack;
+uniform float u_outputWhite;
+
+vec3 adjust(vec3 color) {
+    vec3 t = clamp((color * 255.0 - u_inputBlack) / max(u_inputWhite - u_inputBlack, 1.0), 0.0, 1.0);
+    t = pow(t, vec3(1.0 / u_gamma));
+    return mix(vec3(u_outputBlack), vec3(u_outputWhite), t) / 255.0;
+}
+`, [
+    { name: 'inputBlack', label: 'Input black', type: 'float', default: 0, min: 0, max: 255, step: 1 },
+    { name: 'inputWhite', label: 'Input white', type: 'float', default: 255, min: 0, max: 255, step: 1 },
+    { name: 'gamma', label: 'Gamma', type: 'float', default: 1, min: 0.1, max: 10, step: 0.01 },
+    { name: 'outputBlack', label: 'Output black', type: 'float', default: 0, min: 0, max: 255, step: 1 },
+    { name: 'outputWhite', label: 'Output white', type: 'float', default: 255, min: 0, max: 255, step: 1 },
+  ]);
+}
+
+/**
+ * Maps each channel through a smooth curve through points the user places.  The stroke's
+ * path holds the points, input along x and output along y, from 0 to 255.  Like any path they
+ * are in document coordinates, so they are stored relative to the stroke's start.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createCurvesTool(gl) {
+  return createAdjustmentTool(gl, 'curves', `
+uniform highp sampler2D u_path;
+// 0 adjusts all three channels, 1 red, 2 green and 3 blue.
+uniform int u_channel;
+
+float curve(float value) {
+    float x = clamp(value, 0.0, 1.0) * ${(CURVE_SAMPLES - 1).toFixed(1)};
+    int i = int(floor(x));
+    float below = texelFetch(u_path, ivec2(i, 0), 0).y;
+    float above = texelFetch(u_path, ivec2(min(i + 1, ${CURVE_SAMPLES - 1}), 0), 0).y;
+    return mix(below, above, fract(x));
+}
+
+vec3 adjust(vec3 color) {
+    vec3 curved = vec3(curve(color.r), curve(color.g), curve(color.b));
+    if (u_channel == 0) return curved;
+    return mix(color, curved, vec3(u_channel == 1, u_channel == 2, u_channel == 3));
+}
+`, [
+    {
+      name: 'channel', label: 'Channel', type: 'choice', default: 'rgb',
+      options: [{ value: 'rgb', label: 'RGB' }, { value: 'red', label: 'Red' }, { value: 'green', label: 'Green' }, { value: 'blue', label: 'Blue' }],
+    },
+  ], (stroke) => {
+    const points = (stroke.path ?? []).map((p) => ({ x: p.x - stroke.start.x, y: p.y - stroke.start.y }));
+    return curveLookup(points).map((y, x) => ({ x, y, pressure: 1 }));
+  });
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createBrightnessContrastTool(gl) {
+  return createAdjustmentTool(gl, 'brightness-contrast', `
+uniform float u_brightness;
+uniform float u_contrast;
+
+vec3 adjust(vec3 color) {
+    color += u_brightness / 100.0;
+    // Contrast pivots around middle gray.
+    float factor = u_contrast >= 0.0 ? 1.0 / max(1.0 - u_contrast / 100.0, 0.01) : 1.0 + u_contrast / 100.0;
+    return clamp((color - 0.5) * factor + 0.5, 0.0, 1.0);
+}
+`, [
+    { name: 'brightness', label: 'Brightness', type: 'float', default: 0, min: -100, max: 100, step: 1 },
+    { name: 'contrast', label: 'Contrast', type: 'float', default: 0, min: -100, max: 100, step: 1 },
+  ]);
+}
+
+/**
+ * Turns the hue and scales saturation and lightness, in HSL.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createHueSaturationTool(gl) {
+  return createAdjustmentTool(gl, 'hue-saturation', `
+uniform float u_hue;
+uniform float u_saturation;
+uniform float u_lightness;
+
+vec3 rgbToHsl(vec3 c) {
+    float high = max(c.r, max(c.g, c.b));
+    float low = min(c.r, min(c.g, c.b));
+    float l = 0.5 * (high + low);
+    float d = high - low;
+    if (d == 0.0) return vec3(0.0, 0.0, l);
+    float s = d / (1.0 - abs(2.0 * l - 1.0));
+    float h = high == c.r ? mod((c.g - c.b) / d, 6.0) : high == c.g ? (c.b - c.r) / d + 2.0 : (c.r - c.g) / d + 4.0;
+    return vec3(h / 6.0, s, l);
+}
+
+vec3 hslToRgb(vec3 hsl) {
+    vec3 k = mod(vec3(0.0, 8.0, 4.0) + hsl.x * 12.0, 12.0);
+    float a = hsl.y * min(hsl.z, 1.0 - hsl.z);
+    return hsl.z - a * clamp(min(k - 3.0, 9.0 - k), -1.0, 1.0);
+}
+
+vec3 adjust(vec3 color) {
+    vec3 hsl = rgbToHsl(clamp(color, 0.0, 1.0));
+    hsl.x = fract(hsl.x + u_hue / 360.0);
+    hsl.y = clamp(hsl.y * (1.0 + u_saturation / 100.0), 0.0, 1.0);
+    // Positive lightness moves toward white, negative toward black.
+    hsl.z = u_lightness >= 0.0 ? mix(hsl.z, 1.0, u_lightness / 100.0) : hsl.z * (1.0 + u_lightness / 100.0);
+    return hslToRgb(hsl);
+}
+`, [
+    { name: 'hue', label: 'Hue', type: 'float', default: 0, min: -180, max: 180, step: 1 },
+    { name: 'saturation', label: 'Saturation', type: 'float', default: 0, min: -100, max: 100, step: 1 },
+    { name: 'lightness', label: 'Lightness', type: 'float', default: 0, min: -100, max: 100, step: 1 },
+  ]);
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createInvertTool(gl) {
+  return createAdjustmentTool(gl, 'invert', `
+vec3 adjust(vec3 color) {
+    return 1.0 - clamp(color, 0.0, 1.0);
+}
+`, []);
+}
+
+/**
+ * Turns each pixel black or white by its luminance.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createThresholdTool(gl) {
+  return createAdjustmentTool(gl, 'threshold', `
+uniform float u_level;
+
+vec3 adjust(vec3 color) {
+    float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    return vec3(luminance * 255.0 >= u_level ? 1.0 : 0.0);
+}
+`, [
+    { name: 'level', label: 'Level', type: 'float', default: 128, min: 0, max: 255, step: 1 },
+  ]);
+}
+
+/**
+ * Cuts each channel down to a few evenly spaced values.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createPosterizeTool(gl) {
+  return createAdjustmentTool(gl, 'posterize', `
+uniform float u_levels;
+
+vec3 adjust(vec3 color) {
+    float steps = round(u_levels) - 1.0;
+    return floor(clamp(color, 0.0, 1.0) * steps + 0.5) / steps;
+}
+`, [
+    { name: 'levels', label: 'Levels', type: 'float', default: 4, min: 2, max: 32, step: 1 },
+  ]);
+}
+
+/**
+ * Fits a smooth curve through control points without overshooting, by monotone cubic
+ * (Fritsch–Carlson) interpolation, and samples it.  The ends are held flat.
+ * @param {Point[]} points Input along x and output along y, from 0 to 255, in any order.
+ *   With fewer than two points the curve is the identity.
+ * @returns {number[]} The output for each input from 0 to 255, from 0 to 1.
+ */
+export function curveLookup(points) {
+  const sorted = [...points]
+    .sort((a, b) => a.x - b.x)
+    .filter((p, i, all) => i === 0 || p.x > all[i - 1].x);
+  if (sorted.length < 2) {
+    return Array.from({ length: CURVE_SAMPLES }, (_, i) => i / (CURVE_SAMPLES - 1));
+  }
+
+  const n = sorted.length;
+  const slopes = sorted.slice(1).map((p, i) => (p.y - sorted[i].y) / (p.x - sorted[i].x));
+  const tangents = sorted.map((_, i) => {
+    if (i === 0) return slopes[0];
+    if (i === n - 1) return slopes[n - 2];
+    return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+  });
+  // Keep the tangents small enough that each piece stays monotone.
+  slopes.forEach((slope, i) => {
+    if (slope === 0) {
+      tangents[i] = tangents[i + 1] = 0;
+      return;
+    }
+    const a = tangents[i] / slope;
+    const b = tangents[i + 1] / slope;
+    const length = Math.hypot(a, b);
+    if (length > 3) {
+      tangents[i] = 3 * a / length * slope;
+      tangents[i + 1] = 3 * b / length * slope;
+    }
+  });
+
+  return Array.from({ length: CURVE_SAMPLES }, (_, x) => {
+    let y;
+    if (x <= sorted[0].x) {
+      y = sorted[0].y;
+    } else if (x >= sorted[n - 1].x) {
+      y = sorted[n - 1].y;
+    } else {
+      let i = 0;
+      while (sorted[i + 1].x < x) i++;
+      const h = sorted[i + 1].x - sorted[i].x;
+      const t = (x - sorted[i].x) / h;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      y = (2 * t3 - 3 * t2 + 1) * sorted[i].y + (t3 - 2 * t2 + t) * h * tangents[i] +
+        (-2 * t3 + 3 * t2) * sorted[i + 1].y + (t3 - t2) * h * tangents[i + 1];
+    }
+    return Math.min(Math.max(y / 255, 0), 1);
+  });
+}
@@ -1,7 +1,17 @@
 // @ts-check
 
+import { boundingRect } from './rect.js';
 import { ShaderTool } from './shader-tool.js';
 
+/**
+ * @typedef {import('./rect.js').Point} Point
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/**
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ */
+
 /**
  * @param {WebGL2RenderingContext} gl
  * @returns {ShaderTool}
@@ -9,12 +19,15 @@ import { ShaderTool } from './shader-tool.js';
 export function createArcTool(gl) {
   const fragmentShaderSource = `#version 300 es
 
-precision mediump float;
+precision highp float;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform vec2 u_start;
 uniform vec2 u_end;
 uniform vec2 u_mid;
+// The ink fades out this far from the circle, in pixels.
+uniform float u_width;
+uniform vec3 u_color;
 
 out vec4 fragColor;
 
@@ -91,15 +104,61 @@ void main() {
 
     float distanceFromCircle = abs(length(p - center) - radius);
 
-    float alpha = 1.0 - smoothstep(0.0, 3.0, distanceFromCircle);
+    float alpha = 1.0 - smoothstep(0.0, u_width, distanceFromCircle);
     // Only draw the arc segment, not the full circle.
     // We check if the fragment 'p' is on the same side of the line 'start-end' as 'c'.
     if (cross_product(u_start, u_end, p) * cross_product(u_start, u_end, c) < 0.0) {
         alpha = 0.0;
     }
 
-    fragColor = mix(texture(u_texture, uv), vec4(0.0, 0.0, 0.0, 1.0), alpha);
+    fragColor = mix(texture(u_texture, uv), vec4(u_color, 1.0), alpha);
 }
     `;
-  return new ShaderTool(gl, fragmentShaderSource);
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'arc',
+    params: [
+      { name: 'width', label: 'Width', type: 'float', default: 3, min: 0.5, max: 20, step: 0.5 },
+      { name: 'color', label: 'Color', type: 'color', default: '#000000', follows: 'foreground' },
+    ],
+    footprint: arcFootprint,
+    reach: () => 0,
+  });
+}
+
+/**
+ * Bounds the arc from the stroke's start through its mid point to its end, the same arc the
+ * shader draws.
+ * @param {import('./stroke-log.js').StrokeRecord} stroke
+ * @param {ParamValues} params
+ * @returns {Rect} Empty when the shader draws nothing.
+ */
+function arcFootprint({ start, mid, end }, params) {
+  const empty = { x: 0, y: 0, width: 0, height: 0 };
+  const chord = { x: end.x - start.x, y: end.y - start.y };
+  const chordLength = Math.hypot(chord.x, chord.y);
+  if (chordLength < 1) return empty;
+  // Unit normal to the chord, pointing towards the mid point.
+  let normal = { x: -chord.y / chordLength, y: chord.x / chordLength };
+  const bulge = (mid.x - start.x) * normal.x + (mid.y - start.y) * normal.y;
+  if (Math.abs(bulge) < 1) return empty;
+  if (bulge < 0) normal = { x: -normal.x, y: -normal.y };
+
+  // The center lies on the chord's perpendicular bisector.  `offset` is how far it is from
+  // the chord towards the mid point.
+  const halfChord = chordLength / 2;
+  const height = Math.abs(bulge);
+  const along = ((mid.x - start.x) * chord.x + (mid.y - start.y) * chord.y) / chordLength - halfChord;
+  const offset = (along * along + height * height - halfChord * halfChord) / (2 * height);
+  const radius = Math.hypot(halfChord, offset);
+  const padding = Number(params.width) + 1;
+  if (offset > 0) {
+    // More than a half circle.
+    const center = { x: (start.x + end.x) / 2 + normal.x * offset, y: (start.y + end.y) / 2 + normal.y * offset };
+    return boundingRect([center], radius + padding);
+  }
+  // No more than a half circle, which stays within its chord swept out to its height.
+  const sagitta = radius + offset;
+  /** @param {Point} p */
+  const lift = (p) => ({ x: p.x + normal.x * sagitta, y: p.y + normal.y * sagitta });
+  return boundingRect([start, end, lift(start), lift(end)], padding);
 }
\ No newline at end of file
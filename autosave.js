@@ -0,0 +1,260 @@
+import { readProjectFile, writeProjectFile } from './project-file.js';
+
+/**
+ * What the recent-sessions list shows about a saved session.
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   modified: number,
+ *   thumbnail: Blob,
+ * }} SessionSummary
+ */
+
+const DB_NAME = 'last-draw';
+const DB_VERSION = 1;
+// Summaries are kept apart from the projects so listing sessions doesn't load every layer.
+const SUMMARY_STORE = 'sessions';
+const PROJECT_STORE = 'projects';
+const MAX_SESSIONS = 5;
+// Leave some of the origin's quota for everything else.
+const MAX_QUOTA_FRACTION = 0.8;
+const THUMBNAIL_SIZE = 128;
+
+/**
+ * Keeps recent sessions in IndexedDB, each as a project file and a thumbnail.  The oldest
+ * sessions are evicted to stay within MAX_SESSIONS and the storage quota.
+ */
+export class SessionStore {
+  /** @param {IDBDatabase} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<SessionStore>} */
+  static async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+      request.result.createObjectStore(PROJECT_STORE);
+    };
+    return new SessionStore(await promisify(request));
+  }
+
+  /**
+   * @returns {Promise<SessionSummary[]>} Most recently modified first.
+   */
+  async list() {
+    const store = this.db.transaction(SUMMARY_STORE).objectStore(SUMMARY_STORE);
+    /** @type {SessionSummary[]} */
+    const sessions = await promisify(store.getAll());
+    return sessions.sort((a, b) => b.modified - a.modified);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<import('./project-file.js').Project>}
+   */
+  async load(id) {
+    const store = this.db.transaction(PROJECT_STORE).objectStore(PROJECT_STORE);
+    const blob = await promisify(store.get(id));
+    if (!blob) throw new Error('That session is no longer saved.');
+    return readProjectFile(blob);
+  }
+
+  /**
+   * Saves a session, replacing any earlier save with the same id.
+   * @param {string} id
+   * @param {import('./project-file.js').Project} project
+   * @param {Blob} thumbnail
+   */
+  async save(id, project, thumbnail) {
+    const blob = await writeProjectFile(project);
+    /** @type {SessionSummary} */
+    const summary = { id, title: project.metadata.title, modified: project.metadata.modified, thumbnail };
+    for (; ;) {
+      try {
+        await this.#put(summary, blob);
+        break;
+      } catch (error) {
+        // Make room by dropping the oldest other session, until only this one is left.
+        if (!isQuotaError(error) || !(await this.#evictOldest(id))) throw error;
+      }
+    }
+    await this.#evict(id);
+  }
+
+  /** @param {string} id */
+  async delete(id) {
+    const transaction = this.db.transaction([SUMMARY_STORE, PROJECT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).delete(id);
+    transaction.objectStore(PROJECT_STORE).delete(id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * @param {SessionSummary} summary
+   * @param {Blob} blob
+   */
+  async #put(summary, blob) {
+    const transaction = this.db.transaction([SUMMARY_STORE, PROJECT_STORE], 'readwrite');
+    transaction.objectStore(SUMMARY_STORE).put(summary);
+    transaction.objectStore(PROJECT_STORE).put(blob, summary.id);
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Drops old sessions beyond MAX_SESSIONS, then more while storage is nearly full.
+   * @param {string} keepId The session that was just saved.
+   */
+  async #evict(keepId) {
+    const sessions = await this.list();
+    for (const session of sessions.slice(MAX_SESSIONS)) {
+      await this.delete(session.id);
+    }
+    if (!navigator.storage?.estimate) return;
+    for (; ;) {
+      const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+      if (usage <= quota * MAX_QUOTA_FRACTION || !(await this.#evictOldest(keepId))) return;
+    }
+  }
+
+  /**
+   * @param {string} keepId
+   * @returns {Promise<boolean>} False if there was nothing else to evict.
+   */
+  async #evictOldest(keepId) {
+    const oldest = (await this.list()).reverse().find((session) => session.id !== keepId);
+    if (!oldest) return false;
+    await this.delete(oldest.id);
+    return true;
+  }
+}
+
+/**
+ * Saves the document to a SessionStore shortly after it changes, at most once per interval.
+ * Saving reads every layer back from the GPU, so a burst of strokes is saved once at the end.
+ */
+export class Autosaver {
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  #timer = null;
+  #lastSave = 0;
+  /** @type {Promise<void>} */
+  #saving = Promise.resolve();
+  // A save that came due during a drag or region edit, waiting for the next change.
+  #deferred = false;
+
+  /**
+   * @param {import('./tool-controller.js').ToolController} controller
+   * @param {SessionStore} store
+   * @param {() => import('./project-file.js').Project} getProject Collects what to save.
+   * @param {number} [interval] Milliseconds between saves.
+   */
+  constructor(controller, store, getProject, interval = 5000) {
+    this.controller = controller;
+    this.store = store;
+    this.getProject = getProject;
+    this.interval = interval;
+    /** Saves overwrite earlier ones with the same id, so each session is one entry. */
+    this.sessionId = crypto.randomUUID();
+    controller.addEventListener('documentchange', () => this.schedule());
+    // A tab being hidden may be about to close, so don't wait for the timer.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && (this.#timer !== null || this.#deferred)) {
+        this.flush();
+      }
+    });
+  }
+
+  schedule() {
+    this.#deferred = false;
+    if (this.#timer !== null) return;
+    const delay = Math.max(0, this.#lastSave + this.interval - Date.now());
+    this.#timer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Saves now if a save is pending.
+   * @returns {Promise<void>} Settles once the save is written.
+   */
+  flush() {
+    if (this.#timer === null && !this.#deferred) return this.#saving;
+    if (this.#timer !== null) clearTimeout(this.#timer);
+    this.#timer = null;
+    // Regions are sub-documents; the session is saved once the region is merged or discarded.
+    // Both that and the end of a drag change the document, which schedules the save again.
+    if (this.controller.isEditingRegion || this.controller.isDragging) {
+      this.#deferred = true;
+      return this.#saving;
+    }
+    this.#deferred = false;
+    this.#lastSave = Date.now();
+    /** @type {import('./project-file.js').Project} */
+    let project;
+    /** @type {Uint8Array} */
+    let pixels;
+    try {
+      project = this.getProject();
+      pixels = this.controller.readDocumentPixels();
+    } catch (error) {
+      console.error("Autosave failed:", error);
+      return this.#saving;
+    }
+    const { width, height } = project.document;
+    this.#saving = this.#saving
+      .then(async () => this.store.save(this.sessionId, project, await encodeThumbnail(pixels, width, height)))
+      .catch((error) => console.error("Autosave failed:", error));
+    return this.#saving;
+  }
+}
+
+/**
+ * @param {Uint8Array} pixels RGBA, bottom row first.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Blob>} A PNG no larger than THUMBNAIL_SIZE on either side.
+ */
+async function encodeThumbnail(pixels, width, height) {
+  const full = new OffscreenCanvas(width, height);
+  full.getContext('2d')?.putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer), width, height), 0, 0);
+  const scale = Math.min(1, THUMBNAIL_SIZE / width, THUMBNAIL_SIZE / height);
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Unable to create 2D context.');
+  // The pixels are bottom row first, so draw them upside down.
+  ctx.translate(0, canvas.height);
+  ctx.scale(1, -1);
+  ctx.drawImage(full, 0, 0, canvas.width, canvas.height);
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+  return error instanceof DOMException && error.name === 'QuotaExceededError';
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,122 @@
+// @ts-check
+
+import { boundingRect } from './rect.js';
+import { BINNED_PATH_GLSL, ShaderTool } from './shader-tool.js';
+import { binPath, clipPath, resamplePath, smoothPath } from './stroke-path.js';
+
+/**
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ */
+
+// The drag is resampled this far apart, in pixels, before it is smoothed.
+const PATH_SPACING = 2;
+// Full smoothing averages this many resampled points on each side.
+const MAX_SMOOTHING = 8;
+
+/**
+ * A freehand brush that draws along the whole drag.  Pen pressure scales the tip, which can
+ * be flattened and turned for a calligraphic line.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createBrushTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_size;
+uniform float u_hardness;
+uniform float u_opacity;
+uniform float u_roundness;
+uniform float u_angle;
+uniform float u_pressureSize;
+uniform vec3 u_color;
+
+out vec4 fragColor;
+${BINNED_PATH_GLSL}
+float tipRadius(float pressure) {
+    return max(0.5 * u_size * mix(1.0, pressure, u_pressureSize), 0.5);
+}
+
+// How much of p the tip covers as it moves from a to b.  Offsets are taken into the tip's
+// frame, where it is round, so the distance to the segment can be compared to the radius.
+float segmentCoverage(vec2 p, vec3 a, vec3 b, mat2 toTip) {
+    vec2 pa = toTip * (p - a.xy);
+    vec2 ba = toTip * (b.xy - a.xy);
+    float length2 = dot(ba, ba);
+    float t = length2 > 0.0 ? clamp(dot(pa, ba) / length2, 0.0, 1.0) : 0.0;
+    float d = length(pa - ba * t);
+    float radius = tipRadius(mix(a.z, b.z, t));
+    // Hardness is how much of the radius is solid; the rest fades out.  The half pixel either
+    // side antialiases even the hardest tip.
+    return 1.0 - smoothstep(radius * u_hardness - 0.5, radius + 0.5, d);
+}
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 original = texture(u_texture, p / u_resolution);
+
+    // Turn offsets back by the tip's angle, then stretch its short axis to match the long one.
+    float angle = radians(u_angle);
+    mat2 unrotate = mat2(cos(angle), -sin(angle), sin(angle), cos(angle));
+    mat2 toTip = mat2(1.0, 0.0, 0.0, 1.0 / u_roundness) * unrotate;
+
+    // Only the segments near p can cover it.  A click without a drag is a segment with no
+    // length, which leaves a dot.
+    float coverage = 0.0;
+    ivec2 cell = pathCell(p);
+    for (int i = 0; i < cell.y && coverage < 1.0; i++) {
+        vec3 a = pathPoint(cell.x + 2 * i);
+        vec3 b = pathPoint(cell.x + 2 * i + 1);
+        coverage = max(coverage, segmentCoverage(p, a, b, toTip));
+    }
+
+    fragColor = mix(original, vec4(u_color, 1.0), coverage * u_opacity);
+}
+`;
+
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'brush',
+    params: [
+      { name: 'size', label: 'Size', type: 'float', default: 6, min: 1, max: 200, step: 1 },
+      { name: 'hardness', label: 'Hardness', type: 'float', default: 0.8, min: 0, max: 1, step: 0.05 },
+      { name: 'opacity', label: 'Opacity', type: 'float', default: 1, min: 0, max: 1, step: 0.05 },
+      { name: 'roundness', label: 'Roundness', type: 'float', default: 1, min: 0.1, max: 1, step: 0.05 },
+      { name: 'angle', label: 'Angle', type: 'float', default: 0, min: 0, max: 180, step: 1, turns: true },
+      { name: 'pressureSize', label: 'Pressure → size', type: 'float', default: 1, min: 0, max: 1, step: 0.05 },
+      { name: 'smoothing', label: 'Smoothing', type: 'float', default: 0.5, min: 0, max: 1, step: 0.05 },
+      { name: 'color', label: 'Color', type: 'color', default: '#000000', follows: 'foreground' },
+    ],
+    footprint: (stroke, params) => boundingRect(brushPath(stroke, params), maxRadius(params) + 1),
+    reach: () => 0,
+    // Only the part of the path near the window can reach it, and each pixel only tests the
+    // segments near it.
+    path: (stroke, params) => binPath(clipPath(brushPath(stroke, params),
+      { x: 0, y: 0, width: stroke.width, height: stroke.height }, maxRadius(params) + 1),
+    stroke.width, stroke.height, maxRadius(params) + 1),
+  });
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @param {ParamValues} params
+ * @returns {PathPoint[]} The drag, evenly spaced and smoothed.
+ */
+function brushPath(stroke, params) {
+  const path = stroke.path ?? [
+    { ...stroke.start, pressure: stroke.pressure },
+    { ...stroke.end, pressure: stroke.pressure },
+  ];
+  return smoothPath(resamplePath(path, PATH_SPACING), Number(params.smoothing) * MAX_SMOOTHING);
+}
+
+/**
+ * @param {ParamValues} params
+ * @returns {number} The tip's radius at full pressure, which is as large as it gets.
+ */
+function maxRadius(params) {
+  return Math.max(0.5 * Number(params.size), 0.5);
+}
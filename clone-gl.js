@@ -0,0 +1,232 @@
+// @ts-check
+
+import { boundingRect } from './rect.js';
+import { BINNED_PATH_GLSL, ShaderTool } from './shader-tool.js';
+import { binPath, clipPath, resamplePath } from './stroke-path.js';
+
+/**
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./shader-tool.js').ToolParam} ToolParam
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ * @typedef {import('./rect.js').Point} Point
+ */
+
+// The drag is resampled this far apart, in pixels.
+const PATH_SPACING = 2;
+
+// Each healed pixel looks for the edge of the painted area along this many rays, taking up
+// to this many steps along each.  Steps are a sixteenth of the brush size, so the rays reach
+// four brush widths.
+const HEAL_RAYS = 16;
+const HEAL_STEPS = 64;
+
+// How much of a pixel a round tip dragged along the path covers.  The path is binned, so
+// only the segments near the pixel are tested.
+const COVERAGE_GLSL = `
+uniform float u_size;
+uniform float u_hardness;
+${BINNED_PATH_GLSL}
+float pathCoverage(vec2 p) {
+    float nearest = 1e9;
+    ivec2 cell = pathCell(p);
+    for (int i = 0; i < cell.y; i++) {
+        vec2 a = pathPoint(cell.x + 2 * i).xy;
+        vec2 b = pathPoint(cell.x + 2 * i + 1).xy;
+        vec2 pa = p - a;
+        vec2 ba = b - a;
+        float length2 = dot(ba, ba);
+        float t = length2 > 0.0 ? clamp(dot(pa, ba) / length2, 0.0, 1.0) : 0.0;
+        nearest = min(nearest, length(pa - ba * t));
+    }
+    float radius = max(0.5 * u_size, 0.5);
+    return 1.0 - smoothstep(radius * u_hardness - 0.5, radius + 0.5, nearest);
+}
+`;
+
+/** @type {ToolParam[]} */
+const tipParams = [
+  { name: 'size', label: 'Size', type: 'float', default: 30, min: 1, max: 200, step: 1 },
+  { name: 'hardness', label: 'Hardness', type: 'float', default: 0.5, min: 0, max: 1, step: 0.05 },
+  {
+    name: 'aligned', label: 'Aligned', type: 'choice', default: 'on',
+    options: [{ value: 'on', label: 'On' }, { value: 'off', label: 'Off' }],
+  },
+];
+
+/**
+ * Paints over the layer with pixels copied from the source point, which is set by
+ * Alt-clicking.  Aligned, the source keeps its distance from the brush from one stroke to the
+ * next; otherwise every stroke starts copying at the source point again.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createCloneStampTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform vec2 u_start;
+uniform vec2 u_source;
+uniform float u_opacity;
+
+out vec4 fragColor;
+${COVERAGE_GLSL}
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 original = texture(u_texture, p / u_resolution);
+    vec4 copied = texture(u_texture, (p + u_source - u_start) / u_resolution);
+    fragColor = mix(original, copied, pathCoverage(p) * u_opacity);
+}
+`;
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'clone-stamp',
+    params: [
+      ...tipParams,
+      { name: 'opacity', label: 'Opacity', type: 'float', default: 1, min: 0, max: 1, step: 0.05 },
+    ],
+    footprint: (stroke, params) => boundingRect(clonePath(stroke), 0.5 * Number(params.size) + 1),
+    // One more for the linear filtering.
+    reach: (stroke) => sourceDistance(stroke) + 1,
+    path: (stroke, params) => tipPath(stroke, params),
+    source: alignedSource(),
+  });
+}
+
+/**
+ * Copies from the source point like the clone stamp, but keeps the lighting and color of
+ * where it paints, so only the source's texture comes across.  The difference between the
+ * layer and the copy is known around the painted area; inside, it is interpolated smoothly
+ * from the edge, as a Poisson blend would, with mean value coordinates: each pixel averages
+ * the edge differences it finds along a fan of rays, weighting nearer ones more.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createHealingBrushTool(gl) {
+  // The first pass finds what the brush covers, for the second to look for its edge.
+  const coverageSource = `#version 300 es
+
+precision highp float;
+
+out vec4 fragColor;
+${COVERAGE_GLSL}
+void main() {
+    fragColor = vec4(pathCoverage(gl_FragCoord.xy));
+}
+`;
+  const healSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform sampler2D u_original;
+uniform vec2 u_resolution;
+uniform vec2 u_start;
+uniform vec2 u_source;
+uniform float u_size;
+
+out vec4 fragColor;
+
+const int RAYS = ${HEAL_RAYS};
+const int STEPS = ${HEAL_STEPS};
+const float PI = 3.14159265359;
+
+float coverageAt(vec2 p) {
+    return texture(u_texture, p / u_resolution).r;
+}
+
+vec4 originalAt(vec2 p) {
+    return texture(u_original, p / u_resolution);
+}
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 original = originalAt(p);
+    float coverage = coverageAt(p);
+    if (coverage == 0.0) {
+        fragColor = original;
+        return;
+    }
+    vec2 offset = u_source - u_start;
+    vec4 copied = originalAt(p + offset);
+
+    float stepLength = max(1.0, u_size / 16.0);
+    vec3 sum = vec3(0.0);
+    float total = 0.0;
+    for (int ray = 0; ray < RAYS; ray++) {
+        float angle = (float(ray) + 0.5) * 2.0 * PI / float(RAYS);
+        vec2 direction = vec2(cos(angle), sin(angle));
+        for (int i = 1; i <= STEPS; i++) {
+            float travelled = float(i) * stepLength;
+            vec2 q = p + direction * travelled;
+            if (coverageAt(q) > 0.0) continue;
+            float w = 1.0 / travelled;
+            sum += w * (originalAt(q).rgb - originalAt(q + offset).rgb);
+            total += w;
+            break;
+        }
+    }
+    vec3 healed = copied.rgb + (total > 0.0 ? sum / total : vec3(0.0));
+    fragColor = mix(original, vec4(clamp(healed, 0.0, 1.0), copied.a), coverage);
+}
+`;
+  return new ShaderTool(gl, [coverageSource, healSource], {
+    id: 'healing-brush',
+    params: tipParams,
+    footprint: (stroke, params) => boundingRect(clonePath(stroke), 0.5 * Number(params.size) + 1),
+    // The rays, then the copy taken where they end.
+    reach: (stroke, params) =>
+      HEAL_STEPS * Math.max(1, Number(params.size) / 16) + sourceDistance(stroke) + 1,
+    path: (stroke, params) => tipPath(stroke, params),
+    source: alignedSource(),
+  });
+}
+
+/**
+ * Picks where each stroke copies from.  Aligned, the first stroke after the source point is
+ * set fixes the offset between them, and later strokes keep it.
+ * @returns {(start: Point, sourcePoint: Point, params: ParamValues) => Point}
+ */
+function alignedSource() {
+  /** @type {{sourcePoint: Point, offset: Point} | null} */
+  let alignment = null;
+  return (start, sourcePoint, params) => {
+    if (params.aligned !== 'on') return { ...sourcePoint };
+    if (alignment?.sourcePoint !== sourcePoint) {
+      alignment = { sourcePoint, offset: { x: sourcePoint.x - start.x, y: sourcePoint.y - start.y } };
+    }
+    return { x: start.x + alignment.offset.x, y: start.y + alignment.offset.y };
+  };
+}
+
+/**
+ * @param {StrokeRecord} stroke In the window's pixels.
+ * @param {ParamValues} params
+ * @returns {PathPoint[]} The drag near the window, binned for `COVERAGE_GLSL`.
+ */
+function tipPath(stroke, params) {
+  const margin = 0.5 * Number(params.size) + 1;
+  return binPath(clipPath(clonePath(stroke), { x: 0, y: 0, width: stroke.width, height: stroke.height }, margin),
+    stroke.width, stroke.height, margin);
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @returns {PathPoint[]} The drag, evenly spaced.
+ */
+function clonePath(stroke) {
+  const path = stroke.path ?? [
+    { ...stroke.start, pressure: stroke.pressure },
+    { ...stroke.end, pressure: stroke.pressure },
+  ];
+  return resamplePath(path, PATH_SPACING);
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @returns {number} How far the stroke copies from.
+ */
+function sourceDistance(stroke) {
+  const source = stroke.source ?? stroke.start;
+  return Math.hypot(source.x - stroke.start.x, source.y - stroke.start.y);
+}
@@ -0,0 +1,197 @@
+import { downloadBlob } from './image-export.js';
+import {
+  PALETTE_EXTENSIONS, extractPalette, readPaletteFile, serializeAse, serializeGpl,
+} from './palette.js';
+
+/**
+ * @typedef {import('./color-state.js').ColorState} ColorState
+ * @typedef {import('./palette.js').Palette} Palette
+ */
+
+// How many colors are pulled out of an image.
+const EXTRACTED_COLORS = 16;
+
+/**
+ * Shows the foreground and background colors and the swatch palette in the left rail.
+ * Clicking a swatch makes it the foreground color; Alt-clicking makes it the background.
+ * Right-clicking removes it.
+ */
+export class ColorPanel {
+  /**
+   * @param {HTMLElement} containerEl The element to build the panel in.
+   * @param {ColorState} colors
+   * @param {import('./tool-controller.js').ToolController} controller For pulling a palette
+   *   out of the document.
+   */
+  constructor(containerEl, colors, controller) {
+    if (!containerEl) {
+      throw new Error("Container element not provided for ColorPanel.");
+    }
+    this.container = containerEl;
+    this.colors = colors;
+    this.controller = controller;
+    this.setupUI();
+    this.colors.addEventListener('change', () => this.refresh());
+    this.refresh();
+  }
+
+  setupUI() {
+    this.container.classList.add('color-panel');
+
+    this.foregroundInput = document.createElement('input');
+    this.foregroundInput.type = 'color';
+    this.foregroundInput.title = 'Foreground color';
+    this.foregroundInput.addEventListener('input', () => this.colors.setForeground(this.foregroundInput.value));
+    this.backgroundInput = document.createElement('input');
+    this.backgroundInput.type = 'color';
+    this.backgroundInput.title = 'Background color';
+    this.backgroundInput.addEventListener('input', () => this.colors.setBackground(this.backgroundInput.value));
+
+    const current = document.createElement('div');
+    current.classList.add('color-current');
+    current.append(this.foregroundInput, this.backgroundInput,
+      this.#button('⇄', 'Swap foreground and background', () => this.colors.swap()),
+      this.#button('◐', 'Reset to black and white', () => this.colors.reset()));
+
+    this.sampleSelect = document.createElement('select');
+    this.sampleSelect.title = 'Eyedropper sample';
+    for (const [size, label] of [[1, 'Point sample'], [3, '3 × 3 average'], [5, '5 × 5 average'], [11, '11 × 11 average']]) {
+      const option = document.createElement('option');
+      option.value = String(size);
+      option.textContent = String(label);
+      this.sampleSelect.appendChild(option);
+    }
+    this.sampleSelect.addEventListener('change', () => this.colors.setSampleSize(Number(this.sampleSelect.value)));
+
+    this.paletteName = document.createElement('div');
+    this.paletteName.classList.add('palette-name');
+    this.swatches = document.createElement('div');
+    this.swatches.classList.add('swatch-grid');
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = [...PALETTE_EXTENSIONS, 'image/*'].join(',');
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files?.[0];
+      importInput.value = '';
+      if (file) {
+        await this.#import(file);
+      }
+    });
+    const importLabel = document.createElement('label');
+    importLabel.append('Import palette ', importInput);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('palette-buttons');
+    buttons.append(
+      this.#button('+', 'Add the foreground color', () => this.colors.addSwatch(this.colors.foreground)),
+      this.#button('From image', 'Pull the palette out of the document', () => this.#extractFromDocument()),
+      this.#button('GPL', 'Export as a GIMP palette', () => this.#export('gpl')),
+      this.#button('ASE', 'Export as an Adobe swatch exchange file', () => this.#export('ase')));
+
+    this.container.append(current, this.sampleSelect, this.paletteName, this.swatches, buttons, importLabel);
+  }
+
+  refresh() {
+    this.foregroundInput.value = this.colors.foreground;
+    this.backgroundInput.value = this.colors.background;
+    this.sampleSelect.value = String(this.colors.sampleSize);
+    this.paletteName.textContent = this.colors.palette.name;
+    this.swatches.replaceChildren();
+    this.colors.palette.swatches.forEach(({ hex, name }, index) => {
+      const swatch = document.createElement('button');
+      swatch.classList.add('swatch');
+      swatch.style.backgroundColor = hex;
+      swatch.title = name ?? hex;
+      swatch.addEventListener('click', (e) => {
+        if (e.altKey) {
+          this.colors.setBackground(hex);
+        } else {
+          this.colors.setForeground(hex);
+        }
+      });
+      swatch.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        this.colors.removeSwatch(index);
+      });
+      this.swatches.appendChild(swatch);
+    });
+  }
+
+  /**
+   * Replaces the palette with the main colors of an image, such as a rendering in the chat.
+   * @param {CanvasImageSource} image
+   * @param {number} width
+   * @param {number} height
+   * @param {string} name The new palette's name.
+   */
+  extractFrom(image, width, height, name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Could not create a 2D canvas');
+    ctx.drawImage(image, 0, 0, width, height);
+    this.#setExtracted(ctx.getImageData(0, 0, width, height).data, name);
+  }
+
+  #extractFromDocument() {
+    this.#setExtracted(this.controller.readDocumentPixels(), 'From image');
+  }
+
+  /**
+   * @param {ArrayLike<number>} pixels RGBA.
+   * @param {string} name
+   */
+  #setExtracted(pixels, name) {
+    const colors = extractPalette(pixels, EXTRACTED_COLORS);
+    if (colors.length === 0) {
+      alert('The image has no opaque pixels to take colors from.');
+      return;
+    }
+    this.colors.setPalette({ name, swatches: colors.map((hex) => ({ hex })) });
+  }
+
+  /** @param {File} file A palette file, or an image to pull a palette out of. */
+  async #import(file) {
+    try {
+      if (file.type.startsWith('image/')) {
+        const bitmap = await createImageBitmap(file);
+        try {
+          this.extractFrom(bitmap, bitmap.width, bitmap.height, file.name.replace(/\.[^.]*$/, ''));
+        } finally {
+          bitmap.close();
+        }
+      } else {
+        this.colors.setPalette(await readPaletteFile(file));
+      }
+    } catch (error) {
+      console.error('Failed to import palette:', error);
+      alert(`Could not import palette: ${error.message}`);
+    }
+  }
+
+  /** @param {'gpl' | 'ase'} format */
+  #export(format) {
+    const palette = this.colors.palette;
+    const blob = format === 'gpl' ?
+      new Blob([serializeGpl(palette)], { type: 'text/plain' }) :
+      new Blob([serializeAse(palette)], { type: 'application/octet-stream' });
+    const base = (palette.name || 'palette').replace(/[^\w -]+/g, '_');
+    downloadBlob(blob, `${base}.${format}`);
+  }
+
+  /**
+   * @param {string} label
+   * @param {string} title
+   * @param {() => void} action
+   * @returns {HTMLButtonElement}
+   */
+  #button(label, title, action) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', action);
+    return button;
+  }
+}
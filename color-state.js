@@ -0,0 +1,125 @@
+/**
+ * @typedef {import('./palette.js').Palette} Palette
+ */
+
+const STORAGE_KEY = 'last-draw.colors';
+
+const DEFAULT_FOREGROUND = '#000000';
+const DEFAULT_BACKGROUND = '#ffffff';
+
+/** @type {Palette} */
+const DEFAULT_PALETTE = {
+  name: 'Default',
+  swatches: ['#000000', '#808080', '#ffffff', '#e53e3e', '#dd6b20', '#ecc94b', '#38a169', '#3182ce', '#805ad5', '#d53f8c']
+    .map((hex) => ({ hex })),
+};
+
+/** @param {unknown} value */
+const isHex = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+/**
+ * The foreground and background colors that color tools draw with, the swatches to pick
+ * them from and how wide an area the eyedropper averages.  All of them are remembered across
+ * visits.  Dispatches `change` whenever any of them changes.
+ */
+export class ColorState extends EventTarget {
+  foreground = DEFAULT_FOREGROUND;
+  background = DEFAULT_BACKGROUND;
+  /** @type {Palette} */
+  palette = DEFAULT_PALETTE;
+  /** The side of the square the eyedropper averages, in pixels. */
+  sampleSize = 1;
+
+  constructor() {
+    super();
+    this.#load();
+  }
+
+  /** @param {string} hex `#rrggbb`. */
+  setForeground(hex) {
+    if (!isHex(hex)) throw new Error(`Expected a color like #rrggbb, got ${hex}`);
+    this.foreground = hex.toLowerCase();
+    this.#changed();
+  }
+
+  /** @param {string} hex `#rrggbb`. */
+  setBackground(hex) {
+    if (!isHex(hex)) throw new Error(`Expected a color like #rrggbb, got ${hex}`);
+    this.background = hex.toLowerCase();
+    this.#changed();
+  }
+
+  swap() {
+    [this.foreground, this.background] = [this.background, this.foreground];
+    this.#changed();
+  }
+
+  /** Back to black on white. */
+  reset() {
+    this.foreground = DEFAULT_FOREGROUND;
+    this.background = DEFAULT_BACKGROUND;
+    this.#changed();
+  }
+
+  /** @param {number} size Odd, from 1. */
+  setSampleSize(size) {
+    if (!Number.isInteger(size) || size < 1 || size % 2 === 0) {
+      throw new Error(`Sample size must be an odd whole number, got ${size}`);
+    }
+    this.sampleSize = size;
+    this.#changed();
+  }
+
+  /** @param {Palette} palette */
+  setPalette(palette) {
+    const invalid = palette.swatches.find(({ hex }) => !isHex(hex));
+    if (invalid) throw new Error(`Expected a color like #rrggbb, got ${invalid.hex}`);
+    this.palette = { name: palette.name, swatches: palette.swatches.map((swatch) => ({ ...swatch })) };
+    this.#changed();
+  }
+
+  /**
+   * Adds a swatch to the end of the palette, unless it already has that color.
+   * @param {string} hex
+   */
+  addSwatch(hex) {
+    if (this.palette.swatches.some((swatch) => swatch.hex === hex)) return;
+    this.setPalette({ ...this.palette, swatches: [...this.palette.swatches, { hex }] });
+  }
+
+  /** @param {number} index */
+  removeSwatch(index) {
+    this.setPalette({ ...this.palette, swatches: this.palette.swatches.filter((_, i) => i !== index) });
+  }
+
+  #changed() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        foreground: this.foreground,
+        background: this.background,
+        palette: this.palette,
+        sampleSize: this.sampleSize,
+      }));
+    } catch (error) {
+      console.warn('Could not save colors:', error);
+    }
+    this.dispatchEvent(new Event('change'));
+  }
+
+  #load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+      if (isHex(saved?.foreground)) this.foreground = saved.foreground;
+      if (isHex(saved?.background)) this.background = saved.background;
+      if (Number.isInteger(saved?.sampleSize) && saved.sampleSize >= 1 && saved.sampleSize % 2 === 1) {
+        this.sampleSize = saved.sampleSize;
+      }
+      if (typeof saved?.palette?.name === 'string' && Array.isArray(saved.palette.swatches) &&
+        saved.palette.swatches.every((/** @type {any} */ swatch) => isHex(swatch?.hex))) {
+        this.palette = saved.palette;
+      }
+    } catch (error) {
+      console.warn('Could not load colors:', error);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+// @ts-check
+
+import { boundingRect } from './rect.js';
+import { BINNED_PATH_GLSL, ShaderTool } from './shader-tool.js';
+import { binPath, catmullRomToBezier, clipPath, flattenBezier } from './stroke-path.js';
+
+/**
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ * @typedef {'bezier' | 'catmull-rom'} CurveKind
+ */
+
+// Curves are flattened into segments about this long, in pixels.
+const FLATTEN_SPACING = 1;
+
+/**
+ * Draws the curve the curve tool built.  The stroke's path holds the curve's points: the
+ * control points of cubic Bézier segments (3n + 1 of them), or the points a Catmull-Rom
+ * spline passes through, depending on the `kind` param.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createCurveStrokeTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_width;
+uniform vec3 u_color;
+
+out vec4 fragColor;
+${BINNED_PATH_GLSL}
+float distanceToSegment(vec2 p, vec2 a, vec2 b) {
+    vec2 pa = p - a;
+    vec2 ba = b - a;
+    float length2 = dot(ba, ba);
+    float t = length2 > 0.0 ? clamp(dot(pa, ba) / length2, 0.0, 1.0) : 0.0;
+    return length(pa - ba * t);
+}
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 original = texture(u_texture, p / u_resolution);
+
+    // Only the segments near p are tested.
+    float d = 1e9;
+    ivec2 cell = pathCell(p);
+    for (int i = 0; i < cell.y; i++) {
+        d = min(d, distanceToSegment(p, pathPoint(cell.x + 2 * i).xy, pathPoint(cell.x + 2 * i + 1).xy));
+    }
+
+    float radius = 0.5 * u_width;
+    float alpha = 1.0 - smoothstep(radius - 0.5, radius + 0.5, d);
+    fragColor = mix(original, vec4(u_color, 1.0), alpha);
+}
+`;
+
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'curve',
+    params: [
+      { name: 'width', label: 'Width', type: 'float', default: 3, min: 0.5, max: 50, step: 0.5 },
+      { name: 'color', label: 'Color', type: 'color', default: '#000000', follows: 'foreground' },
+      {
+        name: 'kind', label: 'Curve', type: 'choice', default: 'bezier',
+        options: [{ value: 'bezier', label: 'Bézier' }, { value: 'catmull-rom', label: 'Catmull-Rom' }],
+      },
+    ],
+    footprint: (stroke, params) => boundingRect(curvePolyline(stroke, params), 0.5 * Number(params.width) + 1),
+    reach: () => 0,
+    path: (stroke, params) => binPath(clipPath(curvePolyline(stroke, params),
+      { x: 0, y: 0, width: stroke.width, height: stroke.height }, 0.5 * Number(params.width) + 1),
+    stroke.width, stroke.height, 0.5 * Number(params.width) + 1),
+  });
+}
+
+/**
+ * @param {PathPoint[]} points A curve's points, as the curve stroke tool takes them.
+ * @param {CurveKind} kind
+ * @returns {PathPoint[]} The curve as a polyline.
+ */
+export function flattenCurve(points, kind) {
+  return flattenBezier(kind === 'catmull-rom' ? catmullRomToBezier(points) : points, FLATTEN_SPACING);
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @param {ParamValues} params
+ * @returns {PathPoint[]}
+ */
+function curvePolyline(stroke, params) {
+  const points = stroke.path ?? [{ ...stroke.start, pressure: 1 }, { ...stroke.end, pressure: 1 }];
+  return flattenCurve(points, /** @type {CurveKind} */ (params.kind));
+}
@@ -0,0 +1,197 @@
+import { createCurveStrokeTool, flattenCurve } from './curve-gl.js';
+
+/**
+ * @typedef {import('./tool-controller.js').Point} Point
+ * @typedef {import('./tool-controller.js').ToolController} ToolController
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ * @typedef {import('./curve-gl.js').CurveKind} CurveKind
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ */
+
+/**
+ * A point the curve passes through, with the Bézier handles on either side of it.  Catmull-Rom
+ * curves ignore the handles.
+ * @typedef {{point: Point, in: Point, out: Point}} CurveNode
+ */
+
+// How close to a point or handle a press has to be to grab it, in view pixels.
+const HIT_RADIUS = 8;
+
+/**
+ * Builds a curve point by point.  Pressing on empty canvas adds a point, and dragging from it
+ * pulls out its handles.  Points and handles can be dragged afterwards; Alt breaks the
+ * symmetry of a point's handles.  The curve is only an overlay until Enter draws it into the
+ * layer.  Escape throws it away and Backspace removes the last point.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {DragTool}
+ */
+export function createCurveTool(gl) {
+  const shaderTool = createCurveStrokeTool(gl);
+  /** @type {CurveNode[]} */
+  let nodes = [];
+  /** @type {{node: CurveNode, part: 'point' | 'in' | 'out' | 'new', symmetric: boolean} | null} */
+  let drag = null;
+
+  const kind = () => /** @type {CurveKind} */ (shaderTool.paramValues.kind);
+
+  /** @returns {PathPoint[]} The curve's points, as the curve stroke tool takes them. */
+  const controlPoints = () => {
+    /** @param {Point} p */
+    const toPathPoint = (p) => ({ x: p.x, y: p.y, pressure: 1 });
+    if (kind() === 'catmull-rom') return nodes.map((node) => toPathPoint(node.point));
+    return nodes.flatMap((node, i) => [
+      ...(i > 0 ? [toPathPoint(node.in)] : []),
+      toPathPoint(node.point),
+      ...(i < nodes.length - 1 ? [toPathPoint(node.out)] : []),
+    ]);
+  };
+
+  /**
+   * @param {ToolController} controller
+   * @param {Point} point
+   * @returns {{node: CurveNode, part: 'point' | 'in' | 'out'} | null} What is under the point.
+   */
+  const hitTest = (controller, point) => {
+    const radius = HIT_RADIUS / controller.view.zoom;
+    /** @param {Point} p */
+    const near = (p) => Math.hypot(p.x - point.x, p.y - point.y) <= radius;
+    // Handles sit on top of points, and later nodes on top of earlier ones.
+    for (const node of [...nodes].reverse()) {
+      if (kind() === 'bezier') {
+        if (near(node.out)) return { node, part: 'out' };
+        if (near(node.in)) return { node, part: 'in' };
+      }
+      if (near(node.point)) return { node, part: 'point' };
+    }
+    return null;
+  };
+
+  /**
+   * Sets one handle and, unless the handles were broken, mirrors the other.
+   * @param {CurveNode} node
+   * @param {'in' | 'out'} part
+   * @param {Point} point
+   * @param {boolean} symmetric
+   */
+  const setHandle = (node, part, point, symmetric) => {
+    node[part] = { ...point };
+    if (symmetric) {
+      node[part === 'in' ? 'out' : 'in'] = { x: 2 * node.point.x - point.x, y: 2 * node.point.y - point.y };
+    }
+  };
+
+  /** @param {ToolController} controller */
+  const rasterize = (controller) => {
+    const first = nodes[0].point;
+    const last = nodes[nodes.length - 1].point;
+    controller.commitStroke(shaderTool, {
+      tool: shaderTool.id,
+      start: { ...first },
+      mid: { ...nodes[Math.floor(nodes.length / 2)].point },
+      end: { ...last },
+      pressure: 1,
+      tilt: { x: 0, y: 0 },
+      width: controller.width,
+      height: controller.height,
+      timestamp: Date.now(),
+      params: { ...shaderTool.paramValues },
+      path: controlPoints(),
+    }, true);
+    nodes = [];
+  };
+
+  return {
+    id: 'curve-editor',
+    shaderTool,
+    onDragStart(controller, point, e) {
+      const hit = hitTest(controller, point);
+      if (hit) {
+        drag = { ...hit, symmetric: !e.altKey };
+      } else {
+        const node = { point: { ...point }, in: { ...point }, out: { ...point } };
+        nodes.push(node);
+        drag = { node, part: 'new', symmetric: true };
+      }
+    },
+    onDragMove(controller, points) {
+      if (!drag) return;
+      const point = points[points.length - 1];
+      const { node, part, symmetric } = drag;
+      if (part === 'point' || (part === 'new' && kind() === 'catmull-rom')) {
+        const dx = point.x - node.point.x;
+        const dy = point.y - node.point.y;
+        for (const p of [node.point, node.in, node.out]) {
+          p.x += dx;
+          p.y += dy;
+        }
+      } else {
+        setHandle(node, part === 'new' ? 'out' : part, point, symmetric);
+      }
+      controller.isDirty = true;
+    },
+    onDragEnd(controller) {
+      drag = null;
+      controller.isDirty = true;
+    },
+    onKeyDown(controller, e) {
+      if (e.key === 'Enter' && nodes.length >= 2) {
+        rasterize(controller);
+        return true;
+      }
+      if (e.key === 'Escape' && nodes.length > 0) {
+        nodes = [];
+        return true;
+      }
+      if ((e.key === 'Backspace' || e.key === 'Delete') && nodes.length > 0) {
+        nodes.pop();
+        return true;
+      }
+      return false;
+    },
+    drawOverlay(ctx, toOverlay, scale) {
+      if (nodes.length === 0) return;
+      /** @param {Point} p */
+      const moveTo = (p) => { const q = toOverlay(p); ctx.moveTo(q.x, q.y); };
+      /** @param {Point} p */
+      const lineTo = (p) => { const q = toOverlay(p); ctx.lineTo(q.x, q.y); };
+
+      // The curve as it will be drawn.
+      const line = flattenCurve(controlPoints(), kind());
+      ctx.beginPath();
+      moveTo(line[0]);
+      line.slice(1).forEach(lineTo);
+      ctx.lineWidth = Math.max(1, Number(shaderTool.paramValues.width) * scale);
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.strokeStyle = String(shaderTool.paramValues.color);
+      ctx.stroke();
+
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#4299e1';
+      ctx.fillStyle = '#ffffff';
+      if (kind() === 'bezier') {
+        ctx.beginPath();
+        for (const node of nodes) {
+          moveTo(node.in);
+          lineTo(node.point);
+          lineTo(node.out);
+        }
+        ctx.stroke();
+        for (const node of nodes) {
+          for (const handle of [node.in, node.out]) {
+            const q = toOverlay(handle);
+            ctx.beginPath();
+            ctx.arc(q.x, q.y, 4, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+          }
+        }
+      }
+      for (const node of nodes) {
+        const q = toOverlay(node.point);
+        ctx.fillRect(q.x - 4, q.y - 4, 8, 8);
+        ctx.strokeRect(q.x - 4, q.y - 4, 8, 8);
+      }
+    },
+  };
+}
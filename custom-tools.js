@@ -0,0 +1,124 @@
+import { ShaderTool } from './shader-tool.js';
+
+/**
+ * A tool the user wrote in the shader editor.  Each pass is a fragment shader that gets the
+ * same uniforms as the built-in tools: `u_texture`, `u_resolution`, `u_start`, `u_mid`,
+ * `u_end`, `u_pressure`, `u_tilt` and `u_origin`, where the pixels it draws sit in the
+ * document.  Each pass reads what the previous one drew.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   key: string,
+ *   passes: string[],
+ * }} CustomToolDefinition
+ *   `id` names the tool in stroke logs, so it stays the same when the tool is edited,
+ *   exported or imported.  `key` is the palette hotkey.
+ */
+
+const STORAGE_KEY = 'last-draw.customTools';
+const FILE_FORMAT = 'last-draw-tool';
+export const CUSTOM_TOOL_FILE_VERSION = 1;
+export const CUSTOM_TOOL_FILE_EXTENSION = '.lastdraw-tool.json';
+
+/** A pass that leaves the image as it is, to start new tools from. */
+export const STARTER_SHADER = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform vec2 u_start;
+uniform vec2 u_mid;
+uniform vec2 u_end;
+uniform float u_pressure;
+uniform vec2 u_tilt;
+
+out vec4 fragColor;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    fragColor = texture(u_texture, uv);
+}
+`;
+
+/** @returns {string} An id no built-in tool uses. */
+export function newCustomToolId() {
+  return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {CustomToolDefinition} definition
+ * @returns {ShaderTool}
+ * @throws {import('./shader-tool.js').ShaderCompileError} If a pass doesn't compile.
+ */
+export function createCustomTool(gl, definition) {
+  // Without a footprint the whole document is run, since there's no telling what a pass reads.
+  return new ShaderTool(gl, definition.passes, { id: definition.id });
+}
+
+/**
+ * @param {CustomToolDefinition} definition
+ * @returns {string}
+ */
+export function serializeCustomTool(definition) {
+  return JSON.stringify({ format: FILE_FORMAT, version: CUSTOM_TOOL_FILE_VERSION, tool: definition }, null, 2);
+}
+
+/**
+ * Parses and validates a tool file produced by `serializeCustomTool`.
+ * @param {string} json
+ * @returns {CustomToolDefinition}
+ */
+export function parseCustomTool(json) {
+  const data = JSON.parse(json);
+  if (!data || data.format !== FILE_FORMAT) {
+    throw new Error('Not a tool file.');
+  }
+  if (data.version > CUSTOM_TOOL_FILE_VERSION) {
+    throw new Error(`Unsupported tool file version ${data.version}.`);
+  }
+  return readDefinition(data.tool);
+}
+
+/**
+ * Keeps custom tools in local storage so they come back on the next visit.
+ */
+export class CustomToolStore {
+  /** @returns {CustomToolDefinition[]} */
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(saved) ? saved.map(readDefinition) : [];
+    } catch (error) {
+      console.warn('Could not load custom tools:', error);
+      return [];
+    }
+  }
+
+  /** @param {CustomToolDefinition[]} definitions */
+  save(definitions) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+  }
+}
+
+/**
+ * @param {any} tool
+ * @returns {CustomToolDefinition}
+ */
+function readDefinition(tool) {
+  if (!tool || typeof tool.id !== 'string' || typeof tool.name !== 'string') {
+    throw new Error('Tool is missing its id or name.');
+  }
+  // Built-in ids are plain words, so imported tools can't take their place in replays.
+  if (!tool.id.startsWith('custom-')) {
+    throw new Error(`Tool ${tool.name} has an invalid id.`);
+  }
+  if (typeof tool.key !== 'string' || tool.key.length !== 1) {
+    throw new Error(`Tool ${tool.name} has an invalid hotkey.`);
+  }
+  if (!Array.isArray(tool.passes) || tool.passes.length === 0 ||
+    !tool.passes.every((pass) => typeof pass === 'string')) {
+    throw new Error(`Tool ${tool.name} has no shader passes.`);
+  }
+  return { id: tool.id, name: tool.name, key: tool.key, passes: [...tool.passes] };
+}
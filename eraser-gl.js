@@ -1,23 +1,29 @@
 // @ts-check
 
+import { boundingRect } from './rect.js';
 import { ShaderTool } from './shader-tool.js';
 
+// Max radius to prevent excessive sampling, in pixels.
+const MAX_BLUR_RADIUS = 30;
+
 /**
  * @param {WebGL2RenderingContext} gl
  * @returns {ShaderTool}
  */
 export function createEraserTool(gl) {
   const fragmentShaderTemplate = `#version 300 es
-precision mediump float;
+precision highp float;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform vec2 u_start;
 uniform vec2 u_end;
+uniform float u_pressure;
+uniform float u_lightening;
 
 out vec4 fragColor;
 
 const float PI = 3.14159265359;
-const int MAX_BLUR_RADIUS = 30; // Max radius to prevent excessive sampling
+const int MAX_BLUR_RADIUS = ${MAX_BLUR_RADIUS};
 
 vec4 applyBlur(vec2 current_pixel_coord, float blur_radius, vec2 blur_direction) {
     vec4 total_color = vec4(0.0);
@@ -68,7 +74,8 @@ void main() {
     float inner_radius = drag_length * 0.2;
     float outer_radius = drag_length * 1.2;
     float blur_radius_factor = 1.0 - smoothstep(inner_radius, outer_radius, dist_from_line);
-    float blur_radius = blur_radius_factor * inner_radius;
+    // Pen pressure scales how strongly the eraser blurs and lightens.
+    float blur_radius = blur_radius_factor * inner_radius * u_pressure;
 
     if (blur_radius < 1.0) {
             fragColor = final_color;
@@ -81,12 +88,26 @@ void main() {
     
     // --- Lightening Logic ---
     // Blend the blurred color with white based on the blur radius factor
-    float lighten_factor = blur_radius_factor * 0.5;
+    float lighten_factor = blur_radius_factor * u_lightening * u_pressure;
     fragColor = mix(blurred_color, vec4(1.0, 1.0, 1.0, 1.0), lighten_factor);
 }
 `;
   return new ShaderTool(gl, [
     fragmentShaderTemplate.replace('__BLUR_DIRECTION__', 'vec2(1.0, 0.0)'),
     fragmentShaderTemplate.replace('__BLUR_DIRECTION__', 'vec2(0.0, 1.0)')
-  ]);
+  ], {
+    id: 'eraser',
+    params: [
+      { name: 'lightening', label: 'Lightening', type: 'float', default: 0.5, min: 0, max: 1, step: 0.05 },
+    ],
+    // The blur and lightening fade out at the pill's outer radius.
+    footprint: (stroke) => boundingRect([stroke.start, stroke.end], 1.2 * strokeLength(stroke) + 1),
+    // Each pass blurs along one axis only, so the halo doesn't add up across them.
+    reach: () => MAX_BLUR_RADIUS,
+  });
+}
+
+/** @param {import('./stroke-log.js').StrokeRecord} stroke */
+function strokeLength(stroke) {
+  return Math.hypot(stroke.end.x - stroke.start.x, stroke.end.y - stroke.start.y);
 }
\ No newline at end of file
@@ -0,0 +1,60 @@
+import { intersectRects, isEmptyRect } from './rect.js';
+import { rgbToHex } from './palette.js';
+
+/**
+ * @typedef {import('./tool-controller.js').ToolController} ToolController
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ * @typedef {import('./tool-controller.js').Point} Point
+ * @typedef {import('./color-state.js').ColorState} ColorState
+ */
+
+/**
+ * Picks the foreground color out of the document, or the background color with Alt held.
+ * Dragging keeps picking under the pointer.  It samples what is shown, all layers together,
+ * averaging a square as wide as the color state's sample size.
+ * @param {ColorState} colors
+ * @returns {DragTool}
+ */
+export function createEyedropperTool(colors) {
+  let toBackground = false;
+
+  /**
+   * @param {ToolController} controller
+   * @param {Point} point
+   */
+  const pick = (controller, point) => {
+    const half = Math.floor(colors.sampleSize / 2);
+    const rect = intersectRects(
+      { x: Math.floor(point.x) - half, y: Math.floor(point.y) - half, width: colors.sampleSize, height: colors.sampleSize },
+      { x: 0, y: 0, width: controller.width, height: controller.height });
+    if (isEmptyRect(rect)) return;
+    const pixels = controller.readDocumentPixels(rect);
+    // Weight by alpha, so transparent pixels don't pull the average toward black.
+    const sum = [0, 0, 0];
+    let weight = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = pixels[i + 3];
+      for (let channel = 0; channel < 3; channel++) sum[channel] += pixels[i + channel] * alpha;
+      weight += alpha;
+    }
+    if (weight === 0) return;
+    const hex = rgbToHex(sum[0] / weight, sum[1] / weight, sum[2] / weight);
+    if (toBackground) {
+      colors.setBackground(hex);
+    } else {
+      colors.setForeground(hex);
+    }
+  };
+
+  return {
+    id: 'eyedropper',
+    onDragStart(controller, point, e) {
+      toBackground = e.altKey;
+      pick(controller, point);
+    },
+    onDragMove(controller, points) {
+      pick(controller, points[points.length - 1]);
+    },
+    onDragEnd() { },
+  };
+}
@@ -0,0 +1,183 @@
+import { fillCoverage } from './flood-fill.js';
+import { ShaderTool } from './shader-tool.js';
+import { TiledImage } from './tiled-image.js';
+
+/**
+ * @typedef {import('./tool-controller.js').ToolController} ToolController
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./flood-fill.js').FillOptions} FillOptions
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/**
+ * @param {ParamValues} params
+ * @returns {FillOptions}
+ */
+function fillOptions(params) {
+  return {
+    tolerance: Number(params.tolerance),
+    gap: Number(params.closeGaps),
+    antialias: params.antialias === 'on',
+  };
+}
+
+/**
+ * @param {{mask: Uint8Array, bounds: Rect}} coverage With a mask the size of the document.
+ * @param {number} width The document's width.
+ * @returns {{mask: Uint8Array, bounds: Rect}} The same coverage, with only the part of the
+ *   mask inside its bounds.
+ */
+function cropCoverage({ mask, bounds }, width) {
+  const cropped = new Uint8Array(bounds.width * bounds.height);
+  for (let y = 0; y < bounds.height; y++) {
+    const start = (bounds.y + y) * width + bounds.x;
+    cropped.set(mask.subarray(start, start + bounds.width), y * bounds.width);
+  }
+  return { mask: cropped, bounds };
+}
+
+/**
+ * Paints the connected area of the active layer that is similar in color to the pixel that
+ * was clicked.  Working out the area is done on the CPU, in a worker when clicked; the stroke
+ * records only the click and the params, so replays work the area out again.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {DragTool}
+ */
+export function createFillTool(gl) {
+  /**
+   * The coverage each stroke was prepared or clicked with, cut down to its bounds, so
+   * committing or running a stroke again doesn't flood the document again.
+   * @type {WeakMap<StrokeRecord, {mask: Uint8Array, bounds: Rect}>}
+   */
+  const coverages = new WeakMap();
+
+  const shaderTool = new ShaderTool(gl, `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform sampler2D u_mask;
+uniform vec2 u_resolution;
+uniform vec3 u_color;
+
+out vec4 fragColor;
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 original = texture(u_texture, p / u_resolution);
+    float covered = texelFetch(u_mask, ivec2(p), 0).r;
+    fragColor = mix(original, vec4(u_color, 1.0), covered);
+}
+`, {
+    id: 'fill',
+    params: [
+      { name: 'color', label: 'Color', type: 'color', default: '#000000', follows: 'foreground' },
+      { name: 'tolerance', label: 'Tolerance', type: 'float', default: 32, min: 0, max: 255, step: 1 },
+      { name: 'closeGaps', label: 'Close gaps', type: 'float', default: 0, min: 0, max: 20, step: 1 },
+      {
+        name: 'antialias', label: 'Antialias', type: 'choice', default: 'on',
+        options: [{ value: 'on', label: 'On' }, { value: 'off', label: 'Off' }],
+      },
+    ],
+    footprint: (stroke) => coverages.get(stroke)?.bounds ?? { x: 0, y: 0, width: 0, height: 0 },
+    reach: () => 0,
+    prepare: (controller, stroke, params) => {
+      let coverage = coverages.get(stroke);
+      if (!coverage) {
+        const pixels = controller.readActiveLayerPixels();
+        coverage = cropCoverage(
+          fillCoverage(pixels, stroke.width, stroke.height, stroke.start.x, stroke.start.y, fillOptions(params)),
+          stroke.width);
+        coverages.set(stroke, coverage);
+      }
+      shaderTool.mask?.delete();
+      shaderTool.mask = new TiledImage(gl, stroke.width, stroke.height, 'r8');
+      shaderTool.mask.writePixels(coverage.mask, coverage.bounds);
+    },
+  });
+
+  /** @type {Worker | null} */
+  let worker = null;
+  let nextRequest = 0;
+  // Clicks while a fill is being worked out are ignored.
+  let busy = false;
+
+  /**
+   * @param {Uint8Array} pixels
+   * @param {StrokeRecord} stroke
+   * @returns {Promise<{mask: Uint8Array, bounds: Rect}>}
+   */
+  const computeInWorker = (pixels, stroke) => {
+    const id = nextRequest++;
+    // Made inside the promise, so a worker that can't start rejects it like any other failure.
+    return new Promise((resolve, reject) => {
+      worker ??= new Worker(new URL('./flood-fill-worker.js', import.meta.url), { type: 'module' });
+      const activeWorker = worker;
+      /** @param {MessageEvent} e */
+      const onMessage = (e) => {
+        if (e.data.id !== id) return;
+        activeWorker.removeEventListener('message', onMessage);
+        activeWorker.removeEventListener('error', onError);
+        resolve(e.data);
+      };
+      /** @param {ErrorEvent} e */
+      const onError = (e) => {
+        activeWorker.removeEventListener('message', onMessage);
+        activeWorker.removeEventListener('error', onError);
+        reject(new Error(`Fill failed: ${e.message}`));
+      };
+      activeWorker.addEventListener('message', onMessage);
+      activeWorker.addEventListener('error', onError);
+      activeWorker.postMessage({
+        id,
+        pixels,
+        width: stroke.width,
+        height: stroke.height,
+        x: stroke.start.x,
+        y: stroke.start.y,
+        options: fillOptions(shaderTool.paramValues),
+      }, [pixels.buffer]);
+    });
+  };
+
+  return {
+    id: 'fill-editor',
+    shaderTool,
+    onDragStart(controller, point) {
+      if (busy) return;
+      /** @type {StrokeRecord} */
+      const stroke = {
+        tool: shaderTool.id,
+        start: { ...point },
+        mid: { ...point },
+        end: { ...point },
+        pressure: 1,
+        tilt: { x: 0, y: 0 },
+        width: controller.width,
+        height: controller.height,
+        timestamp: Date.now(),
+        params: { ...shaderTool.paramValues },
+      };
+      // Anything drawn before the fill comes back would make it stale.
+      const layer = controller.layers.active;
+      const strokes = controller.strokes;
+      const pixels = controller.readActiveLayerPixels();
+      busy = true;
+      computeInWorker(pixels, stroke)
+        .then((coverage) => {
+          if (controller.layers.active !== layer || controller.strokes !== strokes ||
+            controller.width !== stroke.width || controller.height !== stroke.height) {
+            return;
+          }
+          if (coverage.bounds.width === 0 || coverage.bounds.height === 0) return;
+          coverages.set(stroke, cropCoverage(coverage, stroke.width));
+          controller.commitStroke(shaderTool, stroke);
+        })
+        .catch((error) => console.error(error))
+        .finally(() => { busy = false; });
+    },
+    onDragMove() { },
+    onDragEnd() { },
+  };
+}
@@ -0,0 +1,10 @@
+// Runs bucket fills off the main thread.  Each message holds the layer's pixels and a
+// `fillCoverage` call; the reply holds the coverage, with its buffer transferred back.
+
+import { fillCoverage } from './flood-fill.js';
+
+self.addEventListener('message', (e) => {
+  const { id, pixels, width, height, x, y, options } = e.data;
+  const { mask, bounds } = fillCoverage(pixels, width, height, x, y, options);
+  self.postMessage({ id, mask, bounds }, { transfer: [mask.buffer] });
+});
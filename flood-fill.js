@@ -0,0 +1,193 @@
+/**
+ * Finds the 4-connected region of pixels similar to the one at (x, y), using a
+ * scanline fill.  Rows are in the same order as the pixels, so document
+ * coordinates (origin in the lower-left) can be used directly with pixels read
+ * back from WebGL.
+ * @param {Uint8Array | Uint8ClampedArray} pixels RGBA pixels.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {number} tolerance The largest per-channel difference from the seed
+ *   color that still counts as similar, from 0 to 255.
+ * @param {Uint8Array} [barrier] Pixels to treat as walls where non-zero.
+ * @returns {Uint8Array} 255 inside the region and 0 elsewhere.
+ */
+export function floodFillMask(pixels, width, height, x, y, tolerance, barrier) {
+  const mask = new Uint8Array(width * height);
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (x < 0 || y < 0 || x >= width || y >= height) return mask;
+
+  const seed = (y * width + x) * 4;
+  const r = pixels[seed];
+  const g = pixels[seed + 1];
+  const b = pixels[seed + 2];
+  const a = pixels[seed + 3];
+
+  /** @param {number} index */
+  const matches = (index) => {
+    if (mask[index] || (barrier && barrier[index])) return false;
+    const p = index * 4;
+    return Math.abs(pixels[p] - r) <= tolerance &&
+      Math.abs(pixels[p + 1] - g) <= tolerance &&
+      Math.abs(pixels[p + 2] - b) <= tolerance &&
+      Math.abs(pixels[p + 3] - a) <= tolerance;
+  };
+
+  if (!matches(y * width + x)) return mask;
+
+  const stack = [x, y];
+  while (stack.length > 0) {
+    const sy = /** @type {number} */ (stack.pop());
+    const sx = /** @type {number} */ (stack.pop());
+    const row = sy * width;
+    if (!matches(row + sx)) continue;
+
+    // Extend the span left and right, then queue the rows above and below.
+    let left = sx;
+    while (left > 0 && matches(row + left - 1)) left--;
+    let right = sx;
+    while (right < width - 1 && matches(row + right + 1)) right++;
+    mask.fill(255, row + left, row + right + 1);
+
+    for (const ny of [sy - 1, sy + 1]) {
+      if (ny < 0 || ny >= height) continue;
+      const nextRow = ny * width;
+      let inSpan = false;
+      for (let nx = left; nx <= right; nx++) {
+        const isMatch = matches(nextRow + nx);
+        if (isMatch && !inSpan) {
+          stack.push(nx, ny);
+        }
+        inSpan = isMatch;
+      }
+    }
+  }
+  return mask;
+}
+
+/**
+ * @typedef {{
+ *   tolerance: number,
+ *   gap: number,
+ *   antialias: boolean,
+ * }} FillOptions
+ *   `tolerance` is the largest per-channel difference from the clicked color that still gets
+ *   filled, from 0 to 255.  Gaps in the outline up to `gap` pixels wide are closed.  With
+ *   `antialias`, the pixels just outside the region are partly filled, by how close they are
+ *   to the clicked color, so the fill blends into antialiased line art.
+ */
+
+/**
+ * Works out how much of each pixel a bucket fill at (x, y) covers.  Coordinates and rows are
+ * as for `floodFillMask`.
+ * @param {Uint8Array | Uint8ClampedArray} pixels RGBA pixels.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x
+ * @param {number} y
+ * @param {FillOptions} options
+ * @returns {{mask: Uint8Array, bounds: import('./rect.js').Rect}} Coverage from 0 to 255, and
+ *   the smallest rectangle holding all of it.
+ */
+export function fillCoverage(pixels, width, height, x, y, { tolerance, gap, antialias }) {
+  x = Math.floor(x);
+  y = Math.floor(y);
+  if (x < 0 || y < 0 || x >= width || y >= height) {
+    return { mask: new Uint8Array(width * height), bounds: { x: 0, y: 0, width: 0, height: 0 } };
+  }
+
+  // How far each pixel is from the clicked color: the largest channel difference.
+  const seed = (y * width + x) * 4;
+  const difference = new Uint8Array(width * height);
+  for (let i = 0; i < difference.length; i++) {
+    const p = i * 4;
+    difference[i] = Math.max(
+      Math.abs(pixels[p] - pixels[seed]),
+      Math.abs(pixels[p + 1] - pixels[seed + 1]),
+      Math.abs(pixels[p + 2] - pixels[seed + 2]),
+      Math.abs(pixels[p + 3] - pixels[seed + 3]));
+  }
+
+  // Thicken the outline so the fill can't squeeze through gaps, then grow the fill back out
+  // to the outline.  Clicking within the thickened outline fills without closing gaps.
+  let barrier;
+  if (gap > 0) {
+    const radius = Math.ceil(gap / 2);
+    barrier = dilate(difference.map((d) => (d > tolerance ? 1 : 0)), width, height, radius);
+    if (barrier[y * width + x]) barrier = undefined;
+  }
+  const mask = floodFillMask(pixels, width, height, x, y, tolerance, barrier);
+  if (barrier) {
+    const grown = dilate(mask, width, height, Math.ceil(gap / 2));
+    for (let i = 0; i < mask.length; i++) {
+      if (grown[i] && difference[i] <= tolerance) mask[i] = 255;
+    }
+  }
+
+  if (antialias && tolerance < 255) {
+    const edge = dilate(mask, width, height, 1);
+    for (let i = 0; i < mask.length; i++) {
+      if (edge[i] && !mask[i]) {
+        mask[i] = Math.round(255 * Math.max(0, 1 - (difference[i] - tolerance) / (255 - tolerance)));
+      }
+    }
+  }
+
+  let left = width;
+  let right = -1;
+  let bottom = height;
+  let top = -1;
+  for (let row = 0; row < height; row++) {
+    for (let column = 0; column < width; column++) {
+      if (!mask[row * width + column]) continue;
+      left = Math.min(left, column);
+      right = Math.max(right, column);
+      bottom = Math.min(bottom, row);
+      top = Math.max(top, row);
+    }
+  }
+  const bounds = right < 0 ? { x: 0, y: 0, width: 0, height: 0 } :
+    { x: left, y: bottom, width: right - left + 1, height: top - bottom + 1 };
+  return { mask, bounds };
+}
+
+/**
+ * Grows the non-zero pixels of a mask by a square of the given radius.
+ * @param {Uint8Array} source
+ * @param {number} width
+ * @param {number} height
+ * @param {number} radius
+ * @returns {Uint8Array} 1 where the grown mask is set and 0 elsewhere.
+ */
+function dilate(source, width, height, radius) {
+  // The square is separable, so grow along the rows and then along the columns, counting the
+  // set pixels in a sliding window.
+  const rows = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let count = 0;
+    for (let x = 0; x < Math.min(radius, width); x++) {
+      if (source[row + x]) count++;
+    }
+    for (let x = 0; x < width; x++) {
+      if (x + radius < width && source[row + x + radius]) count++;
+      if (x - radius - 1 >= 0 && source[row + x - radius - 1]) count--;
+      rows[row + x] = count > 0 ? 1 : 0;
+    }
+  }
+  const result = new Uint8Array(width * height);
+  for (let x = 0; x < width; x++) {
+    let count = 0;
+    for (let y = 0; y < Math.min(radius, height); y++) {
+      if (rows[y * width + x]) count++;
+    }
+    for (let y = 0; y < height; y++) {
+      if (y + radius < height && rows[(y + radius) * width + x]) count++;
+      if (y - radius - 1 >= 0 && rows[(y - radius - 1) * width + x]) count--;
+      result[y * width + x] = count > 0 ? 1 : 0;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,82 @@
+import { ShaderTool } from './shader-tool.js';
+import { TiledImage } from './tiled-image.js';
+
+/**
+ * GLSL for rounding a high-precision color to 8 bits without banding.  It adds up to half a
+ * step of noise per channel, which hides the steps in smooth gradients.  The noise only
+ * depends on the pixel's position, so exporting the same pixels twice gives the same file.
+ */
+export const DITHER_GLSL = `
+vec4 dither(vec4 color, vec2 position) {
+    // Interleaved gradient noise, from Jimenez's "Next Generation Post Processing in Call of Duty".
+    float noise = fract(52.9829189 * fract(dot(floor(position), vec2(0.06711056, 0.00583715))));
+    return vec4(color.rgb + (noise - 0.5) / 255.0, color.a);
+}
+`;
+
+const convertShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_offset;
+uniform bool u_dither;
+
+out vec4 fragColor;
+${DITHER_GLSL}
+void main() {
+    vec4 color = texelFetch(u_texture, ivec2(gl_FragCoord.xy), 0);
+    fragColor = u_dither ? dither(color, gl_FragCoord.xy + u_offset) : color;
+}
+`;
+
+/**
+ * Copies tiled images into other texture formats on the GPU.  Blits can't cross between
+ * 8-bit and float formats, so this draws each tile instead.
+ */
+export class FormatConverter {
+  /**
+   * @param {WebGL2RenderingContext} gl
+   */
+  constructor(gl) {
+    this.gl = gl;
+    this.tool = new ShaderTool(gl, convertShaderSource, { id: 'convert' });
+    const { program } = this.tool.programs[0];
+    this.offsetLocation = gl.getUniformLocation(program, 'u_offset');
+    this.ditherLocation = gl.getUniformLocation(program, 'u_dither');
+    this.framebuffer = gl.createFramebuffer();
+  }
+
+  /**
+   * @param {TiledImage} image
+   * @param {import('./gl-utils.js').TextureFormat} format
+   * @param {import('./rect.js').Rect} [rect] Only convert the tiles that overlap this; the
+   *   others are left empty.  Defaults to the whole image.
+   * @returns {TiledImage} A new image with the same pixels.  Float colors are dithered when
+   *   rounded to 8 bits.
+   */
+  convert(image, format, rect) {
+    const gl = this.gl;
+    const result = new TiledImage(gl, image.width, image.height, format);
+    const { program, locations } = this.tool.programs[0];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.useProgram(program);
+    gl.uniform1i(locations.uniforms.texture, 0);
+    gl.uniform1i(this.ditherLocation, format === 'rgba8' && image.format !== 'rgba8' ? 1 : 0);
+    gl.activeTexture(gl.TEXTURE0);
+    for (const index of rect ? image.tilesIn(rect) : image.tiles.keys()) {
+      const tile = image.tiles[index];
+      // Empty tiles stay empty.
+      if (!tile) continue;
+      const tileRect = image.tileRect(index);
+      result.tiles[index] = result.createTileTexture(index);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, result.tiles[index], 0);
+      gl.viewport(0, 0, tileRect.width, tileRect.height);
+      gl.uniform2f(this.offsetLocation, tileRect.x, tileRect.y);
+      gl.bindTexture(gl.TEXTURE_2D, tile);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return result;
+  }
+}
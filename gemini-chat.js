@@ -8,6 +8,8 @@
 // Text only: "gemini-flash-latest"
 
 const MODEL_NAME = "gemini-flash-latest";
+// The API scales images down to fit this many pixels on a side, so larger ones only cost upload.
+const MAX_IMAGE_SIZE = 3072;
 
 export class GeminiChat {
   /**
@@ -26,6 +28,18 @@ export class GeminiChat {
     this.apiKey = apiKey;
     this.apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${this.apiKey}`;
     this.history = [];
+    /**
+     * Buttons shown under each image the model sends back.
+     * @type {{label: string, action: (image: HTMLImageElement) => void}[]}
+     */
+    this.imageActions = [];
+    /**
+     * Reads the drawing to send with the next message, or null when there is none.
+     * @type {(() => ImageData | null) | null}
+     */
+    this.imageSource = null;
+    // Only send the drawing again once it has changed.
+    this.imageChanged = false;
 
     this.setupUI();
   }
@@ -56,13 +70,39 @@ export class GeminiChat {
   }
 
   /**
-   * 
-   * @param {Uint8ClampedArray} imageData RGBA encoded image data.
+   * @param {() => ImageData | null} source Reads the drawing, top row first.  It is only
+   *   called when a message is sent, so reading it may be slow.
    */
-  setImage(imageData, width, height) {
-    this.imageWidth = width;
-    this.imageHeight = height;
-    this.imageData = imageData;
+  setImageSource(source) {
+    this.imageSource = source;
+    this.imageChanged = true;
+  }
+
+  /** Sends the drawing with the next message. */
+  markImageChanged() {
+    this.imageChanged = true;
+  }
+
+  /**
+   * @param {ImageData} image
+   * @returns {string} A base64 PNG no larger than MAX_IMAGE_SIZE on either side.
+   */
+  encodeImage(image) {
+    const full = document.createElement('canvas');
+    full.width = image.width;
+    full.height = image.height;
+    full.getContext('2d')?.putImageData(image, 0, 0);
+    const scale = Math.min(1, MAX_IMAGE_SIZE / image.width, MAX_IMAGE_SIZE / image.height);
+    if (scale === 1) {
+      return full.toDataURL('image/png').substring('data:image/png;base64,'.length);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Unable to create 2D context.');
+    ctx.drawImage(full, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png').substring('data:image/png;base64,'.length);
   }
 
   /**
@@ -77,52 +117,47 @@ export class GeminiChat {
     this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
   }
 
+  /**
+   * Shows an image the model sent back, with the image actions under it.
+   * @param {string} mimeType
+   * @param {string} base64Data
+   */
+  addImageToUI(mimeType, base64Data) {
+    const messageDiv = document.createElement('div');
+    messageDiv.classList.add('chat-message', 'model-message');
+    const image = document.createElement('img');
+    image.classList.add('chat-image');
+    image.src = `data:${mimeType};base64,${base64Data}`;
+    messageDiv.appendChild(image);
+    for (const { label, action } of this.imageActions) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', () => action(image));
+      messageDiv.appendChild(button);
+    }
+    this.messagesContainer.appendChild(messageDiv);
+    this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+  }
+
   async sendMessage(prompt) {
     this.addMessageToUI('user', prompt);
 
     const userParts = [{ text: prompt }];
 
-    if (this.imageData && this.imageWidth && this.imageHeight) {
-      // Create a temporary canvas to encode the PNG
-      const tempCanvas = document.createElement('canvas');
-      tempCanvas.width = this.imageWidth;
-      tempCanvas.height = this.imageHeight;
-      const ctx = tempCanvas.getContext('2d');
-
-      if (ctx) {
-        // The image data from WebGL's readPixels is flipped vertically.
-        // We need to draw it to a canvas and then flip it back.
-        const sourceCanvas = document.createElement('canvas');
-        sourceCanvas.width = this.imageWidth;
-        sourceCanvas.height = this.imageHeight;
-        const sourceCtx = sourceCanvas.getContext('2d');
-        const imgData = new ImageData(new Uint8ClampedArray(this.imageData.buffer), this.imageWidth, this.imageHeight);
-        sourceCtx.putImageData(imgData, 0, 0);
-
-        // Flip the image vertically when drawing to the destination canvas
-        ctx.save();
-        ctx.translate(0, this.imageHeight);
-        ctx.scale(1, -1);
-        ctx.drawImage(sourceCanvas, 0, 0);
-        ctx.restore();
-        const dataUrl = tempCanvas.toDataURL('image/png');
-        const base64Data = dataUrl.substring('data:image/png;base64,'.length);
-
+    try {
+      const image = this.imageChanged ? this.imageSource?.() : null;
+      if (image) {
         userParts.unshift({
           inline_data: {
             mime_type: 'image/png',
-            data: base64Data
+            data: this.encodeImage(image)
           }
         });
-
-        // Clear the image data after adding it to the message parts
-        this.clearImageData();
+        this.imageChanged = false;
       }
-    }
 
-    this.history.push({ role: 'user', parts: userParts });
+      this.history.push({ role: 'user', parts: userParts });
 
-    try {
       const response = await fetch(this.apiUrl, {
         method: 'POST',
         headers: {
@@ -138,10 +173,17 @@ export class GeminiChat {
       }
 
       const data = await response.json();
-      const modelResponse = data.candidates[0].content.parts[0].text;
-
-      this.addMessageToUI('model', modelResponse);
-      this.history.push({ role: 'model', parts: [{ text: modelResponse }] });
+      const parts = data.candidates[0].content.parts;
+
+      for (const part of parts) {
+        const inlineData = part.inline_data ?? part.inlineData;
+        if (typeof part.text === 'string') {
+          this.addMessageToUI('model', part.text);
+        } else if (inlineData?.data) {
+          this.addImageToUI(inlineData.mime_type ?? inlineData.mimeType, inlineData.data);
+        }
+      }
+      this.history.push({ role: 'model', parts });
 
     } catch (error) {
       console.error("Error calling Gemini API:", error);
@@ -149,9 +191,22 @@ export class GeminiChat {
     }
   }
 
-  clearImageData() {
-    this.imageData = undefined;
-    this.imageWidth = undefined;
-    this.imageHeight = undefined;
+  /**
+   * Replaces the conversation, for example with one saved in a project file, and shows its
+   * messages.  Images in the conversation are kept but not shown.
+   * @param {any[]} history Messages in the form the API takes them.
+   */
+  loadHistory(history) {
+    this.history = history;
+    this.messagesContainer.replaceChildren();
+    for (const message of history) {
+      const text = message.parts
+        .filter((part) => typeof part.text === 'string')
+        .map((part) => part.text)
+        .join('\n');
+      if (text) {
+        this.addMessageToUI(message.role, text);
+      }
+    }
   }
 }
\ No newline at end of file
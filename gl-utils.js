@@ -0,0 +1,127 @@
+/**
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/**
+ * `rgba8` holds colors; `r8` holds single-channel masks such as the selection.  The float
+ * formats hold colors without rounding each edit to 8 bits, so repeated edits don't band.
+ * @typedef {'rgba8' | 'r8' | 'rgba16f' | 'rgba32f'} TextureFormat
+ */
+
+/**
+ * The WebGL enums for each format, by name so they can be looked up on a context.
+ * @type {Record<TextureFormat, {
+ *   internalFormat: 'RGBA8' | 'R8' | 'RGBA16F' | 'RGBA32F',
+ *   format: 'RGBA' | 'RED',
+ *   type: 'UNSIGNED_BYTE' | 'HALF_FLOAT' | 'FLOAT',
+ *   bytesPerPixel: number,
+ * }>}
+ */
+export const TEXTURE_FORMATS = {
+  'rgba8': { internalFormat: 'RGBA8', format: 'RGBA', type: 'UNSIGNED_BYTE', bytesPerPixel: 4 },
+  'r8': { internalFormat: 'R8', format: 'RED', type: 'UNSIGNED_BYTE', bytesPerPixel: 1 },
+  'rgba16f': { internalFormat: 'RGBA16F', format: 'RGBA', type: 'HALF_FLOAT', bytesPerPixel: 8 },
+  'rgba32f': { internalFormat: 'RGBA32F', format: 'RGBA', type: 'FLOAT', bytesPerPixel: 16 },
+};
+
+/**
+ * Finds the color formats that layers can use on this GPU, enabling the extensions they
+ * need.  Tools draw into float textures only with EXT_color_buffer_float, and sample 32-bit
+ * floats smoothly only with OES_texture_float_linear.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {TextureFormat[]} From least to most precise.
+ */
+export function supportedColorFormats(gl) {
+  /** @type {TextureFormat[]} */
+  const formats = ['rgba8'];
+  if (gl.getExtension('EXT_color_buffer_float')) {
+    formats.push('rgba16f');
+    if (gl.getExtension('OES_texture_float_linear')) {
+      formats.push('rgba32f');
+    }
+  }
+  return formats;
+}
+
+/**
+ * Allocates an empty (transparent) texture with the sampling settings every tool expects.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {TextureFormat} [format]
+ * @returns {WebGLTexture}
+ */
+export function createTexture(gl, width, height, format = 'rgba8') {
+  const { internalFormat, format: pixelFormat, type } = TEXTURE_FORMATS[format];
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl[internalFormat], width, height, 0, gl[pixelFormat], gl[type], null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
+/** @type {WeakMap<WebGL2RenderingContext, { read: WebGLFramebuffer, draw: WebGLFramebuffer }>} */
+const framebuffers = new WeakMap();
+
+/**
+ * Framebuffers for copying between textures, shared by everything using the context.
+ * @param {WebGL2RenderingContext} gl
+ */
+function copyFramebuffers(gl) {
+  let pair = framebuffers.get(gl);
+  if (!pair) {
+    const read = gl.createFramebuffer();
+    const draw = gl.createFramebuffer();
+    if (!read || !draw) throw new Error('Failed to create framebuffer');
+    pair = { read, draw };
+    framebuffers.set(gl, pair);
+  }
+  return pair;
+}
+
+/**
+ * Copies a rectangle of one texture into a rectangle of another, scaling it to fit.  Both
+ * textures must have the same format, or both be float formats.
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} source
+ * @param {Rect} sourceRect
+ * @param {WebGLTexture} target
+ * @param {Rect} targetRect
+ * @param {number} [filter] gl.NEAREST or gl.LINEAR, for when the rectangles differ in size.
+ */
+export function blitTexture(gl, source, sourceRect, target, targetRect, filter = gl.NEAREST) {
+  const { read, draw } = copyFramebuffers(gl);
+  gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, draw);
+  gl.framebufferTexture2D(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+  gl.bindFramebuffer(gl.READ_FRAMEBUFFER, read);
+  gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, source, 0);
+  gl.blitFramebuffer(
+    sourceRect.x, sourceRect.y, sourceRect.x + sourceRect.width, sourceRect.y + sourceRect.height,
+    targetRect.x, targetRect.y, targetRect.x + targetRect.width, targetRect.y + targetRect.height,
+    gl.COLOR_BUFFER_BIT, filter);
+  gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+  gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ * @param {[number, number, number, number]} color RGBA, each 0 to 1.
+ * @param {Rect} [rect] Only clear this part of the texture.
+ */
+export function clearTexture(gl, texture, color, rect) {
+  const { draw } = copyFramebuffers(gl);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, draw);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  if (rect) {
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(rect.x, rect.y, rect.width, rect.height);
+  }
+  gl.clearColor(...color);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.disable(gl.SCISSOR_TEST);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
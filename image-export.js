@@ -0,0 +1,100 @@
+/**
+ * @typedef {'image/png' | 'image/jpeg' | 'image/webp'} ImageType
+ */
+
+/**
+ * @typedef {{
+ *   type?: ImageType,
+ *   quality?: number,
+ *   background?: string,
+ * }} EncodeOptions
+ *   `quality` runs from 0 to 1 and only applies to JPEG and WebP.  `background` is a CSS color
+ *   painted behind the image for formats without transparency; it defaults to white.
+ */
+
+/** @type {Record<ImageType, string>} */
+export const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+};
+
+/**
+ * Reverses the row order of an image.  WebGL reads pixels bottom row first, while canvases,
+ * image files and most other consumers expect the top row first.
+ * @param {Uint8Array | Uint8ClampedArray} pixels RGBA pixels.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8ClampedArray}
+ */
+export function flipRows(pixels, width, height) {
+  const flipped = new Uint8ClampedArray(width * height * 4);
+  const rowLength = width * 4;
+  for (let y = 0; y < height; y++) {
+    const start = (height - 1 - y) * rowLength;
+    flipped.set(pixels.subarray(start, start + rowLength), y * rowLength);
+  }
+  return flipped;
+}
+
+/**
+ * Encodes pixels read back from WebGL as an image file.
+ * @param {Uint8Array} pixels RGBA pixels, bottom row first.
+ * @param {number} width
+ * @param {number} height
+ * @param {EncodeOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeImage(pixels, width, height, options = {}) {
+  const { type = 'image/png', quality = 0.92, background = '#fff' } = options;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Unable to create 2D context.');
+  const image = new ImageData(flipRows(pixels, width, height), width, height);
+  if (type === 'image/jpeg') {
+    // JPEG has no alpha channel, so flatten onto the background rather than let the
+    // encoder turn transparent pixels black.
+    const layer = new OffscreenCanvas(width, height);
+    layer.getContext('2d')?.putImageData(image, 0, 0);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(layer, 0, 0);
+  } else {
+    ctx.putImageData(image, 0, 0);
+  }
+  const blob = await canvas.convertToBlob({ type, quality });
+  if (blob.type !== type) {
+    // Browsers fall back to PNG for formats they cannot encode.
+    throw new Error(`This browser cannot encode ${type}`);
+  }
+  return blob;
+}
+
+/**
+ * Saves a blob through the browser's download prompt.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.href = url;
+  link.download = filename;
+  // Older Firefox only follows links in the document.
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after the click returns, so keep the URL until then.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Puts an image on the clipboard.  Browsers only accept PNG images there.
+ * @param {Blob} blob A PNG image.
+ */
+export async function copyImageToClipboard(blob) {
+  if (blob.type !== 'image/png') {
+    throw new Error('Only PNG images can be copied to the clipboard');
+  }
+  await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+}
@@ -0,0 +1,154 @@
+import { createTexture } from './gl-utils.js';
+import { BLEND_MODES } from './layer-stack.js';
+import { ShaderTool } from './shader-tool.js';
+import { TiledImage } from './tiled-image.js';
+
+// Blends one layer onto the layers below it.  Textures hold straight (not premultiplied)
+// alpha, and the blend follows the W3C compositing spec: the blend function only applies
+// where the backdrop is opaque, then the result is composited source-over.
+const compositeShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform sampler2D u_layer;
+uniform vec2 u_resolution;
+uniform float u_opacity;
+uniform int u_blendMode;
+
+out vec4 fragColor;
+
+vec3 blend(vec3 cb, vec3 cs) {
+    if (u_blendMode == 1) {
+        // Multiply
+        return cb * cs;
+    }
+    if (u_blendMode == 2) {
+        // Screen
+        return cb + cs - cb * cs;
+    }
+    if (u_blendMode == 3) {
+        // Overlay
+        return mix(2.0 * cb * cs, 1.0 - 2.0 * (1.0 - cb) * (1.0 - cs), step(0.5, cb));
+    }
+    return cs;
+}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    vec4 backdrop = texture(u_texture, uv);
+    vec4 source = texture(u_layer, uv);
+
+    float source_alpha = source.a * u_opacity;
+    vec3 blended = mix(source.rgb, blend(backdrop.rgb, source.rgb), backdrop.a);
+    float alpha = source_alpha + backdrop.a * (1.0 - source_alpha);
+    if (alpha <= 0.0) {
+        fragColor = vec4(0.0);
+        return;
+    }
+    vec3 color = (source_alpha * blended + backdrop.a * (1.0 - source_alpha) * backdrop.rgb) / alpha;
+    fragColor = vec4(color, alpha);
+}
+`;
+
+/**
+ * Flattens a layer stack into a tiled image on the GPU, one tile at a time.
+ */
+export class LayerCompositor {
+  /** @type {TiledImage | null} */
+  #output = null;
+  /**
+   * Textures to ping-pong with, one per tile size and format.
+   * @type {Map<string, WebGLTexture>}
+   */
+  #scratch = new Map();
+
+  /**
+   * @param {WebGL2RenderingContext} gl
+   */
+  constructor(gl) {
+    this.gl = gl;
+    this.tool = new ShaderTool(gl, compositeShaderSource, { id: 'composite' });
+    const { program } = this.tool.programs[0];
+    this.layerLocation = gl.getUniformLocation(program, 'u_layer');
+    this.opacityLocation = gl.getUniformLocation(program, 'u_opacity');
+    this.blendModeLocation = gl.getUniformLocation(program, 'u_blendMode');
+    this.framebuffer = gl.createFramebuffer();
+    // Stands in for empty tiles, which are transparent.
+    this.emptyTexture = createTexture(gl, 1, 1);
+  }
+
+  /**
+   * Composites the visible layers, bottom to top.
+   * @param {import('./layer-stack.js').Layer[]} layers
+   * @param {number} width
+   * @param {number} height
+   * @param {import('./gl-utils.js').TextureFormat} format Blending happens at this precision.
+   * @param {{ layer: import('./layer-stack.js').Layer, tiles: Map<number, WebGLTexture> } | null} override
+   *   Draws `tiles` in place of some of one layer's tiles, for previewing a stroke.
+   * @param {Iterable<number> | null} indices Only redo these tiles, keeping the rest from
+   *   the last call, or leaving them empty when the size or format has changed.
+   * @returns {TiledImage} An image owned by the compositor, valid until the next call.
+   */
+  composite(layers, width, height, format, override = null, indices = null) {
+    const gl = this.gl;
+    const output = this.#output;
+    if (!output || output.width !== width || output.height !== height || output.format !== format) {
+      output?.delete();
+      this.#output = new TiledImage(gl, width, height, format);
+    }
+    const image = /** @type {TiledImage} */ (this.#output);
+    const { program, locations } = this.tool.programs[0];
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.useProgram(program);
+    gl.uniform1i(locations.uniforms.texture, 0);
+    gl.uniform1i(this.layerLocation, 1);
+    for (const index of indices ?? image.tiles.keys()) {
+      const rect = image.tileRect(index);
+      let target = image.ensureTile(index);
+      let scratch = this.#scratchTexture(rect.width, rect.height, format);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+      gl.viewport(0, 0, rect.width, rect.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.uniform2f(locations.uniforms.resolution, rect.width, rect.height);
+      for (const layer of layers) {
+        if (!layer.visible || layer.opacity <= 0) continue;
+        const texture = (override?.layer === layer ? override.tiles.get(index) : undefined) ??
+          layer.image.tiles[index] ?? this.emptyTexture;
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, scratch, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, target);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1f(this.opacityLocation, layer.opacity);
+        gl.uniform1i(this.blendModeLocation, BLEND_MODES.indexOf(layer.blendMode));
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        [target, scratch] = [scratch, target];
+      }
+      // Whichever texture holds the result becomes the tile; the other is kept for next time.
+      image.tiles[index] = target;
+      this.#scratch.set(`${rect.width}x${rect.height} ${format}`, scratch);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return image;
+  }
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {import('./gl-utils.js').TextureFormat} format
+   * @returns {WebGLTexture}
+   */
+  #scratchTexture(width, height, format) {
+    const key = `${width}x${height} ${format}`;
+    let texture = this.#scratch.get(key);
+    if (!texture) {
+      texture = createTexture(this.gl, width, height, format);
+      this.#scratch.set(key, texture);
+    }
+    return texture;
+  }
+}
@@ -0,0 +1,129 @@
+import { BLEND_MODES } from './layer-stack.js';
+
+/**
+ * Lists the document's layers in the left rail and edits the active one.
+ */
+export class LayerPanel {
+  /**
+   * @param {HTMLElement} containerEl The element to build the panel in.
+   * @param {import('./tool-controller.js').ToolController} controller
+   */
+  constructor(containerEl, controller) {
+    if (!containerEl) {
+      throw new Error("Container element not provided for LayerPanel.");
+    }
+    this.container = containerEl;
+    this.controller = controller;
+    this.setupUI();
+    this.controller.addEventListener('layerschange', () => this.refresh());
+    this.refresh();
+  }
+
+  setupUI() {
+    this.container.classList.add('layer-panel');
+
+    this.list = document.createElement('div');
+    this.list.classList.add('layer-list');
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('layer-buttons');
+    /** @type {[string, string, () => void][]} */
+    const actions = [
+      ['+', 'Add layer', () => this.controller.addLayer()],
+      ['−', 'Delete layer', () => this.#withActive((layer) => this.controller.removeLayer(layer.id))],
+      ['↑', 'Move layer up', () => this.#withActive((layer) =>
+        this.controller.moveLayer(layer.id, this.controller.layers.activeIndex + 1))],
+      ['↓', 'Move layer down', () => this.#withActive((layer) =>
+        this.controller.moveLayer(layer.id, this.controller.layers.activeIndex - 1))],
+    ];
+    for (const [label, title, action] of actions) {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', action);
+      buttons.appendChild(button);
+    }
+
+    this.opacityInput = document.createElement('input');
+    this.opacityInput.type = 'range';
+    this.opacityInput.min = '0';
+    this.opacityInput.max = '100';
+    this.opacityInput.title = 'Opacity';
+    // A drag of the slider is one undo step: it reports every position, then a change at the end.
+    let sliding = false;
+    this.opacityInput.addEventListener('input', () => this.#withActive((layer) => {
+      this.controller.setLayerProperties(layer.id, { opacity: Number(this.opacityInput.value) / 100 },
+        { merge: sliding });
+      sliding = true;
+    }));
+    this.opacityInput.addEventListener('change', () => { sliding = false; });
+
+    this.blendSelect = document.createElement('select');
+    this.blendSelect.title = 'Blend mode';
+    for (const mode of BLEND_MODES) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = mode[0].toUpperCase() + mode.slice(1);
+      this.blendSelect.appendChild(option);
+    }
+    this.blendSelect.addEventListener('change', () => this.#withActive((layer) =>
+      this.controller.setLayerProperties(layer.id, {
+        blendMode: /** @type {import('./layer-stack.js').BlendMode} */ (this.blendSelect.value),
+      })));
+
+    this.container.append(this.list, buttons, this.opacityInput, this.blendSelect);
+  }
+
+  refresh() {
+    const { layers, active } = this.controller.layers;
+    this.list.replaceChildren();
+    // The top layer is listed first, as it is drawn on top.
+    for (const layer of [...layers].reverse()) {
+      const row = document.createElement('div');
+      row.classList.add('layer-item');
+      if (layer === active) {
+        row.classList.add('active');
+      }
+
+      const visible = document.createElement('input');
+      visible.type = 'checkbox';
+      visible.checked = layer.visible;
+      visible.title = 'Visible';
+      visible.addEventListener('click', (e) => e.stopPropagation());
+      visible.addEventListener('change', () =>
+        this.controller.setLayerProperties(layer.id, { visible: visible.checked }));
+
+      const name = document.createElement('span');
+      name.textContent = layer.name;
+      name.addEventListener('dblclick', () => {
+        const newName = prompt('Layer name', layer.name);
+        if (newName) {
+          this.controller.setLayerProperties(layer.id, { name: newName });
+        }
+      });
+
+      row.append(visible, name);
+      row.addEventListener('click', () => this.controller.setActiveLayer(layer.id));
+      this.list.appendChild(row);
+    }
+
+    if (active) {
+      this.opacityInput.value = String(Math.round(active.opacity * 100));
+      this.blendSelect.value = active.blendMode;
+    }
+  }
+
+  /**
+   * Runs an action on the active layer, reporting failures instead of throwing from a UI handler.
+   * @param {(layer: import('./layer-stack.js').Layer) => void} action
+   */
+  #withActive(action) {
+    const layer = this.controller.layers.active;
+    if (!layer) return;
+    try {
+      action(layer);
+    } catch (error) {
+      console.error("Layer edit failed:", error);
+    }
+  }
+}
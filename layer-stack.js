@@ -0,0 +1,89 @@
+/**
+ * @typedef {'normal' | 'multiply' | 'screen' | 'overlay'} BlendMode
+ */
+
+/** @type {BlendMode[]} */
+export const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay'];
+
+export class Layer {
+  visible = true;
+  opacity = 1;
+  /** @type {BlendMode} */
+  blendMode = 'normal';
+
+  /**
+   * @param {number} id Stable across undo, so history entries can find the layer again.
+   * @param {string} name
+   * @param {import('./tiled-image.js').TiledImage} image Document-sized RGBA pixels, owned by
+   *   the layer.
+   */
+  constructor(id, name, image) {
+    this.id = id;
+    this.name = name;
+    this.image = image;
+  }
+
+  /**
+   * Copies everything but the pixels onto another layer.
+   * @param {Layer} other
+   */
+  copyPropertiesTo(other) {
+    other.visible = this.visible;
+    other.opacity = this.opacity;
+    other.blendMode = this.blendMode;
+  }
+}
+
+/**
+ * The document's layers, ordered bottom to top, and which one the tools draw on.
+ */
+export class LayerStack {
+  /** @type {Layer[]} */
+  layers = [];
+  activeIndex = 0;
+  #nextId = 1;
+
+  /** @returns {Layer | undefined} */
+  get active() {
+    return this.layers[this.activeIndex];
+  }
+
+  /**
+   * Creates a layer with a fresh id.  It is not added to the stack.
+   * @param {string} name
+   * @param {import('./tiled-image.js').TiledImage} image
+   * @returns {Layer}
+   */
+  createLayer(name, image) {
+    return new Layer(this.#nextId++, name, image);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Layer | undefined}
+   */
+  find(id) {
+    return this.layers.find((layer) => layer.id === id);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {number} The layer's position from the bottom, or -1.
+   */
+  indexOf(id) {
+    return this.layers.findIndex((layer) => layer.id === id);
+  }
+
+  /**
+   * Replaces every layer, for example when restoring a document from the undo history.
+   * @param {Layer[]} layers
+   * @param {number} activeIndex
+   */
+  reset(layers, activeIndex) {
+    this.layers = layers;
+    this.activeIndex = Math.min(Math.max(activeIndex, 0), layers.length - 1);
+    for (const layer of layers) {
+      this.#nextId = Math.max(this.#nextId, layer.id + 1);
+    }
+  }
+}
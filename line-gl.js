@@ -1,5 +1,6 @@
 // @ts-check
 
+import { boundingRect } from './rect.js';
 import { ShaderTool } from './shader-tool.js';
 
 /**
@@ -9,11 +10,14 @@ import { ShaderTool } from './shader-tool.js';
 export function createLineTool(gl) {
   const fragmentShaderSource = `#version 300 es
 
-precision mediump float;
+precision highp float;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform vec2 u_start;
 uniform vec2 u_end;
+uniform float u_pressure;
+uniform float u_width;
+uniform vec3 u_color;
 
 out vec4 fragColor;
 
@@ -45,11 +49,21 @@ void main() {
     vec2 closest_point_on_line = projectToLine(p, u_start, u_end);
     float dist_from_line = distance(p, closest_point_on_line);
 
-    float line_width = 3.0;
+    // Pen pressure thins the line; mice always draw at full pressure.
+    float line_width = max(u_width * u_pressure, 0.5);
     float blend_size = 1.0;
     float alpha = 1.0 - smoothstep(line_width - blend_size, line_width + blend_size, dist_from_line);
-    fragColor = mix(texture(u_texture, uv), vec4(0.0, 0.0, 0.0, 1.0), alpha);
+    fragColor = mix(texture(u_texture, uv), vec4(u_color, 1.0), alpha);
 }
     `;
-  return new ShaderTool(gl, fragmentShaderSource);
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'line',
+    params: [
+      { name: 'width', label: 'Width', type: 'float', default: 3, min: 0.5, max: 20, step: 0.5 },
+      { name: 'color', label: 'Color', type: 'color', default: '#000000', follows: 'foreground' },
+    ],
+    // At most the width plus the 1 pixel blend.
+    footprint: (stroke, params) => boundingRect([stroke.start, stroke.end], Number(params.width) + 2),
+    reach: () => 0,
+  });
 }
\ No newline at end of file
@@ -0,0 +1,236 @@
+// @ts-check
+
+import { boundingRect } from './rect.js';
+import { PATH_TEXTURE_WIDTH, ShaderTool } from './shader-tool.js';
+import { clipPath, resamplePath } from './stroke-path.js';
+
+/**
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ */
+
+/** No pixel is moved further than this, in document pixels, so warps reach a bounded halo. */
+export const MAX_DISPLACEMENT = 512;
+
+// Stamps are laid down this far apart along the drag, as a fraction of the brush's radius.
+const STAMP_SPACING = 0.1;
+
+// Reads the displacement field between pixel centers.  The field is a float texture, which
+// is not filtered on every GPU, so it is interpolated by hand.
+const DISPLACEMENT_GLSL = `
+vec2 displacementAt(highp sampler2D field, vec2 p) {
+    ivec2 last = textureSize(field, 0) - 1;
+    vec2 q = p - 0.5;
+    ivec2 i = ivec2(floor(q));
+    vec2 f = q - floor(q);
+    vec2 a = texelFetch(field, clamp(i, ivec2(0), last), 0).xy;
+    vec2 b = texelFetch(field, clamp(i + ivec2(1, 0), ivec2(0), last), 0).xy;
+    vec2 c = texelFetch(field, clamp(i + ivec2(0, 1), ivec2(0), last), 0).xy;
+    vec2 d = texelFetch(field, clamp(i + ivec2(1, 1), ivec2(0), last), 0).xy;
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+`;
+
+/**
+ * A brush that paints into the liquify displacement field rather than the layer.  The field
+ * holds, for each pixel, how far away the pixel shown there comes from, so however many
+ * strokes push, pinch or twirl the layer, its pixels are only resampled once, when the field
+ * is applied.  Reconstruct shrinks the field back toward nothing, undoing warps where it
+ * paints.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createLiquifyTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform highp sampler2D u_texture;
+uniform highp sampler2D u_path;
+uniform int u_pathLength;
+uniform int u_mode;
+uniform float u_size;
+uniform float u_strength;
+
+out vec4 fragColor;
+
+const int PATH_TEXTURE_WIDTH = ${PATH_TEXTURE_WIDTH};
+const int PUSH = 0;
+const int PINCH = 1;
+const int BLOAT = 2;
+const int TWIRL_CLOCKWISE = 3;
+const int RECONSTRUCT = 5;
+const float MAX_DISPLACEMENT = ${MAX_DISPLACEMENT.toFixed(1)};
+${DISPLACEMENT_GLSL}
+// x, y and pressure of a stamp.
+vec3 pathPoint(int i) {
+    return texelFetch(u_path, ivec2(i % PATH_TEXTURE_WIDTH, i / PATH_TEXTURE_WIDTH), 0).xyz;
+}
+
+// How strongly a stamp moves p, easing out to nothing at the brush's edge.
+float weight(vec2 p, vec3 stamp) {
+    float t = min(distance(p, stamp.xy) / (0.5 * u_size), 1.0);
+    float k = 1.0 - t * t;
+    return u_strength * stamp.z * k * k;
+}
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec2 displacement = texelFetch(u_texture, ivec2(p), 0).xy;
+
+    if (u_mode == RECONSTRUCT) {
+        float keep = 1.0;
+        for (int i = 0; i < u_pathLength; i++) {
+            vec3 stamp = pathPoint(i);
+            // Negative pressure marks a break in the path.
+            if (stamp.z < 0.0) continue;
+            keep *= 1.0 - 0.25 * weight(p, stamp);
+        }
+        fragColor = vec4(displacement * keep, 0.0, 0.0);
+        return;
+    }
+
+    // Follow the stamps back from the last to the first, to find where the pixel that ends
+    // up at p was before the stroke.
+    vec2 q = p;
+    for (int i = u_pathLength - 1; i >= 0; i--) {
+        vec3 stamp = pathPoint(i);
+        if (stamp.z < 0.0) continue;
+        float w = weight(q, stamp);
+        if (w == 0.0) continue;
+        vec2 r = q - stamp.xy;
+        if (u_mode == PUSH) {
+            // Pixels under the brush move with it.
+            vec3 previous = i > 0 ? pathPoint(i - 1) : stamp;
+            if (previous.z >= 0.0) q -= w * (stamp.xy - previous.xy);
+        } else if (u_mode == PINCH) {
+            q += 0.1 * w * r;
+        } else if (u_mode == BLOAT) {
+            q -= 0.1 * w * r;
+        } else {
+            float angle = (u_mode == TWIRL_CLOCKWISE ? 0.1 : -0.1) * w;
+            q = stamp.xy + mat2(cos(angle), sin(angle), -sin(angle), cos(angle)) * r;
+        }
+        // Stay within the reach the tiles were given, however long the drag.
+        vec2 travel = q - p;
+        float travelled = length(travel);
+        if (travelled > MAX_DISPLACEMENT) q = p + travel * (MAX_DISPLACEMENT / travelled);
+    }
+
+    // The field already moved whatever was at q, so follow it there too.
+    vec2 moved = q - p + displacementAt(u_texture, q);
+    float amount = length(moved);
+    if (amount > MAX_DISPLACEMENT) moved *= MAX_DISPLACEMENT / amount;
+    fragColor = vec4(moved, 0.0, 0.0);
+}
+`;
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'liquify',
+    target: 'displacement',
+    params: [
+      {
+        name: 'mode', label: 'Mode', type: 'choice', default: 'push',
+        options: [
+          { value: 'push', label: 'Push' },
+          { value: 'pinch', label: 'Pinch' },
+          { value: 'bloat', label: 'Bloat' },
+          { value: 'twirlClockwise', label: 'Twirl clockwise' },
+          { value: 'twirlCounterclockwise', label: 'Twirl counterclockwise' },
+          { value: 'reconstruct', label: 'Reconstruct' },
+        ],
+      },
+      { name: 'size', label: 'Size', type: 'float', default: 100, min: 4, max: 500, step: 1 },
+      { name: 'strength', label: 'Strength', type: 'float', default: 0.5, min: 0.05, max: 1, step: 0.05 },
+    ],
+    footprint: (stroke, params) => boundingRect(liquifyPath(stroke, params), radius(params) + 1),
+    reach: (stroke, params) => liquifyReach(stroke, params),
+    // Stamps further than the brush's radius from the window can't move anything in it.
+    path: (stroke, params) => clipPath(liquifyPath(stroke, params),
+      { x: 0, y: 0, width: stroke.width, height: stroke.height }, radius(params) + 1),
+  });
+}
+
+/**
+ * Resamples a layer through the liquify displacement field, which it reads as `u_mask`.
+ * Colors are interpolated premultiplied, so transparent pixels don't darken the edges they
+ * are pulled across.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createLiquifyWarpTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform highp sampler2D u_mask;
+
+out vec4 fragColor;
+
+vec4 premultipliedAt(ivec2 i) {
+    vec4 color = texelFetch(u_texture, clamp(i, ivec2(0), textureSize(u_texture, 0) - 1), 0);
+    return vec4(color.rgb * color.a, color.a);
+}
+
+void main() {
+    ivec2 pixel = ivec2(gl_FragCoord.xy);
+    vec2 displacement = texelFetch(u_mask, pixel, 0).xy;
+    if (displacement == vec2(0.0)) {
+        fragColor = texelFetch(u_texture, pixel, 0);
+        return;
+    }
+    vec2 q = gl_FragCoord.xy + displacement - 0.5;
+    ivec2 i = ivec2(floor(q));
+    vec2 f = q - floor(q);
+    vec4 color = mix(
+        mix(premultipliedAt(i), premultipliedAt(i + ivec2(1, 0)), f.x),
+        mix(premultipliedAt(i + ivec2(0, 1)), premultipliedAt(i + ivec2(1, 1)), f.x),
+        f.y);
+    fragColor = color.a > 0.0 ? vec4(color.rgb / color.a, color.a) : vec4(0.0);
+}
+`;
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'liquify-warp',
+    reach: () => MAX_DISPLACEMENT + 1,
+  });
+}
+
+/**
+ * @param {ParamValues} params
+ * @returns {number} The brush's radius.
+ */
+function radius(params) {
+  return 0.5 * Number(params.size);
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @param {ParamValues} params
+ * @returns {PathPoint[]} The stamps, evenly spaced along the drag.
+ */
+function liquifyPath(stroke, params) {
+  const path = stroke.path ?? [
+    { ...stroke.start, pressure: stroke.pressure },
+    { ...stroke.end, pressure: stroke.pressure },
+  ];
+  return resamplePath(path, Math.max(1, STAMP_SPACING * radius(params)));
+}
+
+/**
+ * @param {StrokeRecord} stroke
+ * @param {ParamValues} params
+ * @returns {number} How far from a pixel the stroke may read the field.  Reconstruct only
+ *   reads each pixel's own displacement.  Pushes carry pixels at most the length of the
+ *   drag; the other modes move them around within the brush as it goes.  The shader never
+ *   follows a pixel further back than MAX_DISPLACEMENT, so neither does the reach.
+ */
+function liquifyReach(stroke, params) {
+  if (params.mode === 'reconstruct') return 0;
+  const path = liquifyPath(stroke, params);
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+  const moved = params.mode === 'push' ? length : length + 2 * radius(params);
+  // One more for the interpolation.
+  return Math.min(moved, MAX_DISPLACEMENT) + 1;
+}
@@ -0,0 +1,291 @@
+/**
+ * A named color in a palette.
+ * @typedef {{hex: string, name?: string}} Swatch
+ */
+
+/**
+ * @typedef {{name: string, swatches: Swatch[]}} Palette
+ */
+
+/** File extensions palettes can be imported from and exported to. */
+export const PALETTE_EXTENSIONS = ['.gpl', '.ase'];
+
+/**
+ * @param {number} r 0 to 255.
+ * @param {number} g
+ * @param {number} b
+ * @returns {string} `#rrggbb`.
+ */
+export function rgbToHex(r, g, b) {
+  return '#' + [r, g, b]
+    .map((c) => Math.round(Math.min(Math.max(c, 0), 255)).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @param {string} hex `#rrggbb`.
+ * @returns {[number, number, number]} 0 to 255.
+ */
+function hexToBytes(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16 & 255, value >> 8 & 255, value & 255];
+}
+
+/**
+ * Reads a GIMP palette.
+ * @param {string} text
+ * @returns {Palette}
+ */
+export function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== 'GIMP Palette') throw new Error('Not a GIMP palette');
+  /** @type {Palette} */
+  const palette = { name: '', swatches: [] };
+  for (const line of lines.slice(1)) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+    const header = /^(Name|Columns):\s*(.*)$/.exec(trimmed);
+    if (header) {
+      if (header[1] === 'Name') palette.name = header[2];
+      continue;
+    }
+    const color = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(trimmed);
+    if (!color) throw new Error(`Unexpected line in GIMP palette: ${trimmed}`);
+    const swatch = { hex: rgbToHex(Number(color[1]), Number(color[2]), Number(color[3])) };
+    palette.swatches.push(color[4] ? { ...swatch, name: color[4] } : swatch);
+  }
+  return palette;
+}
+
+/**
+ * Writes a GIMP palette.
+ * @param {Palette} palette
+ * @returns {string}
+ */
+export function serializeGpl(palette) {
+  const lines = ['GIMP Palette', `Name: ${palette.name || 'Untitled'}`, 'Columns: 8', '#'];
+  for (const { hex, name } of palette.swatches) {
+    const channels = hexToBytes(hex).map((c) => String(c).padStart(3, ' ')).join(' ');
+    lines.push(`${channels}\t${name ?? hex}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Block types in Adobe Swatch Exchange files.
+const ASE_COLOR = 0x0001;
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+
+/**
+ * Reads an Adobe Swatch Exchange file.  Groups are flattened.  RGB, gray and CMYK colors are
+ * read; Lab colors are skipped.
+ * @param {ArrayBuffer} buffer
+ * @returns {Palette}
+ */
+export function parseAse(buffer) {
+  const view = new DataView(buffer);
+  let offset = 0;
+  /** @param {number} length */
+  const readAscii = (length) => {
+    const text = String.fromCharCode(...new Uint8Array(buffer, offset, length));
+    offset += length;
+    return text;
+  };
+  // Names are UTF-16 with a terminating zero, counted in characters.
+  const readName = () => {
+    const length = view.getUint16(offset);
+    offset += 2;
+    let name = '';
+    for (let i = 0; i < length; i++) {
+      const code = view.getUint16(offset + 2 * i);
+      if (code !== 0) name += String.fromCharCode(code);
+    }
+    offset += 2 * length;
+    return name;
+  };
+
+  if (buffer.byteLength < 12 || readAscii(4) !== 'ASEF') throw new Error('Not a swatch exchange file');
+  offset += 4; // version
+  const blockCount = view.getUint32(offset);
+  offset += 4;
+
+  /** @type {Palette} */
+  const palette = { name: '', swatches: [] };
+  for (let block = 0; block < blockCount; block++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const end = offset + 6 + length;
+    if (end > buffer.byteLength) throw new Error('Swatch exchange file is truncated');
+    offset += 6;
+    if (type === ASE_GROUP_START && length > 0) {
+      palette.name ||= readName();
+    } else if (type === ASE_COLOR) {
+      const name = readName();
+      const model = readAscii(4);
+      /** @param {number} count */
+      const readFloats = (count) => Array.from({ length: count }, (_, i) => view.getFloat32(offset + 4 * i));
+      let rgb;
+      if (model === 'RGB ') {
+        rgb = readFloats(3).map((c) => c * 255);
+      } else if (model === 'Gray') {
+        rgb = new Array(3).fill(readFloats(1)[0] * 255);
+      } else if (model === 'CMYK') {
+        const [c, m, y, k] = readFloats(4);
+        rgb = [c, m, y].map((channel) => 255 * (1 - channel) * (1 - k));
+      }
+      if (rgb) {
+        const swatch = { hex: rgbToHex(rgb[0], rgb[1], rgb[2]) };
+        palette.swatches.push(name ? { ...swatch, name } : swatch);
+      }
+    } else if (type !== ASE_GROUP_END && type !== ASE_GROUP_START) {
+      throw new Error(`Unknown block type ${type} in swatch exchange file`);
+    }
+    offset = end;
+  }
+  return palette;
+}
+
+/**
+ * Writes an Adobe Swatch Exchange file with the palette's colors as RGB swatches, in a group
+ * named after the palette.
+ * @param {Palette} palette
+ * @returns {ArrayBuffer}
+ */
+export function serializeAse(palette) {
+  /** @param {string} name */
+  const nameSize = (name) => 2 + 2 * (name.length + 1);
+  const groupName = palette.name || 'Untitled';
+  const names = palette.swatches.map(({ hex, name }) => name ?? hex);
+  // Each color block is its name, the model, three floats and the color type.
+  const colorSizes = names.map((name) => nameSize(name) + 4 + 12 + 2);
+  const blockSizes = [nameSize(groupName), ...colorSizes, 0];
+  const size = 12 + blockSizes.reduce((total, blockSize) => total + 6 + blockSize, 0);
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  let offset = 0;
+  /** @param {string} text */
+  const writeAscii = (text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+  };
+  /**
+   * @param {number} type
+   * @param {number} length
+   */
+  const writeBlockHeader = (type, length) => {
+    view.setUint16(offset, type);
+    view.setUint32(offset + 2, length);
+    offset += 6;
+  };
+  /** @param {string} name */
+  const writeName = (name) => {
+    view.setUint16(offset, name.length + 1);
+    offset += 2;
+    for (let c = 0; c < name.length; c++) {
+      view.setUint16(offset, name.charCodeAt(c));
+      offset += 2;
+    }
+    offset += 2; // The terminating zero.
+  };
+
+  writeAscii('ASEF');
+  view.setUint16(offset, 1);
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, blockSizes.length);
+  offset += 8;
+  writeBlockHeader(ASE_GROUP_START, blockSizes[0]);
+  writeName(groupName);
+  palette.swatches.forEach(({ hex }, i) => {
+    writeBlockHeader(ASE_COLOR, colorSizes[i]);
+    writeName(names[i]);
+    writeAscii('RGB ');
+    for (const channel of hexToBytes(hex)) {
+      view.setFloat32(offset, channel / 255);
+      offset += 4;
+    }
+    // Global colors, as opposed to spot or process.
+    view.setUint16(offset, 0);
+    offset += 2;
+  });
+  writeBlockHeader(ASE_GROUP_END, 0);
+  return buffer;
+}
+
+/**
+ * Reads a palette file, telling the formats apart by extension.
+ * @param {File} file
+ * @returns {Promise<Palette>}
+ */
+export async function readPaletteFile(file) {
+  const palette = file.name.toLowerCase().endsWith('.ase') ?
+    parseAse(await file.arrayBuffer()) : parseGpl(await file.text());
+  return { ...palette, name: palette.name || file.name.replace(/\.[^.]*$/, '') };
+}
+
+// Images are sampled down to about this many pixels before their colors are clustered.
+const MAX_SAMPLES = 65536;
+
+/**
+ * Picks the colors that best stand for an image, by median cut: the pixels are split in
+ * two along the channel they vary most in, again and again, and each group is averaged.
+ * Pixels that are mostly transparent are ignored.
+ * @param {ArrayLike<number>} pixels RGBA, in any order.
+ * @param {number} count How many colors to pick, at most.
+ * @returns {string[]} `#rrggbb` colors, from the most common group to the least.
+ */
+export function extractPalette(pixels, count) {
+  const pixelCount = Math.floor(pixels.length / 4);
+  const stride = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+  /** @type {number[][]} */
+  const samples = [];
+  for (let i = 0; i < pixelCount; i += stride) {
+    if (pixels[i * 4 + 3] < 128) continue;
+    samples.push([pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]]);
+  }
+  if (samples.length === 0) return [];
+
+  /** @param {number[][]} group */
+  const widestChannel = (group) => {
+    let best = { channel: 0, range: -1 };
+    for (let channel = 0; channel < 3; channel++) {
+      let min = 255;
+      let max = 0;
+      for (const sample of group) {
+        min = Math.min(min, sample[channel]);
+        max = Math.max(max, sample[channel]);
+      }
+      if (max - min > best.range) best = { channel, range: max - min };
+    }
+    return best;
+  };
+
+  const groups = [samples];
+  while (groups.length < count) {
+    // Split the group with the widest spread, weighted by how many pixels it holds.
+    let splitIndex = -1;
+    let splitScore = 0;
+    groups.forEach((group, i) => {
+      const score = widestChannel(group).range * group.length;
+      if (group.length > 1 && score > splitScore) {
+        splitIndex = i;
+        splitScore = score;
+      }
+    });
+    if (splitIndex < 0) break;
+    const group = groups[splitIndex];
+    const { channel } = widestChannel(group);
+    group.sort((a, b) => a[channel] - b[channel]);
+    const half = Math.floor(group.length / 2);
+    groups.splice(splitIndex, 1, group.slice(0, half), group.slice(half));
+  }
+
+  return groups
+    .sort((a, b) => b.length - a.length)
+    .map((group) => {
+      const sum = [0, 0, 0];
+      for (const sample of group) {
+        for (let channel = 0; channel < 3; channel++) sum[channel] += sample[channel];
+      }
+      return rgbToHex(sum[0] / group.length, sum[1] / group.length, sum[2] / group.length);
+    })
+    .filter((hex, i, all) => all.indexOf(hex) === i);
+}
@@ -0,0 +1,203 @@
+import { BLEND_MODES } from './layer-stack.js';
+import { STROKE_LOG_VERSION, readStrokeLog } from './stroke-log.js';
+
+/**
+ * @typedef {import('./tool-controller.js').DocumentSnapshot} DocumentSnapshot
+ */
+
+/**
+ * @typedef {{
+ *   created: number,
+ *   modified: number,
+ *   title: string,
+ * }} ProjectMetadata
+ *   Times are milliseconds since the epoch.
+ */
+
+/**
+ * Everything needed to pick a session up where it was left.
+ * @typedef {{
+ *   document: DocumentSnapshot,
+ *   chatHistory: any[],
+ *   metadata: ProjectMetadata,
+ * }} Project
+ *   `chatHistory` is the Gemini conversation as sent to the API, images included.
+ */
+
+// A .lastdraw file is laid out as:
+//   8 bytes   "LASTDRAW"
+//   4 bytes   length of the header in bytes, little-endian
+//   header    UTF-8 JSON describing the project
+//   chunks    binary data; the header gives each chunk's offset from the end of the header
+// Layer pixels are stored bottom row first, exactly as WebGL reads them, so a project
+// reopens to the same bytes.
+const MAGIC = 'LASTDRAW';
+// Bump this when the header changes, and teach `readProjectFile` to fill in what older
+// files lack.
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.lastdraw';
+
+/**
+ * @param {Project} project
+ * @returns {Promise<Blob>}
+ */
+export async function writeProjectFile(project) {
+  const { document } = project;
+  /** @type {BlobPart[]} */
+  const chunks = [];
+  let offset = 0;
+  const layers = [];
+  for (const layer of document.layers) {
+    const { bytes, encoding } = await compress(layer.pixels);
+    chunks.push(bytes);
+    layers.push({
+      name: layer.name,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blendMode: layer.blendMode,
+      pixels: { offset, length: bytes.byteLength, encoding },
+    });
+    offset += bytes.byteLength;
+  }
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    version: PROJECT_FILE_VERSION,
+    metadata: project.metadata,
+    document: {
+      width: document.width,
+      height: document.height,
+      activeIndex: document.activeIndex,
+      layers,
+    },
+    strokeLog: { version: STROKE_LOG_VERSION, strokes: document.strokes },
+    chatHistory: project.chatHistory,
+  }));
+  const prefix = new Uint8Array(MAGIC.length + 4);
+  prefix.set(new TextEncoder().encode(MAGIC));
+  new DataView(prefix.buffer).setUint32(MAGIC.length, header.byteLength, true);
+  return new Blob([prefix, header, ...chunks], { type: 'application/octet-stream' });
+}
+
+/**
+ * Reads and validates a project written by `writeProjectFile`, or by an earlier version.
+ * @param {Blob} blob
+ * @returns {Promise<Project>}
+ */
+export async function readProjectFile(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (new TextDecoder().decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+    throw new Error('Not a Last Draw project file.');
+  }
+  if (bytes.byteLength < MAGIC.length + 4) {
+    throw new Error('Project file is truncated.');
+  }
+  const headerLength = new DataView(bytes.buffer).getUint32(MAGIC.length, true);
+  const dataStart = MAGIC.length + 4 + headerLength;
+  if (dataStart > bytes.byteLength) {
+    throw new Error('Project file is truncated.');
+  }
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(MAGIC.length + 4, dataStart)));
+  if (!header || typeof header !== 'object' || !header.document) {
+    throw new Error('Project file is missing its document.');
+  }
+  if (header.version > PROJECT_FILE_VERSION) {
+    throw new Error(`Unsupported project file version ${header.version}.`);
+  }
+
+  const { width, height } = header.document;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error('Project file has an invalid document size.');
+  }
+  if (!Array.isArray(header.document.layers) || header.document.layers.length === 0) {
+    throw new Error('Project file has no layers.');
+  }
+  const layers = [];
+  for (const [index, layer] of header.document.layers.entries()) {
+    const chunk = layer.pixels;
+    if (!chunk || !(chunk.offset >= 0) || !(dataStart + chunk.offset + chunk.length <= bytes.byteLength)) {
+      throw new Error(`Layer ${index} points outside the project file.`);
+    }
+    const start = dataStart + chunk.offset;
+    const pixels = await decompress(bytes.subarray(start, start + chunk.length), chunk.encoding);
+    if (pixels.byteLength !== width * height * 4) {
+      throw new Error(`Layer ${index} does not match the document size.`);
+    }
+    layers.push({
+      name: typeof layer.name === 'string' ? layer.name : `Layer ${index + 1}`,
+      visible: layer.visible !== false,
+      opacity: Number.isFinite(layer.opacity) ? Math.min(Math.max(layer.opacity, 0), 1) : 1,
+      blendMode: BLEND_MODES.includes(layer.blendMode) ? layer.blendMode : 'normal',
+      pixels,
+    });
+  }
+
+  const chatHistory = Array.isArray(header.chatHistory) ? header.chatHistory : [];
+  for (const [index, message] of chatHistory.entries()) {
+    if (!isChatMessage(message)) {
+      throw new Error(`Chat message ${index} is not valid.`);
+    }
+  }
+
+  const now = Date.now();
+  const metadata = header.metadata ?? {};
+  return {
+    document: {
+      width,
+      height,
+      activeIndex: Number.isInteger(header.document.activeIndex) ? header.document.activeIndex : 0,
+      layers,
+      strokes: header.strokeLog ? readStrokeLog(header.strokeLog) : [],
+    },
+    chatHistory,
+    metadata: {
+      created: Number.isFinite(metadata.created) ? metadata.created : now,
+      modified: Number.isFinite(metadata.modified) ? metadata.modified : now,
+      title: typeof metadata.title === 'string' ? metadata.title : 'Untitled',
+    },
+  };
+}
+
+/**
+ * Checks that a chat history entry has the shape the Gemini API takes: a role and a list of
+ * text or inline data parts.  The API accepts inline data in either snake or camel case.
+ * @param {any} message
+ * @returns {boolean}
+ */
+function isChatMessage(message) {
+  return !!message && typeof message.role === 'string' && Array.isArray(message.parts) &&
+    message.parts.every((part) => {
+      const inlineData = part?.inline_data ?? part?.inlineData;
+      return typeof part?.text === 'string' ||
+        (typeof (inlineData?.mime_type ?? inlineData?.mimeType) === 'string' && typeof inlineData.data === 'string');
+    });
+}
+
+/**
+ * Deflates a chunk where the browser supports it.  Layers are mostly flat color, so this
+ * usually shrinks them a great deal.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ bytes: Uint8Array, encoding: 'deflate' | 'raw' }>}
+ */
+async function compress(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    return { bytes, encoding: 'raw' };
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return { bytes: new Uint8Array(await new Response(stream).arrayBuffer()), encoding: 'deflate' };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} encoding
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes, encoding) {
+  if (encoding === 'raw') {
+    return bytes.slice();
+  }
+  if (encoding !== 'deflate') {
+    throw new Error(`Unknown chunk encoding '${encoding}'.`);
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,89 @@
+/**
+ * @typedef {{x: number, y: number}} Point
+ * @typedef {{x: number, y: number, width: number, height: number}} Rect
+ */
+
+/**
+ * The smallest rectangle holding every point, grown by `padding` on each side.
+ * @param {Point[]} points
+ * @param {number} [padding]
+ * @returns {Rect}
+ */
+export function boundingRect(points, padding = 0) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs) - padding;
+  const y = Math.min(...ys) - padding;
+  return { x, y, width: Math.max(...xs) + padding - x, height: Math.max(...ys) + padding - y };
+}
+
+/**
+ * @param {Rect} rect
+ * @param {number} amount
+ * @returns {Rect}
+ */
+export function expandRect(rect, amount) {
+  return { x: rect.x - amount, y: rect.y - amount, width: rect.width + 2 * amount, height: rect.height + 2 * amount };
+}
+
+/**
+ * @param {Rect} a
+ * @param {Rect} b
+ * @returns {Rect} Empty (zero width or height) if they don't overlap.
+ */
+export function intersectRects(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(a.x + a.width, b.x + b.width) - x),
+    height: Math.max(0, Math.min(a.y + a.height, b.y + b.height) - y),
+  };
+}
+
+/**
+ * @param {Rect} a
+ * @param {Rect} b
+ * @returns {Rect} The smallest rectangle holding both.
+ */
+export function unionRects(a, b) {
+  if (isEmptyRect(a)) return b;
+  if (isEmptyRect(b)) return a;
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
+
+/**
+ * Grows a rectangle outward to whole pixels.
+ * @param {Rect} rect
+ * @returns {Rect}
+ */
+export function roundRectOut(rect) {
+  const x = Math.floor(rect.x);
+  const y = Math.floor(rect.y);
+  return { x, y, width: Math.ceil(rect.x + rect.width) - x, height: Math.ceil(rect.y + rect.height) - y };
+}
+
+/**
+ * @param {Rect} rect
+ * @returns {boolean}
+ */
+export function isEmptyRect(rect) {
+  return !(rect.width > 0 && rect.height > 0);
+}
+
+/**
+ * @param {Rect} a
+ * @param {Rect} b
+ * @returns {boolean}
+ */
+export function rectsEqual(a, b) {
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
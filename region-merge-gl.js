@@ -0,0 +1,78 @@
+// @ts-check
+
+import { ShaderTool } from './shader-tool.js';
+
+/**
+ * Shrinks one tile of a region edited at a higher resolution back to layer resolution.  Each
+ * output pixel averages the block of region pixels that covers it.
+ *
+ * Besides the usual uniforms it takes `u_region` (the region tile) and `u_scale`.  Draw it at
+ * the tile's size divided by the scale.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createRegionDownsampleTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_region;
+uniform int u_scale;
+
+out vec4 fragColor;
+
+void main() {
+    // Average with premultiplied alpha so transparent pixels don't darken the edges.
+    ivec2 origin = ivec2(floor(gl_FragCoord.xy)) * u_scale;
+    vec4 sum = vec4(0.0);
+    for (int y = 0; y < u_scale; y++) {
+        for (int x = 0; x < u_scale; x++) {
+            vec4 texel = texelFetch(u_region, origin + ivec2(x, y), 0);
+            sum += vec4(texel.rgb * texel.a, texel.a);
+        }
+    }
+    fragColor = vec4(sum.a > 0.0 ? sum.rgb / sum.a : vec3(0.0), sum.a / float(u_scale * u_scale));
+}
+`;
+
+  return new ShaderTool(gl, fragmentShaderSource, { id: 'region-downsample' });
+}
+
+/**
+ * Mixes a downsampled region into the layer it came from.  The region fades in from the edge
+ * of its rectangle so the seam doesn't show.
+ *
+ * Besides the usual uniforms it takes `u_region` (the downsampled pixels, lined up with
+ * `u_texture`), `u_rect` (x, y, width and height of the region in the same pixels) and
+ * `u_feather` (in layer pixels).
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createRegionMergeTool(gl) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform sampler2D u_region;
+uniform vec2 u_resolution;
+uniform vec4 u_rect;
+uniform float u_feather;
+
+out vec4 fragColor;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    vec4 original = texture(u_texture, uv);
+    vec2 local = gl_FragCoord.xy - u_rect.xy;
+    if (any(lessThan(local, vec2(0.0))) || any(greaterThanEqual(local, u_rect.zw))) {
+        fragColor = original;
+        return;
+    }
+
+    float edge = min(min(local.x, local.y), min(u_rect.z - local.x, u_rect.w - local.y));
+    float weight = u_feather > 0.0 ? smoothstep(0.0, u_feather, edge) : 1.0;
+    fragColor = mix(original, texture(u_region, uv), weight);
+}
+`;
+
+  return new ShaderTool(gl, fragmentShaderSource, { id: 'region-merge', reach: () => 0 });
+}
@@ -1,5 +1,6 @@
 // @ts-check
 
+import { boundingRect } from './rect.js';
 import { ShaderTool } from './shader-tool.js';
 
 /**
@@ -9,7 +10,7 @@ import { ShaderTool } from './shader-tool.js';
 export function createRotationTool(gl) {
   const fragmentShaderSource = `#version 300 es
 
-precision mediump float;
+precision highp float;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform vec2 u_start;
@@ -75,5 +76,16 @@ void main() {
     fragColor = texture(u_texture, final_uv);
 }
     `;
-  return new ShaderTool(gl, fragmentShaderSource);
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id: 'rotation',
+    // The twist fades out by three times the drag from the center.
+    footprint: (stroke) => boundingRect([stroke.start], 3 * dragRadius(stroke) + 1),
+    // A pixel on one side of that circle can be fed from the other.
+    reach: (stroke) => 6 * dragRadius(stroke) + 2,
+  });
+}
+
+/** @param {import('./stroke-log.js').StrokeRecord} stroke */
+function dragRadius(stroke) {
+  return Math.hypot(stroke.end.x - stroke.start.x, stroke.end.y - stroke.start.y);
 }
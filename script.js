@@ -1,24 +1,67 @@
 import { createEraserTool } from './eraser-gl.js';
 import { createSmudgeTool } from './smudge-gl.js';
-import { ToolController } from './tool-controller.js';
+import { MAX_DOCUMENT_SIZE, ToolController } from './tool-controller.js';
 import { createArcTool } from './arc-gl.js';
 import { createLineTool } from './line-gl.js';
+import { createBrushTool } from './brush-gl.js';
+import { createCurveTool } from './curve-tool.js';
+import { createFillTool } from './fill-tool.js';
+import { createEyedropperTool } from './eyedropper-tool.js';
+import { createSketchTool } from './sketch-tool.js';
+import { createSymmetryAxisTool } from './symmetry-tool.js';
+import {
+  createBrightnessContrastTool, createCurvesTool, createHueSaturationTool, createInvertTool, createLevelsTool,
+  createPosterizeTool, createThresholdTool,
+} from './adjustments-gl.js';
+import { AdjustmentDialog } from './adjustment-dialog.js';
+import { createEllipseTool, createPolygonTool, createRectangleTool, createStarTool } from './shapes-gl.js';
 import { createRotationTool } from './rotation-gl.js';
+import { createLiquifyTool } from './liquify-gl.js';
+import { createCloneStampTool, createHealingBrushTool } from './clone-gl.js';
 import { GeminiChat } from './gemini-chat.js';
+import { LayerPanel } from './layer-panel.js';
+import { IMAGE_EXTENSIONS, copyImageToClipboard, downloadBlob } from './image-export.js';
+import { createEllipseSelectTool, createLassoTool, createMagicWandTool, createRectangleSelectTool } from './selection-tools.js';
+import { ShaderTool } from './shader-tool.js';
+import { parseStrokeLog, serializeStrokeLog } from './stroke-log.js';
+import { PROJECT_FILE_EXTENSION, readProjectFile, writeProjectFile } from './project-file.js';
+import { Autosaver, SessionStore } from './autosave.js';
+import { ToolParamsPanel } from './tool-params-panel.js';
+import { ColorState } from './color-state.js';
+import { ColorPanel } from './color-panel.js';
+import { CUSTOM_TOOL_FILE_EXTENSION, CustomToolStore, createCustomTool, parseCustomTool, serializeCustomTool } from './custom-tools.js';
+import { ShaderEditor } from './shader-editor.js';
 
-function createBackground() {
+function createBackground(width = 1024, height = 1024, color = '#fff') {
   const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = 1024;
-  tempCanvas.height = 1024;
+  tempCanvas.width = width;
+  tempCanvas.height = height;
   const ctx = tempCanvas.getContext('2d');
   if (!ctx) {
     throw new Error("Unable to create 2D context.");
   }
-  ctx.fillStyle = '#fff';
+  ctx.fillStyle = color;
   ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
   return tempCanvas;
 }
 
+/**
+ * Shows a modal form and resolves with its values, or null if it was cancelled.
+ * @param {string} id The id of a dialog holding a `method="dialog"` form.
+ * @returns {Promise<FormData | null>}
+ */
+function showFormDialog(id) {
+  const dialog = /** @type {HTMLDialogElement} */ (document.getElementById(id));
+  const form = /** @type {HTMLFormElement} */ (dialog.querySelector('form'));
+  return new Promise((resolve) => {
+    dialog.addEventListener('close', () => {
+      resolve(dialog.returnValue === 'ok' ? new FormData(form) : null);
+    }, { once: true });
+    dialog.returnValue = '';
+    dialog.showModal();
+  });
+}
+
 /** @type {GeminiChat | null} */
 let geminiChat = null;
 
@@ -40,9 +83,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     alert('Canvas element not found.');
     return;
   }
+  // The canvas backing store follows its displayed size; the document size comes from the background.
   const canvas = /** @type {HTMLCanvasElement!} */ (maybeCanvas);
-  canvas.width = 1024;
-  canvas.height = canvas.width;
 
   const controller = new ToolController(canvas);
   const background = createBackground();
@@ -53,16 +95,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     return;
   }
 
+  const colors = new ColorState();
+
   const tools = {
     'e': { name: 'Eraser', tool: createEraserTool(controller.gl) },
     's': { name: 'Smudge', tool: createSmudgeTool(controller.gl) },
     'a': { name: 'Arc', tool: createArcTool(controller.gl) },
     'l': { name: 'Line', tool: createLineTool(controller.gl) },
+    'b': { name: 'Brush', tool: createBrushTool(controller.gl) },
+    'c': { name: 'Curve', tool: createCurveTool(controller.gl) },
+    'u': { name: 'Rectangle', tool: createRectangleTool(controller.gl) },
+    'j': { name: 'Ellipse', tool: createEllipseTool(controller.gl) },
+    'p': { name: 'Polygon', tool: createPolygonTool(controller.gl) },
+    'k': { name: 'Star', tool: createStarTool(controller.gl) },
+    'g': { name: 'Fill', tool: createFillTool(controller.gl) },
     'r': { name: 'Rotation', tool: createRotationTool(controller.gl) },
+    'v': { name: 'Liquify', tool: createLiquifyTool(controller.gl) },
+    't': { name: 'Clone stamp', tool: createCloneStampTool(controller.gl) },
+    'n': { name: 'Healing brush', tool: createHealingBrushTool(controller.gl) },
+    'h': { name: 'Sketch filter', tool: createSketchTool(controller.gl) },
+    'm': { name: 'Rectangle select', tool: createRectangleSelectTool() },
+    'o': { name: 'Ellipse select', tool: createEllipseSelectTool() },
+    'q': { name: 'Lasso', tool: createLassoTool() },
+    'w': { name: 'Magic wand', tool: createMagicWandTool() },
+    'i': { name: 'Eyedropper', tool: createEyedropperTool(colors) },
+    'x': { name: 'Symmetry axis', tool: createSymmetryAxisTool() },
   };
+  // Liquify keeps its displacements in a float texture, which not every GPU can draw into.
+  if (!controller.canLiquify) {
+    delete tools['v'];
+  }
+
+  // Drag tools that draw commit through a shader tool of their own.
+  /** @type {ShaderTool[]} */
+  const shaderTools = [];
+  for (const { tool } of Object.values(tools)) {
+    const shaderTool = tool instanceof ShaderTool ? tool : tool.shaderTool;
+    if (shaderTool) {
+      shaderTools.push(shaderTool);
+    }
+  }
+
+  const toolParamsContainer = document.getElementById('tool-params');
+  const toolParamsPanel = toolParamsContainer ?
+    new ToolParamsPanel(toolParamsContainer, shaderTools, () => { controller.isDirty = true; }) : null;
+
+  // Color params that follow the foreground or background color are kept in step with it.
+  function applyColors() {
+    for (const tool of shaderTools) {
+      for (const param of tool.params) {
+        if (param.follows) {
+          tool.setParam(param.name, colors[param.follows]);
+        }
+      }
+    }
+    controller.isDirty = true;
+  }
+  applyColors();
+  colors.addEventListener('change', applyColors);
 
-  // Create tool buttons and add to the palette
-  for (const [key, { name, tool }] of Object.entries(tools)) {
+  const colorPanelContainer = document.getElementById('color-panel');
+  const colorPanel = colorPanelContainer ? new ColorPanel(colorPanelContainer, colors, controller) : null;
+
+  /**
+   * Creates a tool button and adds it to the palette.
+   * @param {string} key
+   */
+  function addToolButton(key) {
+    const { name, tool } = tools[key];
     const toolDiv = document.createElement('div');
     toolDiv.classList.add('tool-item');
     toolDiv.textContent = `${name} (${key})`;
@@ -75,6 +175,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  for (const key of Object.keys(tools)) {
+    addToolButton(key);
+  }
+
   function updateActiveToolUI(activeKey) {
     document.querySelectorAll('.tool-item').forEach(el => {
       if (el.dataset.toolKey === activeKey) {
@@ -83,15 +187,64 @@ document.addEventListener('DOMContentLoaded', async () => {
         el.classList.remove('active');
       }
     });
+    toolParamsPanel?.show(tools[activeKey].tool);
   }
 
   // Initialize all tools with the background
   controller.setBackgroundTexture(background);
 
+  const layerPanelContainer = document.getElementById('layer-panel');
+  if (layerPanelContainer) {
+    new LayerPanel(layerPanelContainer, controller);
+  }
+
   controller.setTool(tools['e'].tool); // Start with the Eraser tool
   updateActiveToolUI('e');
 
   document.addEventListener('keydown', (event) => {
+    // Leave typing in the chat box and other inputs alone.
+    const target = /** @type {HTMLElement} */ (event.target);
+    if (target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      return;
+    }
+    if (!event.ctrlKey && !event.metaKey && controller.handleToolKey(event)) {
+      event.preventDefault();
+      return;
+    }
+    if (event.ctrlKey || event.metaKey) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        controller.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        controller.redo();
+      } else if (key === '0') {
+        event.preventDefault();
+        controller.zoomToFit();
+      } else if (key === '1') {
+        event.preventDefault();
+        controller.zoomToActualSize();
+      } else if (key === '=' || key === '+') {
+        event.preventDefault();
+        controller.zoomBy(2);
+      } else if (key === '-') {
+        event.preventDefault();
+        controller.zoomBy(0.5);
+      } else if (key === 'a') {
+        event.preventDefault();
+        controller.selectAll();
+      } else if (key === 'd') {
+        event.preventDefault();
+        controller.deselect();
+      } else if (event.code === 'KeyI' && event.altKey) {
+        // Not Ctrl+Shift+I, which opens the developer tools.  The code rather than the key,
+        // since Alt changes the key on a Mac.
+        event.preventDefault();
+        controller.invertSelection();
+      }
+      return;
+    }
     const newToolInfo = tools[event.key];
     if (newToolInfo && newToolInfo.tool !== controller.activeTool) {
       controller.setTool(newToolInfo.tool);
@@ -123,25 +276,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     reader.onload = (e) => {
       const img = new Image();
       img.onload = () => {
+        // The document takes the image's native size, unless that is more than a document can hold.
+        const scale = Math.min(1, MAX_DOCUMENT_SIZE / img.width, MAX_DOCUMENT_SIZE / img.height);
+        if (scale < 1) {
+          console.warn(`Image is ${img.width}x${img.height}; scaling it down to fit the limit of ${MAX_DOCUMENT_SIZE}.`);
+        }
         const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = 1024;
-        tempCanvas.height = 1024;
+        tempCanvas.width = Math.round(img.width * scale);
+        tempCanvas.height = Math.round(img.height * scale);
         const ctx = tempCanvas.getContext('2d');
-        ctx.fillStyle = '#f0f';
-        ctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-
-        let drawWidth, drawHeight, x, y;
-        const scale = 0.9 * Math.min(tempCanvas.width / img.width, tempCanvas.height / img.height);
-        drawWidth = img.width * scale;
-        drawHeight = img.height * scale;
-        x = (tempCanvas.width - drawWidth) / 2;
-        y = (tempCanvas.height - drawHeight) / 2;
 
         // Flip the canvas vertically to match WebGL's coordinate system
         ctx.save();
         ctx.translate(0, tempCanvas.height);
         ctx.scale(1, -1);
-        ctx.drawImage(img, x, y, drawWidth, drawHeight);
+        ctx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
         ctx.restore();
         controller.setBackgroundTexture(tempCanvas);
       };
@@ -150,8 +299,513 @@ document.addEventListener('DOMContentLoaded', async () => {
     reader.readAsDataURL(file);
   });
 
+  document.getElementById('newDocument')?.addEventListener('click', async () => {
+    const values = await showFormDialog('newDocumentDialog');
+    if (!values) {
+      return;
+    }
+    try {
+      controller.setBackgroundTexture(createBackground(
+        Number(values.get('width')), Number(values.get('height')), String(values.get('color'))));
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  const workingFormatSelect = document.getElementById('workingFormat');
+  if (workingFormatSelect) {
+    // Only offer the formats this GPU can draw into.
+    for (const option of workingFormatSelect.options) {
+      option.disabled = !controller.supportedFormats.includes(option.value);
+    }
+    workingFormatSelect.value = controller.workingFormat;
+    workingFormatSelect.addEventListener('change', () => {
+      try {
+        controller.setWorkingFormat(workingFormatSelect.value);
+      } catch (error) {
+        alert(error.message);
+        workingFormatSelect.value = controller.workingFormat;
+      }
+    });
+  }
+
+  const symmetryModeSelect = document.getElementById('symmetryMode');
+  const symmetrySegmentsInput = document.getElementById('symmetrySegments');
+  if (symmetryModeSelect && symmetrySegmentsInput) {
+    const showSymmetry = () => {
+      symmetryModeSelect.value = controller.symmetry.mode;
+      symmetrySegmentsInput.value = String(controller.symmetry.segments);
+      symmetrySegmentsInput.disabled = controller.symmetry.mode !== 'radial';
+    };
+    /** @param {Partial<import('./tool-controller.js').Symmetry>} changes */
+    const setSymmetry = (changes) => {
+      try {
+        controller.setSymmetry(changes);
+      } catch (error) {
+        alert(error.message);
+        showSymmetry();
+      }
+    };
+    symmetryModeSelect.addEventListener('change', () => setSymmetry({ mode: symmetryModeSelect.value }));
+    symmetrySegmentsInput.addEventListener('change', () => setSymmetry({ segments: Number(symmetrySegmentsInput.value) }));
+    controller.addEventListener('symmetrychange', showSymmetry);
+    showSymmetry();
+  }
+  document.getElementById('centerSymmetry')?.addEventListener('click', () => controller.setSymmetry({ center: null }));
+
+  document.getElementById('resizeCanvas')?.addEventListener('click', async () => {
+    const dialog = document.getElementById('resizeCanvasDialog');
+    dialog.querySelector('[name=width]').value = controller.width;
+    dialog.querySelector('[name=height]').value = controller.height;
+    const values = await showFormDialog('resizeCanvasDialog');
+    if (!values) {
+      return;
+    }
+    const [x, y] = String(values.get('anchor')).split(',').map(Number);
+    try {
+      controller.resizeCanvas(Number(values.get('width')), Number(values.get('height')), { x, y });
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('cropCanvas')?.addEventListener('click', async () => {
+    const dialog = document.getElementById('cropDialog');
+    dialog.querySelector('[name=width]').value = controller.width;
+    dialog.querySelector('[name=height]').value = controller.height;
+    const values = await showFormDialog('cropDialog');
+    if (!values) {
+      return;
+    }
+    // The dialog measures from the top-left; documents measure from the bottom-left.
+    const width = Number(values.get('width'));
+    const height = Number(values.get('height'));
+    const x = Number(values.get('left'));
+    const y = controller.height - Number(values.get('top')) - height;
+    try {
+      controller.crop({ x, y, width, height });
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  document.getElementById('selectAll')?.addEventListener('click', () => controller.selectAll());
+  document.getElementById('deselect')?.addEventListener('click', () => controller.deselect());
+  document.getElementById('invertSelection')?.addEventListener('click', () => controller.invertSelection());
+  document.getElementById('featherSelection')?.addEventListener('click', () => {
+    const radius = Number(prompt('Feather radius (pixels)', '8'));
+    if (radius > 0) {
+      controller.featherSelection(radius);
+    }
+  });
+
+  document.getElementById('openRegion')?.addEventListener('click', async () => {
+    const bounds = controller.selection.bounds();
+    if (!bounds) {
+      alert('Select the region to edit first.');
+      return;
+    }
+    const values = await showFormDialog('regionDialog');
+    if (!values) {
+      return;
+    }
+    try {
+      controller.openRegion(bounds, Number(values.get('scale')), Number(values.get('feather')));
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+  document.getElementById('mergeRegion')?.addEventListener('click', () => controller.mergeRegion());
+  document.getElementById('discardRegion')?.addEventListener('click', () => {
+    if (confirm('Discard the changes to this region?')) {
+      controller.discardRegion();
+    }
+  });
+  controller.addEventListener('regionchange', () => {
+    for (const id of ['mergeRegion', 'discardRegion']) {
+      const button = /** @type {HTMLButtonElement | null} */ (document.getElementById(id));
+      if (button) {
+        button.disabled = !controller.isEditingRegion;
+      }
+    }
+  });
+
+  document.getElementById('applyLiquify')?.addEventListener('click', () => controller.applyLiquify());
+  document.getElementById('cancelLiquify')?.addEventListener('click', () => controller.cancelLiquify());
+  controller.addEventListener('toolerror', (e) => alert(e.detail));
+  controller.addEventListener('liquifychange', () => {
+    for (const id of ['applyLiquify', 'cancelLiquify']) {
+      const button = /** @type {HTMLButtonElement | null} */ (document.getElementById(id));
+      if (button) {
+        button.disabled = !controller.isLiquifying;
+      }
+    }
+  });
+
+  // Adjustments change the whole layer, or the selection, from a dialog rather than a drag.
+  const adjustments = [
+    { name: 'Levels', tool: createLevelsTool(controller.gl) },
+    { name: 'Curves', tool: createCurvesTool(controller.gl) },
+    { name: 'Brightness/contrast', tool: createBrightnessContrastTool(controller.gl) },
+    { name: 'Hue/saturation', tool: createHueSaturationTool(controller.gl) },
+    { name: 'Invert', tool: createInvertTool(controller.gl) },
+    { name: 'Threshold', tool: createThresholdTool(controller.gl) },
+    { name: 'Posterize', tool: createPosterizeTool(controller.gl) },
+  ];
+  const adjustmentDialog = new AdjustmentDialog(
+    /** @type {HTMLDialogElement} */ (document.getElementById('adjustmentDialog')), controller,
+    adjustments.map(({ tool }) => tool));
+  const adjustmentList = document.getElementById('adjustmentList');
+  for (const { name, tool } of adjustments) {
+    const button = document.createElement('button');
+    button.textContent = `${name}…`;
+    button.addEventListener('click', () => {
+      if (!controller.isDragging) {
+        adjustmentDialog.open(name, tool);
+      }
+    });
+    adjustmentList?.appendChild(button);
+  }
+
+  // Only shader tools leave strokes in the log.
+  /** @type {Record<string, ShaderTool>} */
+  const toolsById = {};
+  for (const tool of [...shaderTools, ...adjustments.map(({ tool }) => tool)]) {
+    toolsById[tool.id] = tool;
+  }
+
+  // Tools the user wrote in the shader editor.  They are kept in local storage and join the
+  // palette like the built-in ones.
+  const customToolStore = new CustomToolStore();
+  const customTools = customToolStore.load();
+  const shaderEditor = new ShaderEditor(
+    /** @type {HTMLDialogElement} */ (document.getElementById('shaderEditorDialog')), controller.gl);
+  /**
+   * Why each stored tool that isn't in the palette was left out, by id.
+   * @type {Map<string, string>}
+   */
+  const customToolErrors = new Map();
+
+  /**
+   * @param {import('./custom-tools.js').CustomToolDefinition} definition
+   * @param {ShaderTool} [tool] The compiled tool, if it already is.
+   */
+  function registerCustomTool(definition, tool = createCustomTool(controller.gl, definition)) {
+    tools[definition.key] = { name: definition.name, tool };
+    toolsById[definition.id] = tool;
+    addToolButton(definition.key);
+  }
+
+  /** @param {import('./custom-tools.js').CustomToolDefinition} definition */
+  function unregisterCustomTool(definition) {
+    const tool = toolsById[definition.id];
+    // Tools that didn't compile were never registered.
+    if (!tool) {
+      return;
+    }
+    if (controller.activeTool === tool) {
+      controller.setTool(tools['e'].tool);
+      updateActiveToolUI('e');
+    }
+    tool.delete();
+    // Never take a built-in tool's key along with it.
+    if (tools[definition.key]?.tool === tool) {
+      delete tools[definition.key];
+      toolPalette.querySelector(`[data-tool-key="${CSS.escape(definition.key)}"]`)?.remove();
+    }
+    delete toolsById[definition.id];
+  }
+
+  function saveCustomTools() {
+    try {
+      customToolStore.save(customTools);
+    } catch (error) {
+      console.error("Failed to save custom tools:", error);
+      alert(`Could not save custom tools: ${error.message}`);
+    }
+    renderCustomToolList();
+  }
+
+  /**
+   * Adds a custom tool, or replaces the one with the same id.
+   * @param {import('./custom-tools.js').CustomToolDefinition} definition
+   */
+  function installCustomTool(definition) {
+    const index = customTools.findIndex(({ id }) => id === definition.id);
+    const previous = index >= 0 ? customTools[index] : null;
+    if (definition.key in tools && tools[definition.key].tool !== (previous && toolsById[previous.id])) {
+      throw new Error(`The hotkey ${definition.key} already belongs to ${tools[definition.key].name}.`);
+    }
+    // Compile before touching the palette so a broken tool leaves the old one in place.
+    const tool = createCustomTool(controller.gl, definition);
+    if (previous) {
+      unregisterCustomTool(previous);
+      customTools[index] = definition;
+    } else {
+      customTools.push(definition);
+    }
+    registerCustomTool(definition, tool);
+    customToolErrors.delete(definition.id);
+    saveCustomTools();
+  }
+
+  /** @param {import('./custom-tools.js').CustomToolDefinition | null} definition */
+  async function editCustomTool(definition) {
+    const edited = await shaderEditor.open(definition, (key) =>
+      key in tools && (!definition || tools[key].tool !== toolsById[definition.id]));
+    if (!edited) {
+      return;
+    }
+    try {
+      installCustomTool(edited);
+    } catch (error) {
+      console.error("Failed to install custom tool:", error);
+      alert(`Could not add the tool: ${error.message}`);
+    }
+  }
+
+  function renderCustomToolList() {
+    const list = document.getElementById('customToolList');
+    if (!list) {
+      return;
+    }
+    list.replaceChildren();
+    for (const definition of customTools) {
+      const item = document.createElement('div');
+      item.classList.add('custom-tool-item');
+      const label = document.createElement('span');
+      label.textContent = `${definition.name} (${definition.key})`;
+      const error = customToolErrors.get(definition.id);
+      if (error) {
+        label.title = error;
+        label.classList.add('error');
+      }
+      /** @type {[string, () => void][]} */
+      const actions = [
+        ['Edit', () => editCustomTool(definition)],
+        ['Export', () => downloadBlob(new Blob([serializeCustomTool(definition)], { type: 'application/json' }),
+          `${definition.name.replace(/[^\w-]+/g, '_') || 'tool'}${CUSTOM_TOOL_FILE_EXTENSION}`)],
+        ['Delete', () => {
+          if (!confirm(`Delete the tool ${definition.name}?`)) {
+            return;
+          }
+          unregisterCustomTool(definition);
+          customToolErrors.delete(definition.id);
+          customTools.splice(customTools.indexOf(definition), 1);
+          saveCustomTools();
+        }],
+      ];
+      item.appendChild(label);
+      for (const [text, action] of actions) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', action);
+        item.appendChild(button);
+      }
+      list.appendChild(item);
+    }
+  }
+
+  for (const definition of customTools) {
+    // Keep tools that can't join the palette in the list, so they can be fixed.
+    if (definition.key in tools) {
+      console.error(`Custom tool ${definition.name} uses the hotkey of ${tools[definition.key].name}`);
+      customToolErrors.set(definition.id, `The hotkey ${definition.key} already belongs to ${tools[definition.key].name}`);
+      continue;
+    }
+    try {
+      registerCustomTool(definition);
+    } catch (error) {
+      console.error(`Custom tool ${definition.name} failed to compile:`, error);
+      customToolErrors.set(definition.id, 'Does not compile');
+    }
+  }
+  renderCustomToolList();
+
+  document.getElementById('newShaderTool')?.addEventListener('click', () => editCustomTool(null));
+
+  document.getElementById('importShaderTool')?.addEventListener('change', async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      installCustomTool(parseCustomTool(await file.text()));
+    } catch (error) {
+      console.error("Failed to import tool:", error);
+      alert(`Could not import the tool: ${error.message}`);
+    }
+    input.value = '';
+  });
+
+  document.getElementById('saveStrokes')?.addEventListener('click', () => {
+    const blob = new Blob([serializeStrokeLog(controller.strokes)], { type: 'application/json' });
+    downloadBlob(blob, 'strokes.json');
+  });
+
+  document.getElementById('exportImage')?.addEventListener('click', async () => {
+    const values = await showFormDialog('exportDialog');
+    if (!values) {
+      return;
+    }
+    const type = /** @type {import('./image-export.js').ImageType} */ (String(values.get('type')));
+    try {
+      const blob = await controller.exportImage({
+        type,
+        quality: Number(values.get('quality')) / 100,
+        activeLayerOnly: values.has('activeLayerOnly'),
+      });
+      downloadBlob(blob, `drawing.${IMAGE_EXTENSIONS[type]}`);
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert(`Could not export the image: ${error.message}`);
+    }
+  });
+
+  document.getElementById('copyImage')?.addEventListener('click', async () => {
+    try {
+      await copyImageToClipboard(await controller.exportImage({ type: 'image/png' }));
+    } catch (error) {
+      console.error("Copy failed:", error);
+      alert(`Could not copy the image: ${error.message}`);
+    }
+  });
+
+  document.getElementById('replayStrokes')?.addEventListener('change', async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const strokes = parseStrokeLog(await file.text());
+      // Replay onto a blank page the size the strokes were recorded at.
+      const width = strokes.length > 0 ? strokes[0].width : controller.width;
+      const height = strokes.length > 0 ? strokes[0].height : controller.height;
+      controller.replayStrokes(createBackground(width, height), strokes, toolsById);
+    } catch (error) {
+      console.error("Failed to replay strokes:", error);
+      alert(`Could not replay strokes: ${error.message}`);
+    }
+    input.value = '';
+  });
+
+  /** @type {import('./project-file.js').ProjectMetadata} */
+  let projectMetadata = { created: Date.now(), modified: Date.now(), title: 'Untitled' };
+
+  document.getElementById('saveProject')?.addEventListener('click', async () => {
+    try {
+      projectMetadata = { ...projectMetadata, modified: Date.now() };
+      const blob = await writeProjectFile({
+        document: controller.snapshotDocument(),
+        chatHistory: geminiChat ? geminiChat.history : [],
+        metadata: projectMetadata,
+      });
+      downloadBlob(blob, `${projectMetadata.title}${PROJECT_FILE_EXTENSION}`);
+    } catch (error) {
+      console.error("Failed to save project:", error);
+      alert(`Could not save the project: ${error.message}`);
+    }
+  });
+
+  document.getElementById('openProject')?.addEventListener('change', async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const project = await readProjectFile(file);
+      controller.loadDocument(project.document);
+      geminiChat?.loadHistory(project.chatHistory);
+      projectMetadata = project.metadata;
+    } catch (error) {
+      console.error("Failed to open project:", error);
+      alert(`Could not open the project: ${error.message}`);
+    }
+    input.value = '';
+  });
+
   await initializeChat();
   if (geminiChat) {
     controller.setChatInstance(geminiChat);
+    if (colorPanel) {
+      geminiChat.imageActions.push({
+        label: 'Use colors',
+        action: (image) => colorPanel.extractFrom(image, image.naturalWidth, image.naturalHeight, 'From Gemini'),
+      });
+    }
+  }
+
+  canvas.addEventListener('webglcontextlost', () => {
+    alert('The graphics context was lost. Reload the page to recover your last autosave.');
+  });
+
+  /** @type {SessionStore | null} */
+  let sessionStore = null;
+  try {
+    sessionStore = await SessionStore.open();
+  } catch (error) {
+    console.error("Autosave is unavailable:", error);
+    return;
+  }
+  const store = sessionStore;
+  const autosaver = new Autosaver(controller, store, () => ({
+    document: controller.snapshotDocument(),
+    chatHistory: geminiChat ? geminiChat.history : [],
+    metadata: { ...projectMetadata, modified: Date.now() },
+  }));
+
+  /**
+   * Lists the saved sessions with their thumbnails, and restores the one that is picked.
+   * @param {string} heading
+   */
+  async function showRecentSessions(heading) {
+    const sessions = await store.list();
+    const dialog = /** @type {HTMLDialogElement} */ (document.getElementById('sessionsDialog'));
+    const list = /** @type {HTMLElement} */ (document.getElementById('sessionList'));
+    /** @type {string[]} */
+    const thumbnailUrls = [];
+    dialog.querySelector('h3').textContent = heading;
+    list.replaceChildren();
+    for (const session of sessions) {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.classList.add('session-item');
+      const thumbnail = document.createElement('img');
+      thumbnail.src = URL.createObjectURL(session.thumbnail);
+      thumbnailUrls.push(thumbnail.src);
+      const label = document.createElement('span');
+      label.textContent = `${session.title} — ${new Date(session.modified).toLocaleString()}`;
+      item.append(thumbnail, label);
+      item.addEventListener('click', async () => {
+        dialog.close();
+        try {
+          const project = await store.load(session.id);
+          controller.loadDocument(project.document);
+          geminiChat?.loadHistory(project.chatHistory);
+          projectMetadata = project.metadata;
+          // Keep saving over the restored session rather than starting another.
+          autosaver.sessionId = session.id;
+        } catch (error) {
+          console.error("Failed to restore session:", error);
+          alert(`Could not restore the session: ${error.message}`);
+        }
+      });
+      list.appendChild(item);
+    }
+    if (sessions.length === 0) {
+      list.textContent = 'No saved sessions.';
+    }
+    dialog.addEventListener('close', () => thumbnailUrls.forEach((url) => URL.revokeObjectURL(url)), { once: true });
+    dialog.showModal();
+  }
+
+  document.getElementById('recentSessions')?.addEventListener('click', () => showRecentSessions('Recent sessions'));
+
+  // Offer to pick up where the last visit left off.
+  if ((await store.list()).length > 0) {
+    await showRecentSessions('Restore a previous session?');
   }
 });
\ No newline at end of file
@@ -0,0 +1,121 @@
+import { floodFillMask } from './flood-fill.js';
+import { ellipseMask, polygonMask, rectangleMask, shapeBounds } from './selection.js';
+
+/**
+ * @typedef {import('./tool-controller.js').Point} Point
+ * @typedef {import('./tool-controller.js').ToolController} ToolController
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ * @typedef {import('./selection.js').SelectionMode} SelectionMode
+ */
+
+/**
+ * Shift adds to the selection, Alt subtracts from it, and both together intersect with it.
+ * @param {PointerEvent} e
+ * @returns {SelectionMode}
+ */
+function selectionModeFromEvent(e) {
+  if (e.shiftKey && e.altKey) return 'intersect';
+  if (e.shiftKey) return 'add';
+  if (e.altKey) return 'subtract';
+  return 'replace';
+}
+
+// Ellipses are outlined with this many segments while they are dragged.
+const ELLIPSE_OUTLINE_SEGMENTS = 64;
+
+/**
+ * A tool that selects the shape spanned by the drag.  The shape is outlined while the drag
+ * goes on, and only turned into a mask, once, when it ends.
+ * @param {string} id
+ * @param {(width: number, height: number, points: Point[]) => Uint8Array} rasterizeShape
+ * @param {(points: Point[]) => Point[]} outline The shape's outline, as a closed polygon.
+ * @returns {DragTool}
+ */
+function createShapeSelectTool(id, rasterizeShape, outline) {
+  /** @type {Point[]} */
+  let points = [];
+  /** @type {SelectionMode} */
+  let mode = 'replace';
+
+  return {
+    id,
+    onDragStart(controller, point, e) {
+      points = [point];
+      mode = selectionModeFromEvent(e);
+    },
+    onDragMove(controller, newPoints) {
+      points.push(...newPoints);
+    },
+    onDragEnd(controller) {
+      const { width, height } = controller;
+      controller.setSelection(rasterizeShape(width, height, points), mode, shapeBounds(width, height, points));
+      points = [];
+    },
+    drawOverlay(ctx, toOverlay) {
+      if (points.length === 0) return;
+      ctx.beginPath();
+      for (const point of outline(points)) {
+        const p = toOverlay(point);
+        ctx.lineTo(p.x, p.y);
+      }
+      ctx.closePath();
+      // Dashes over a solid line, so the outline shows on light and dark pixels alike.
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = '#000000';
+      ctx.stroke();
+      ctx.setLineDash([]);
+    },
+  };
+}
+
+export function createRectangleSelectTool() {
+  return createShapeSelectTool('rectangle-select',
+    (width, height, points) => rectangleMask(width, height, points[0], points[points.length - 1]),
+    (points) => {
+      const a = points[0];
+      const b = points[points.length - 1];
+      return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+    });
+}
+
+export function createEllipseSelectTool() {
+  return createShapeSelectTool('ellipse-select',
+    (width, height, points) => ellipseMask(width, height, points[0], points[points.length - 1]),
+    (points) => {
+      const a = points[0];
+      const b = points[points.length - 1];
+      return Array.from({ length: ELLIPSE_OUTLINE_SEGMENTS }, (_, i) => {
+        const angle = 2 * Math.PI * i / ELLIPSE_OUTLINE_SEGMENTS;
+        return {
+          x: (a.x + b.x) / 2 + Math.abs(b.x - a.x) / 2 * Math.cos(angle),
+          y: (a.y + b.y) / 2 + Math.abs(b.y - a.y) / 2 * Math.sin(angle),
+        };
+      });
+    });
+}
+
+export function createLassoTool() {
+  return createShapeSelectTool('lasso', polygonMask, (points) => points);
+}
+
+/**
+ * Selects the connected area of the active layer that is similar in color to the pixel
+ * that was clicked.
+ * @param {number} [tolerance] The largest per-channel difference, from 0 to 255.
+ * @returns {DragTool}
+ */
+export function createMagicWandTool(tolerance = 32) {
+  return {
+    id: 'magic-wand',
+    onDragStart(controller, point, e) {
+      const pixels = controller.readActiveLayerPixels();
+      const shape = floodFillMask(pixels, controller.width, controller.height, point.x, point.y, tolerance);
+      controller.setSelection(shape, selectionModeFromEvent(e));
+    },
+    onDragMove() { },
+    onDragEnd() { },
+  };
+}
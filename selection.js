@@ -0,0 +1,381 @@
+import { boundingRect, expandRect, intersectRects, isEmptyRect, roundRectOut, unionRects } from './rect.js';
+import { ShaderTool } from './shader-tool.js';
+import { TiledImage } from './tiled-image.js';
+
+/**
+ * How a new shape changes the existing selection.
+ * @typedef {'replace' | 'add' | 'subtract' | 'intersect'} SelectionMode
+ */
+
+/**
+ * @typedef {import('./tool-controller.js').Point} Point
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/** @type {Rect} */
+const EMPTY_RECT = { x: 0, y: 0, width: 0, height: 0 };
+
+// Keeps a tool's output only where the selection covers it, and the original pixels elsewhere.
+const constrainShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform sampler2D u_original;
+uniform sampler2D u_selection;
+uniform vec2 u_resolution;
+
+out vec4 fragColor;
+
+void main() {
+    vec2 uv = gl_FragCoord.xy / u_resolution;
+    float coverage = texture(u_selection, uv).r;
+    fragColor = mix(texture(u_original, uv), texture(u_texture, uv), coverage);
+}
+`;
+
+/**
+ * The region of the document that tools may change.  The mask lives on the CPU, where the
+ * selection tools build it, and is mirrored to a single-channel tiled image for the shaders.
+ * Selections are not part of the undo history.
+ */
+export class Selection {
+  /**
+   * Coverage of each pixel from 0 to 255, bottom row first like the layer textures.  Null
+   * when nothing is selected, which leaves the whole document editable.
+   * @type {Uint8Array | null}
+   */
+  mask = null;
+  width = 0;
+  height = 0;
+  /**
+   * Holds every selected pixel, and maybe some unselected ones.  Changes to the mask only
+   * work within it, so small selections on large documents stay cheap.
+   * @type {Rect}
+   */
+  #extent = EMPTY_RECT;
+  /**
+   * The part of `image` that may still hold coverage, which the next change has to clear.
+   * @type {Rect}
+   */
+  #written = EMPTY_RECT;
+
+  /**
+   * @param {WebGL2RenderingContext} gl
+   */
+  constructor(gl) {
+    this.gl = gl;
+    /** The mask on the GPU, tiled like the layers.  Only up to date while `isActive`. */
+    this.image = new TiledImage(gl, 0, 0, 'r8');
+
+    this.constrainTool = new ShaderTool(gl, constrainShaderSource, { id: 'selection' });
+    const { program } = this.constrainTool.programs[0];
+    this.originalLocation = gl.getUniformLocation(program, 'u_original');
+    this.selectionLocation = gl.getUniformLocation(program, 'u_selection');
+  }
+
+  get isActive() {
+    return this.mask !== null;
+  }
+
+  /**
+   * Starts over with nothing selected at a new document size.
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.image.delete();
+    this.image = new TiledImage(this.gl, width, height, 'r8');
+    this.#written = EMPTY_RECT;
+    this.clear();
+  }
+
+  clear() {
+    this.mask = null;
+    this.#extent = EMPTY_RECT;
+  }
+
+  selectAll() {
+    this.#setMask(new Uint8Array(this.width * this.height).fill(255), this.#documentRect());
+  }
+
+  /**
+   * Combines a shape with the selection.  A result that covers nothing clears the selection,
+   * so clicking without dragging deselects.
+   * @param {Uint8Array} shape Coverage from 0 to 255, the same layout as `mask`.
+   * @param {SelectionMode} mode
+   * @param {Rect} [shapeBounds] Holds all of the shape's coverage.  Found by scanning the
+   *   shape when not given.
+   */
+  combine(shape, mode, shapeBounds) {
+    const base = this.mask;
+    if (shape.length !== this.width * this.height) {
+      throw new Error('Selection shape does not match the document size');
+    }
+    shapeBounds ??= coverageBounds(shape, this.width, this.#documentRect()) ?? EMPTY_RECT;
+    if (mode === 'replace' || !base) {
+      // With nothing selected, subtracting leaves nothing selected.
+      this.#setMask(mode === 'subtract' && !base ? null : shape, shapeBounds);
+      return;
+    }
+    // Pixels outside the shape keep their coverage, except when intersecting, where they lose it.
+    const area = mode === 'add' ? shapeBounds : intersectRects(shapeBounds, this.#extent);
+    const mask = mode === 'intersect' ? new Uint8Array(shape.length) : base.slice();
+    for (let y = area.y; y < area.y + area.height; y++) {
+      for (let i = y * this.width + area.x; i < y * this.width + area.x + area.width; i++) {
+        if (mode === 'add') {
+          mask[i] = Math.max(base[i], shape[i]);
+        } else if (mode === 'subtract') {
+          mask[i] = Math.min(base[i], 255 - shape[i]);
+        } else {
+          mask[i] = Math.min(base[i], shape[i]);
+        }
+      }
+    }
+    const extent = mode === 'add' ? unionRects(this.#extent, shapeBounds) : mode === 'subtract' ? this.#extent : area;
+    this.#setMask(mask, extent);
+  }
+
+  invert() {
+    if (!this.mask) return;
+    this.#setMask(this.mask.map((coverage) => 255 - coverage), this.#documentRect());
+  }
+
+  /**
+   * Softens the selection's edge with an approximate Gaussian blur.
+   * @param {number} radius The blur's standard deviation in document pixels.
+   */
+  feather(radius) {
+    if (!this.mask || !(radius > 0)) return;
+    // Three box blurs of this width have about the same spread as a Gaussian.
+    const boxRadius = Math.max(1, Math.round((Math.sqrt(4 * radius * radius + 1) - 1) / 2));
+    // Each blur spreads the coverage one radius further, and everything beyond stays empty.
+    const area = intersectRects(expandRect(this.#extent, 3 * boxRadius), this.#documentRect());
+    let region = new Uint8Array(area.width * area.height);
+    for (let y = 0; y < area.height; y++) {
+      const start = (area.y + y) * this.width + area.x;
+      region.set(this.mask.subarray(start, start + area.width), y * area.width);
+    }
+    for (let i = 0; i < 3; i++) {
+      region = boxBlur(region, area.width, area.height, boxRadius, 1, area.width);
+      region = boxBlur(region, area.height, area.width, boxRadius, area.width, 1);
+    }
+    const mask = new Uint8Array(this.mask.length);
+    for (let y = 0; y < area.height; y++) {
+      mask.set(region.subarray(y * area.width, (y + 1) * area.width), (area.y + y) * this.width + area.x);
+    }
+    this.#setMask(mask, area);
+  }
+
+  /**
+   * The smallest rectangle holding every selected pixel, in document pixels with the origin
+   * in the lower-left corner.
+   * @returns {{ x: number, y: number, width: number, height: number } | null} Null when
+   *   nothing is selected.
+   */
+  bounds() {
+    if (!this.mask) return null;
+    return coverageBounds(this.mask, this.width, this.#extent);
+  }
+
+  /**
+   * Draws `result` where the selection covers it and `original` everywhere else into the
+   * bound framebuffer.  The three textures cover the same part of the document.
+   * @param {WebGLTexture} original The pixels before the tool ran.
+   * @param {WebGLTexture} result The tool's output.
+   * @param {WebGLTexture} mask That part of the selection, gathered from `image`.
+   * @param {number} width
+   * @param {number} height
+   */
+  drawConstrained(original, result, mask, width, height) {
+    const gl = this.gl;
+    const { program, locations } = this.constrainTool.programs[0];
+    gl.useProgram(program);
+    gl.viewport(0, 0, width, height);
+    gl.uniform2f(locations.uniforms.resolution, width, height);
+    gl.uniform1i(locations.uniforms.texture, 0);
+    gl.uniform1i(this.originalLocation, 1);
+    gl.uniform1i(this.selectionLocation, 2);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, result);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, original);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, mask);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /** @returns {Rect} */
+  #documentRect() {
+    return { x: 0, y: 0, width: this.width, height: this.height };
+  }
+
+  /**
+   * @param {Uint8Array | null} mask
+   * @param {Rect} extent Holds all of the mask's coverage.
+   */
+  #setMask(mask, extent) {
+    if (mask && !coverageBounds(mask, this.width, extent)) {
+      mask = null;
+    }
+    this.mask = mask;
+    if (!mask) {
+      this.#extent = EMPTY_RECT;
+      return;
+    }
+    this.#extent = extent;
+    // Only tiles that held the old selection or hold the new one change.  Whole tiles are
+    // written so the ones left empty can be freed.
+    let dirty = EMPTY_RECT;
+    for (const index of this.image.tilesIn(unionRects(this.#written, extent))) {
+      dirty = unionRects(dirty, this.image.tileRect(index));
+    }
+    const pixels = new Uint8Array(dirty.width * dirty.height);
+    for (let y = 0; y < dirty.height; y++) {
+      const start = (dirty.y + y) * this.width + dirty.x;
+      pixels.set(mask.subarray(start, start + dirty.width), y * dirty.width);
+    }
+    this.image.writePixels(pixels, dirty);
+    this.#written = extent;
+  }
+}
+
+/**
+ * @param {Uint8Array} mask
+ * @param {number} width The mask's width.
+ * @param {Rect} rect The part of the mask to look in.
+ * @returns {Rect | null} The smallest rectangle holding every covered pixel in `rect`, or
+ *   null if none are.
+ */
+function coverageBounds(mask, width, rect) {
+  let left = rect.x + rect.width, right = -1, bottom = rect.y + rect.height, top = -1;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      if (mask[y * width + x] === 0) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      bottom = Math.min(bottom, y);
+      top = Math.max(top, y);
+    }
+  }
+  if (right < 0) return null;
+  return { x: left, y: bottom, width: right - left + 1, height: top - bottom + 1 };
+}
+
+/**
+ * Blurs every line of a mask along one axis with a moving average.
+ * @param {Uint8Array} mask
+ * @param {number} length Pixels per line.
+ * @param {number} lineCount
+ * @param {number} radius
+ * @param {number} step Distance between neighbouring pixels in a line.
+ * @param {number} lineStep Distance between the starts of neighbouring lines.
+ * @returns {Uint8Array}
+ */
+function boxBlur(mask, length, lineCount, radius, step, lineStep) {
+  const result = new Uint8Array(mask.length);
+  const size = 2 * radius + 1;
+  for (let line = 0; line < lineCount; line++) {
+    const start = line * lineStep;
+    /** @param {number} i */
+    const at = (i) => mask[start + Math.min(Math.max(i, 0), length - 1) * step];
+    let sum = 0;
+    for (let i = -radius; i <= radius; i++) {
+      sum += at(i);
+    }
+    for (let i = 0; i < length; i++) {
+      result[start + i * step] = Math.round(sum / size);
+      sum += at(i + radius + 1) - at(i - radius);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fills a path on a 2D canvas and returns its coverage.  The path is drawn in document
+ * coordinates without flipping, so the canvas's top row holds the document's bottom row,
+ * which is the order the mask is stored in.  Only the path's bounds are drawn, so small
+ * shapes on large documents stay cheap.
+ * @param {number} width
+ * @param {number} height
+ * @param {Point[]} extent Points the path stays within the bounds of.
+ * @param {(ctx: OffscreenCanvasRenderingContext2D) => void} tracePath
+ * @returns {Uint8Array}
+ */
+function rasterize(width, height, extent, tracePath) {
+  const mask = new Uint8Array(width * height);
+  const area = shapeBounds(width, height, extent);
+  if (isEmptyRect(area)) return mask;
+  const canvas = new OffscreenCanvas(area.width, area.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) throw new Error('Unable to create 2D context.');
+  ctx.translate(-area.x, -area.y);
+  ctx.beginPath();
+  tracePath(ctx);
+  ctx.fillStyle = '#fff';
+  ctx.fill();
+  const pixels = ctx.getImageData(0, 0, area.width, area.height).data;
+  for (let y = 0; y < area.height; y++) {
+    for (let x = 0; x < area.width; x++) {
+      mask[(area.y + y) * width + area.x + x] = pixels[(y * area.width + x) * 4 + 3];
+    }
+  }
+  return mask;
+}
+
+/**
+ * The part of the document a shape drawn through some points can cover, for combining it
+ * with the selection without looking at the rest.
+ * @param {number} width The document width.
+ * @param {number} height The document height.
+ * @param {Point[]} points Points the shape stays within the bounds of.
+ * @returns {Rect}
+ */
+export function shapeBounds(width, height, points) {
+  // A pixel more for the antialiased edge.
+  return intersectRects(roundRectOut(boundingRect(points, 1)), { x: 0, y: 0, width, height });
+}
+
+/**
+ * @param {number} width The document width.
+ * @param {number} height The document height.
+ * @param {Point} a One corner, in document coordinates.
+ * @param {Point} b The opposite corner.
+ * @returns {Uint8Array}
+ */
+export function rectangleMask(width, height, a, b) {
+  return rasterize(width, height, [a, b], (ctx) => ctx.rect(a.x, a.y, b.x - a.x, b.y - a.y));
+}
+
+/**
+ * The ellipse that fits in the rectangle with corners `a` and `b`.
+ * @param {number} width The document width.
+ * @param {number} height The document height.
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Uint8Array}
+ */
+export function ellipseMask(width, height, a, b) {
+  return rasterize(width, height, [a, b], (ctx) => ctx.ellipse(
+    (a.x + b.x) / 2, (a.y + b.y) / 2, Math.abs(b.x - a.x) / 2, Math.abs(b.y - a.y) / 2, 0, 0, 2 * Math.PI));
+}
+
+/**
+ * @param {number} width The document width.
+ * @param {number} height The document height.
+ * @param {Point[]} points The polygon's corners, in document coordinates.
+ * @returns {Uint8Array}
+ */
+export function polygonMask(width, height, points) {
+  return rasterize(width, height, points, (ctx) => {
+    for (const point of points) {
+      ctx.lineTo(point.x, point.y);
+    }
+    ctx.closePath();
+  });
+}
@@ -0,0 +1,222 @@
+import { STARTER_SHADER, createCustomTool, newCustomToolId } from './custom-tools.js';
+import { ShaderCompileError } from './shader-tool.js';
+
+/**
+ * @typedef {import('./custom-tools.js').CustomToolDefinition} CustomToolDefinition
+ */
+
+// Wait for a pause in typing before compiling.
+const COMPILE_DELAY_MS = 300;
+
+/**
+ * Edits a custom tool's shaders in a dialog, compiling as the user types and showing the
+ * driver's errors next to the lines they are about.
+ */
+export class ShaderEditor {
+  /**
+   * @param {HTMLDialogElement} dialog A dialog laid out like `#shaderEditorDialog`.
+   * @param {WebGL2RenderingContext} gl The context the tools will run in.
+   */
+  constructor(dialog, gl) {
+    if (!dialog) {
+      throw new Error("Dialog element not provided for ShaderEditor.");
+    }
+    this.dialog = dialog;
+    this.gl = gl;
+    this.form = /** @type {HTMLFormElement} */ (dialog.querySelector('form'));
+    this.nameInput = /** @type {HTMLInputElement} */ (this.form.elements.namedItem('name'));
+    this.keyInput = /** @type {HTMLInputElement} */ (this.form.elements.namedItem('key'));
+    this.passList = /** @type {HTMLElement} */ (dialog.querySelector('.shader-passes'));
+    this.status = /** @type {HTMLElement} */ (dialog.querySelector('.shader-status'));
+    this.saveButton = /** @type {HTMLButtonElement} */ (dialog.querySelector('button[value="ok"]'));
+    /** @type {HTMLTextAreaElement[]} */
+    this.sources = [];
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    this.compileTimer = undefined;
+    /** @type {(key: string) => boolean} */
+    this.isKeyTaken = () => false;
+
+    dialog.querySelector('.add-shader-pass')?.addEventListener('click', () => {
+      this.#addPass(STARTER_SHADER);
+      this.#compileSoon();
+    });
+    this.keyInput.addEventListener('input', () => this.#checkKey());
+  }
+
+  /**
+   * Shows the editor and resolves with the edited tool, or null if it was cancelled.
+   * @param {CustomToolDefinition | null} definition The tool to edit, or null for a new one.
+   * @param {(key: string) => boolean} isKeyTaken Whether a hotkey belongs to another tool.
+   * @returns {Promise<CustomToolDefinition | null>}
+   */
+  open(definition, isKeyTaken) {
+    this.isKeyTaken = isKeyTaken;
+    this.nameInput.value = definition?.name ?? '';
+    this.keyInput.value = definition?.key ?? '';
+    this.passList.replaceChildren();
+    this.sources = [];
+    for (const source of definition?.passes ?? [STARTER_SHADER]) {
+      this.#addPass(source);
+    }
+    this.#checkKey();
+    this.#compile();
+
+    return new Promise((resolve) => {
+      this.dialog.addEventListener('close', () => {
+        clearTimeout(this.compileTimer);
+        if (this.dialog.returnValue !== 'ok') {
+          resolve(null);
+          return;
+        }
+        resolve({
+          id: definition?.id ?? newCustomToolId(),
+          name: this.nameInput.value.trim(),
+          key: this.keyInput.value,
+          passes: this.sources.map((source) => source.value),
+        });
+      }, { once: true });
+      this.dialog.returnValue = '';
+      this.dialog.showModal();
+    });
+  }
+
+  #checkKey() {
+    const key = this.keyInput.value;
+    if (key.trim() === '') {
+      this.keyInput.setCustomValidity('');
+    } else if (this.isKeyTaken(key)) {
+      this.keyInput.setCustomValidity(`${key} is already another tool's hotkey.`);
+    } else {
+      this.keyInput.setCustomValidity('');
+    }
+  }
+
+  /** @param {string} source */
+  #addPass(source) {
+    const pass = document.createElement('div');
+    pass.classList.add('shader-pass');
+
+    const header = document.createElement('div');
+    header.classList.add('shader-pass-header');
+    const title = document.createElement('span');
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove pass';
+    header.append(title, remove);
+
+    const editor = document.createElement('div');
+    editor.classList.add('shader-source');
+    const gutter = document.createElement('pre');
+    gutter.classList.add('shader-gutter');
+    const textarea = document.createElement('textarea');
+    textarea.spellcheck = false;
+    textarea.value = source;
+    editor.append(gutter, textarea);
+
+    const errors = document.createElement('ul');
+    errors.classList.add('shader-errors');
+    pass.append(header, editor, errors);
+
+    textarea.addEventListener('input', () => {
+      this.#renderGutter(textarea, []);
+      this.#compileSoon();
+    });
+    textarea.addEventListener('scroll', () => { gutter.scrollTop = textarea.scrollTop; });
+    remove.addEventListener('click', () => {
+      this.sources.splice(this.sources.indexOf(textarea), 1);
+      pass.remove();
+      this.#renumber();
+      this.#compileSoon();
+    });
+
+    this.sources.push(textarea);
+    this.passList.appendChild(pass);
+    this.#renumber();
+    this.#renderGutter(textarea, []);
+  }
+
+  #renumber() {
+    this.sources.forEach((textarea, index) => {
+      const pass = /** @type {HTMLElement} */ (textarea.closest('.shader-pass'));
+      /** @type {HTMLElement} */ (pass.querySelector('.shader-pass-header span')).textContent = `Pass ${index + 1}`;
+      // A tool needs at least one pass.
+      /** @type {HTMLButtonElement} */ (pass.querySelector('button')).disabled = this.sources.length === 1;
+    });
+  }
+
+  #compileSoon() {
+    clearTimeout(this.compileTimer);
+    this.compileTimer = setTimeout(() => this.#compile(), COMPILE_DELAY_MS);
+  }
+
+  /** Compiles each pass on its own so every pass's errors show at once. */
+  #compile() {
+    let errorCount = 0;
+    for (const textarea of this.sources) {
+      /** @type {{line: number | null, message: string}[]} */
+      let messages = [];
+      try {
+        createCustomTool(this.gl, { id: 'custom-preview', name: '', key: '', passes: [textarea.value] }).delete();
+      } catch (error) {
+        messages = error instanceof ShaderCompileError ? error.messages : [{ line: null, message: error.message }];
+      }
+      errorCount += messages.length;
+      this.#renderGutter(textarea, messages);
+      this.#renderErrors(textarea, messages);
+    }
+    this.status.textContent = errorCount === 0 ? 'Compiled.' : `${errorCount} error${errorCount === 1 ? '' : 's'}.`;
+    this.status.classList.toggle('error', errorCount > 0);
+    this.saveButton.disabled = errorCount > 0;
+  }
+
+  /**
+   * Numbers the lines, marking those with errors.
+   * @param {HTMLTextAreaElement} textarea
+   * @param {{line: number | null, message: string}[]} messages
+   */
+  #renderGutter(textarea, messages) {
+    const gutter = /** @type {HTMLElement} */ (textarea.previousElementSibling);
+    const lineCount = textarea.value.split('\n').length;
+    gutter.replaceChildren();
+    for (let line = 1; line <= lineCount; line++) {
+      const number = document.createElement('span');
+      number.textContent = `${line}\n`;
+      const problems = messages.filter((message) => message.line === line);
+      if (problems.length > 0) {
+        number.classList.add('error');
+        number.title = problems.map((problem) => problem.message).join('\n');
+      }
+      gutter.appendChild(number);
+    }
+    gutter.scrollTop = textarea.scrollTop;
+  }
+
+  /**
+   * Lists the messages under the pass.  Clicking one selects its line.
+   * @param {HTMLTextAreaElement} textarea
+   * @param {{line: number | null, message: string}[]} messages
+   */
+  #renderErrors(textarea, messages) {
+    const list = /** @type {HTMLElement} */ (textarea.parentElement?.nextElementSibling);
+    list.replaceChildren();
+    for (const { line, message } of messages) {
+      const item = document.createElement('li');
+      item.textContent = line === null ? message : `Line ${line}: ${message}`;
+      if (line !== null) {
+        item.addEventListener('click', () => selectLine(textarea, line));
+      }
+      list.appendChild(item);
+    }
+  }
+}
+
+/**
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} line Counting from 1.
+ */
+function selectLine(textarea, line) {
+  const lines = textarea.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+  textarea.focus();
+  textarea.setSelectionRange(start, start + (lines[line - 1] ?? '').length);
+}
@@ -1,10 +1,75 @@
+import { PATH_CELL_SIZE } from './stroke-path.js';
+
 /**
  * @typedef {{
  *   program: WebGLProgram,
- *   locations: { attributes: { position: number }, uniforms: { resolution: WebGLUniformLocation | null, start: WebGLUniformLocation | null, end: WebGLUniformLocation | null, mid: WebGLUniformLocation | null, texture: WebGLUniformLocation | null } }
+ *   locations: { attributes: { position: number }, uniforms: { resolution: WebGLUniformLocation | null, start: WebGLUniformLocation | null, end: WebGLUniformLocation | null, mid: WebGLUniformLocation | null, pressure: WebGLUniformLocation | null, tilt: WebGLUniformLocation | null, texture: WebGLUniformLocation | null, mask: WebGLUniformLocation | null, path: WebGLUniformLocation | null, pathLength: WebGLUniformLocation | null, source: WebGLUniformLocation | null, original: WebGLUniformLocation | null, origin: WebGLUniformLocation | null }, params: Record<string, WebGLUniformLocation | null> }
  * }} WebGLProgramInfo
  */
 
+/** Width of the `u_path` texture.  Long paths wrap onto more rows. */
+export const PATH_TEXTURE_WIDTH = 1024;
+
+/**
+ * Reads a path that `binPath` sorted into cells.  `pathCell(p)` gives the index of the first
+ * end of the segments near p, and how many segments there are; segment i runs from
+ * `pathPoint(first + 2 * i)` to `pathPoint(first + 2 * i + 1)`.  Points are x, y and pressure.
+ */
+export const BINNED_PATH_GLSL = `
+uniform highp sampler2D u_path;
+
+const int PATH_TEXTURE_WIDTH = ${PATH_TEXTURE_WIDTH};
+const int PATH_CELL_SIZE = ${PATH_CELL_SIZE};
+
+vec3 pathPoint(int i) {
+    return texelFetch(u_path, ivec2(i % PATH_TEXTURE_WIDTH, i / PATH_TEXTURE_WIDTH), 0).xyz;
+}
+
+ivec2 pathCell(vec2 p) {
+    int across = int(pathPoint(0).x);
+    ivec2 cell = ivec2(p) / PATH_CELL_SIZE;
+    return ivec2(pathPoint(1 + cell.y * across + cell.x).xy);
+}
+`;
+
+/**
+ * A setting a tool exposes to the user.  Its value reaches the shaders as the uniform
+ * `u_<name>`: a float for `float` params, a vec3 for `color` params, whose values are
+ * `#rrggbb` strings, and the index of the value in `options` as an int for `choice` params.
+ * Color params that `follow` the foreground or background color are set from it rather than
+ * on their own.  Float params that `turn` are angles in degrees, counterclockwise from the x
+ * axis, which turn and mirror with strokes the symmetry repeats; they wrap into their range, so
+ * a 180 degree range suits a tip that looks the same turned half around.
+ * @typedef {{
+ *   name: string,
+ *   label: string,
+ *   type: 'float' | 'color' | 'choice',
+ *   default: number | string,
+ *   min?: number,
+ *   max?: number,
+ *   step?: number,
+ *   options?: {value: string, label: string}[],
+ *   follows?: 'foreground' | 'background',
+ *   turns?: boolean,
+ * }} ToolParam
+ */
+
+/**
+ * @typedef {Record<string, number | string>} ParamValues
+ */
+
+/**
+ * The modifier keys held during a drag.
+ * @typedef {{shiftKey: boolean, altKey: boolean}} DragModifiers
+ */
+
+/**
+ * @typedef {import('./rect.js').Point} Point
+ * @typedef {import('./rect.js').Rect} Rect
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
+ */
+
 export class ShaderTool {
   /** @type {WebGLProgramInfo[]} */
   programs = [];
@@ -12,13 +77,169 @@ export class ShaderTool {
   /**
    * @param {WebGL2RenderingContext} gl The WebGL rendering context.
    * @param {string | string[]} fragmentShaderSources An array of fragment shader source strings.
+   * @param {{
+   *   id?: string,
+   *   params?: ToolParam[],
+   *   footprint?: (stroke: StrokeRecord, params: ParamValues) => Rect,
+   *   reach?: (stroke: StrokeRecord, params: ParamValues) => number,
+   *   path?: (stroke: StrokeRecord, params: ParamValues) => PathPoint[],
+   *   constrainDrag?: (start: Point, end: Point, modifiers: DragModifiers) => {start: Point, end: Point},
+   *   prepare?: (controller: import('./tool-controller.js').ToolController, stroke: StrokeRecord, params: ParamValues) => void,
+   *   target?: 'layer' | 'displacement',
+   *   source?: (start: Point, sourcePoint: Point, params: ParamValues) => Point,
+   * }} [options]
+   *   `id` names the tool in stroke logs so they can be replayed.
+   *   `params` are the settings the user can change.  Both `footprint` and `reach` are handed
+   *   the values the stroke was made with.
+   *   `footprint` bounds the pixels a stroke can change, in the stroke's coordinates.  Only the
+   *   tiles it touches are run.  Defaults to the whole document.
+   *   `reach` is how far from a changed pixel the passes may read, summed over all the passes.
+   *   Each tile is run with a halo this wide around it.  Defaults to unlimited, which runs
+   *   each tile with as much of the document around it as a texture can hold.
+   *   `path` makes strokes record every point of the drag, and turns them into the points the
+   *   shaders get.  They arrive in `u_path`, a float texture holding (x, y, pressure) of point i
+   *   at (i % PATH_TEXTURE_WIDTH, i / PATH_TEXTURE_WIDTH), with the count in `u_pathLength`.
+   *   `constrainDrag` moves the ends of a drag according to the modifier keys, before they
+   *   are recorded in the stroke.
+   *   `prepare` runs before each stroke, ahead of `footprint`, for tools that work out more
+   *   than the shaders can from the layer alone.  It may set `mask`.
+   *   `target` is what the passes draw into: the active layer, or the liquify displacement
+   *   field, which the layer is shown warped through until it is applied.
+   *   `source` makes strokes copy from elsewhere in the document.  Alt-clicking sets
+   *   `sourcePoint`, and `source` picks from it where each stroke's start copies from, which
+   *   the stroke records.  It reaches the shaders as `u_source`.
+   *   Every pass can read the pixels as they were before the first one as `u_original`.
    */
-  constructor(gl, fragmentShaderSources) {
+  constructor(gl, fragmentShaderSources, options = {}) {
     this.gl = gl;
+    this.id = options.id ?? 'unnamed';
+    /** @type {ToolParam[]} */
+    this.params = options.params ?? [];
+    /** @type {ParamValues} The values new strokes are made with. */
+    this.paramValues = Object.fromEntries(this.params.map((param) => [param.name, param.default]));
+    this.footprintFunction = options.footprint ??
+      ((stroke) => ({ x: 0, y: 0, width: stroke.width, height: stroke.height }));
+    this.reachFunction = options.reach ?? (() => Infinity);
+    this.pathFunction = options.path ?? null;
+    this.constrainDrag = options.constrainDrag ?? ((start, end) => ({ start, end }));
+    this.prepareFunction = options.prepare ?? null;
+    this.target = options.target ?? 'layer';
+    this.sourceFunction = options.source ?? null;
+    /** @type {Point | null} Where the user last Alt-clicked, for tools with a `source`. */
+    this.sourcePoint = null;
+    /**
+     * A document-sized image the passes read as `u_mask`, lined up with `u_texture`, such as
+     * the fill tool's `r8` coverage.
+     * @type {import('./tiled-image.js').TiledImage | null}
+     */
+    this.mask = null;
     this.fragmentShaderSources = Array.isArray(fragmentShaderSources) ? fragmentShaderSources : [fragmentShaderSources];
     this.createShaders();
   }
 
+  /**
+   * @param {import('./tool-controller.js').ToolController} controller
+   * @param {StrokeRecord} stroke In document pixels.
+   */
+  prepare(controller, stroke) {
+    this.prepareFunction?.(controller, stroke, this.paramsFor(stroke));
+  }
+
+  /**
+   * @param {Point} start Where a new stroke starts.
+   * @returns {Point | null} Where it copies from, or null if the tool doesn't copy or has
+   *   no source point yet.
+   */
+  sourceFor(start) {
+    if (!this.sourceFunction || !this.sourcePoint) return null;
+    return this.sourceFunction(start, this.sourcePoint, this.paramValues);
+  }
+
+  /**
+   * @param {StrokeRecord} stroke
+   * @returns {Rect} The pixels the stroke can change, in the stroke's coordinates.
+   */
+  footprint(stroke) {
+    return this.footprintFunction(stroke, this.paramsFor(stroke));
+  }
+
+  /**
+   * @param {StrokeRecord} stroke
+   * @returns {number} How far from a changed pixel the stroke's passes may read.
+   */
+  reach(stroke) {
+    return this.reachFunction(stroke, this.paramsFor(stroke));
+  }
+
+  /**
+   * @param {StrokeRecord} stroke
+   * @returns {PathPoint[] | null} The points to hand the shaders, or null if the tool doesn't
+   *   draw along the drag.
+   */
+  pathFor(stroke) {
+    return this.pathFunction && this.pathFunction(stroke, this.paramsFor(stroke));
+  }
+
+  /**
+   * Changes the value new strokes are made with.  Numbers are clamped to the param's range.
+   * @param {string} name
+   * @param {number | string} value
+   */
+  setParam(name, value) {
+    const param = this.params.find((p) => p.name === name);
+    if (!param) throw new Error(`Tool ${this.id} has no param ${name}`);
+    if (param.type === 'color') {
+      if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+        throw new Error(`Invalid color for ${name}: ${value}`);
+      }
+      this.paramValues[name] = value.toLowerCase();
+    } else if (param.type === 'choice') {
+      if (!param.options?.some((option) => option.value === value)) {
+        throw new Error(`Invalid choice for ${name}: ${value}`);
+      }
+      this.paramValues[name] = value;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error(`Invalid value for ${name}: ${value}`);
+      this.paramValues[name] = Math.min(param.max ?? Infinity, Math.max(param.min ?? -Infinity, number));
+    }
+  }
+
+  /**
+   * @param {StrokeRecord} stroke
+   * @returns {ParamValues} The values the stroke was made with.  Strokes recorded before a
+   *   param existed get its default, which is what the tool did back then.
+   */
+  paramsFor(stroke) {
+    /** @type {ParamValues} */
+    const values = {};
+    for (const param of this.params) {
+      const value = stroke.params?.[param.name];
+      values[param.name] = typeof value === typeof param.default ? value : param.default;
+    }
+    return values;
+  }
+
+  /**
+   * Sets the param uniforms of the program in use.
+   * @param {WebGLProgramInfo['locations']} locations
+   * @param {ParamValues} values
+   */
+  setParamUniforms(locations, values) {
+    for (const param of this.params) {
+      const location = locations.params[param.name];
+      if (!location) continue;
+      const value = values[param.name];
+      if (param.type === 'color') {
+        this.gl.uniform3fv(location, hexToRgb(String(value)));
+      } else if (param.type === 'choice') {
+        this.gl.uniform1i(location, param.options?.findIndex((option) => option.value === value) ?? -1);
+      } else {
+        this.gl.uniform1f(location, Number(value));
+      }
+    }
+  }
+
   /**
    * Creates and compiles a shader.
    * @param {number} type The shader type (VERTEX_SHADER or FRAGMENT_SHADER).
@@ -31,12 +252,9 @@ export class ShaderTool {
     this.gl.shaderSource(shader, source);
     this.gl.compileShader(shader);
     if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-
-      const sourceWithLines = source.split('\n').map((line, index) => `${index + 1}: ${line}`).join('\n');
-      console.log(sourceWithLines);
-      console.error('An error occurred compiling the shaders: ' + this.gl.getShaderInfoLog(shader));
+      const log = this.gl.getShaderInfoLog(shader) ?? '';
       this.gl.deleteShader(shader);
-      throw new Error('Shader compilation failed');
+      throw new ShaderCompileError(`Shader compilation failed: ${log}`, log);
     }
     return shader;
   }
@@ -53,33 +271,107 @@ export class ShaderTool {
     }
 
     const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
-    this.programs = this.fragmentShaderSources.map(fragmentShaderSource => {
-      const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
-      const program = this.gl.createProgram();
-      if (!program) throw new Error("Failed to create program");
-
-      this.gl.attachShader(program, vertexShader);
-      this.gl.attachShader(program, fragmentShader);
-      this.gl.linkProgram(program);
-
-      if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-        console.error('Unable to initialize the shader program: ' + this.gl.getProgramInfoLog(program));
-        throw new Error("Program linking failed");
-      }
+    this.programs = [];
+    try {
+      this.fragmentShaderSources.forEach((fragmentShaderSource, pass) => {
+        let fragmentShader;
+        try {
+          fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
+        } catch (error) {
+          if (error instanceof ShaderCompileError) error.pass = pass;
+          throw error;
+        }
+        const program = this.gl.createProgram();
+        if (!program) throw new Error("Failed to create program");
+
+        this.gl.attachShader(program, vertexShader);
+        this.gl.attachShader(program, fragmentShader);
+        this.gl.linkProgram(program);
+        // The program keeps what it needs; the shader goes when it does.
+        this.gl.deleteShader(fragmentShader);
 
-      return {
-        program,
-        locations: {
-          attributes: { position: this.gl.getAttribLocation(program, 'a_position') },
-          uniforms: {
-            resolution: this.gl.getUniformLocation(program, 'u_resolution'),
-            start: this.gl.getUniformLocation(program, 'u_start'),
-            end: this.gl.getUniformLocation(program, 'u_end'),
-            mid: this.gl.getUniformLocation(program, 'u_mid'),
-            texture: this.gl.getUniformLocation(program, 'u_texture'),
-          },
+        if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+          const log = this.gl.getProgramInfoLog(program) ?? '';
+          this.gl.deleteProgram(program);
+          throw new ShaderCompileError(`Program linking failed: ${log}`, log, pass);
         }
-      };
-    });
+
+        this.programs.push({
+          program,
+          locations: {
+            attributes: { position: this.gl.getAttribLocation(program, 'a_position') },
+            uniforms: {
+              resolution: this.gl.getUniformLocation(program, 'u_resolution'),
+              start: this.gl.getUniformLocation(program, 'u_start'),
+              end: this.gl.getUniformLocation(program, 'u_end'),
+              mid: this.gl.getUniformLocation(program, 'u_mid'),
+              pressure: this.gl.getUniformLocation(program, 'u_pressure'),
+              tilt: this.gl.getUniformLocation(program, 'u_tilt'),
+              texture: this.gl.getUniformLocation(program, 'u_texture'),
+              mask: this.gl.getUniformLocation(program, 'u_mask'),
+              path: this.gl.getUniformLocation(program, 'u_path'),
+              pathLength: this.gl.getUniformLocation(program, 'u_pathLength'),
+              source: this.gl.getUniformLocation(program, 'u_source'),
+              original: this.gl.getUniformLocation(program, 'u_original'),
+              origin: this.gl.getUniformLocation(program, 'u_origin'),
+            },
+            params: Object.fromEntries(this.params.map((param) =>
+              [param.name, this.gl.getUniformLocation(program, `u_${param.name}`)])),
+          }
+        });
+      });
+    } catch (error) {
+      this.delete();
+      throw error;
+    } finally {
+      this.gl.deleteShader(vertexShader);
+    }
+  }
+
+  /** Frees the programs.  The tool must not be used afterwards. */
+  delete() {
+    this.programs.forEach(({ program }) => this.gl.deleteProgram(program));
+    this.programs = [];
+    this.mask?.delete();
+    this.mask = null;
+  }
+}
+
+/**
+ * A fragment shader that didn't compile or link.
+ */
+export class ShaderCompileError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} log What `getShaderInfoLog` or `getProgramInfoLog` said.
+   * @param {number} [pass] Which of the tool's fragment shaders failed.
+   */
+  constructor(message, log, pass = 0) {
+    super(message);
+    this.name = 'ShaderCompileError';
+    this.log = log;
+    this.pass = pass;
+  }
+
+  /**
+   * @returns {{line: number | null, message: string}[]} The log split into messages, with
+   *   the source line each one is about when the driver says.
+   */
+  get messages() {
+    return this.log.split('\n').map((text) => text.trim()).filter((text) => text && text !== '\0')
+      .map((text) => {
+        // Drivers report "ERROR: <source>:<line>: <message>".
+        const match = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(text);
+        return match ? { line: Number(match[1]), message: match[2] } : { line: null, message: text };
+      });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * @param {string} hex A `#rrggbb` color.
+ * @returns {[number, number, number]} Each channel from 0 to 1.
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16 & 255) / 255, (value >> 8 & 255) / 255, (value & 255) / 255];
+}
@@ -0,0 +1,210 @@
+// @ts-check
+
+import { boundingRect } from './rect.js';
+import { ShaderTool } from './shader-tool.js';
+
+/**
+ * @typedef {import('./rect.js').Point} Point
+ * @typedef {import('./shader-tool.js').ToolParam} ToolParam
+ * @typedef {import('./shader-tool.js').DragModifiers} DragModifiers
+ */
+
+/**
+ * Shape tools draw into the box spanned by the drag.  Shift makes the box square, and Alt
+ * puts its center at the start of the drag.  The stroke records the box that was drawn, so
+ * replays don't depend on the keys.
+ * @param {Point} start
+ * @param {Point} end
+ * @param {DragModifiers} modifiers
+ * @returns {{start: Point, end: Point}}
+ */
+function constrainBox(start, end, { shiftKey, altKey }) {
+  let dx = end.x - start.x;
+  let dy = end.y - start.y;
+  if (shiftKey) {
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    dx = dx < 0 ? -size : size;
+    dy = dy < 0 ? -size : size;
+  }
+  if (altKey) {
+    return { start: { x: start.x - dx, y: start.y - dy }, end: { x: start.x + dx, y: start.y + dy } };
+  }
+  return { start: { ...start }, end: { x: start.x + dx, y: start.y + dy } };
+}
+
+/** @type {ToolParam[]} */
+const styleParams = [
+  {
+    name: 'style', label: 'Style', type: 'choice', default: 'stroke',
+    options: [{ value: 'stroke', label: 'Stroke' }, { value: 'fill', label: 'Fill' }, { value: 'both', label: 'Stroke and fill' }],
+  },
+  { name: 'strokeWidth', label: 'Stroke width', type: 'float', default: 3, min: 0.5, max: 50, step: 0.5 },
+  { name: 'strokeColor', label: 'Stroke color', type: 'color', default: '#000000', follows: 'foreground' },
+  { name: 'fillColor', label: 'Fill color', type: 'color', default: '#ffffff', follows: 'background' },
+];
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} id
+ * @param {string} distanceSource GLSL defining `float shapeDistance(vec2 p, vec2 halfSize)`:
+ *   the signed distance from `p`, relative to the box's center, to the edge of the shape that
+ *   fills a box `halfSize` from its center to each side.  Negative inside.
+ * @param {ToolParam[]} shapeParams
+ * @returns {ShaderTool}
+ */
+function createShapeTool(gl, id, distanceSource, shapeParams) {
+  const fragmentShaderSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform vec2 u_start;
+uniform vec2 u_end;
+// 0 strokes the outline, 1 fills the shape and 2 does both.
+uniform int u_style;
+uniform float u_strokeWidth;
+uniform vec3 u_strokeColor;
+uniform vec3 u_fillColor;
+
+out vec4 fragColor;
+
+const float PI = 3.14159265359;
+${distanceSource}
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 color = texture(u_texture, p / u_resolution);
+    vec2 halfSize = abs(u_end - u_start) * 0.5;
+    if (min(halfSize.x, halfSize.y) < 0.5) {
+        fragColor = color;
+        return;
+    }
+
+    float d = shapeDistance(p - (u_start + u_end) * 0.5, halfSize);
+    // Half a pixel either side of the edge antialiases it.
+    if (u_style != 0) {
+        color = mix(color, vec4(u_fillColor, 1.0), 1.0 - smoothstep(-0.5, 0.5, d));
+    }
+    if (u_style != 1) {
+        // The outline is centred on the edge.
+        float halfWidth = 0.5 * u_strokeWidth;
+        color = mix(color, vec4(u_strokeColor, 1.0), 1.0 - smoothstep(halfWidth - 0.5, halfWidth + 0.5, abs(d)));
+    }
+    fragColor = color;
+}
+`;
+
+  return new ShaderTool(gl, fragmentShaderSource, {
+    id,
+    params: [...shapeParams, ...styleParams],
+    // The outline reaches half its width outside the box.
+    footprint: (stroke, params) => boundingRect([stroke.start, stroke.end], 0.5 * Number(params.strokeWidth) + 1),
+    reach: () => 0,
+    constrainDrag: constrainBox,
+  });
+}
+
+// The distance to a polygon whose vertices come from `vertex(i, halfSize)`, by the winding
+// number method in Inigo Quilez's "2D distance functions".
+const POLYGON_DISTANCE_GLSL = `
+float polygonDistance(vec2 p, int count, vec2 halfSize) {
+    vec2 first = vertex(0, halfSize);
+    float d = dot(p - first, p - first);
+    float s = 1.0;
+    for (int i = 0; i < count; i++) {
+        vec2 a = vertex(i, halfSize);
+        vec2 b = vertex((i + 1) % count, halfSize);
+        vec2 e = b - a;
+        vec2 w = p - a;
+        vec2 nearest = w - e * clamp(dot(w, e) / dot(e, e), 0.0, 1.0);
+        d = min(d, dot(nearest, nearest));
+        bvec3 crossing = bvec3(p.y >= a.y, p.y < b.y, e.x * w.y > e.y * w.x);
+        if (all(crossing) || all(not(crossing))) s = -s;
+    }
+    return s * sqrt(d);
+}
+`;
+
+/**
+ * A rectangle, with its corners optionally rounded.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createRectangleTool(gl) {
+  return createShapeTool(gl, 'rectangle', `
+uniform float u_cornerRadius;
+
+float shapeDistance(vec2 p, vec2 halfSize) {
+    float r = min(u_cornerRadius, min(halfSize.x, halfSize.y));
+    vec2 q = abs(p) - halfSize + r;
+    return length(max(q, 0.0)) + min(max(q.x, q.y), 0.0) - r;
+}
+`, [
+    { name: 'cornerRadius', label: 'Corner radius', type: 'float', default: 0, min: 0, max: 500, step: 1 },
+  ]);
+}
+
+/**
+ * An ellipse filling the box.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createEllipseTool(gl) {
+  return createShapeTool(gl, 'ellipse', `
+float shapeDistance(vec2 p, vec2 halfSize) {
+    vec2 q = p / halfSize;
+    float k = length(q);
+    if (k < 1e-4) {
+        return -min(halfSize.x, halfSize.y);
+    }
+    // The implicit function over the length of its gradient, which is close near the edge.
+    return (k - 1.0) * k / length(q / halfSize);
+}
+`, []);
+}
+
+/**
+ * A regular polygon with a vertex at the top.  Boxes that aren't square stretch it.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createPolygonTool(gl) {
+  return createShapeTool(gl, 'polygon', `
+uniform float u_sides;
+
+vec2 vertex(int i, vec2 halfSize) {
+    float angle = 0.5 * PI + 2.0 * PI * float(i) / round(u_sides);
+    return halfSize * vec2(cos(angle), sin(angle));
+}
+${POLYGON_DISTANCE_GLSL}
+float shapeDistance(vec2 p, vec2 halfSize) {
+    return polygonDistance(p, int(round(u_sides)), halfSize);
+}
+`, [
+    { name: 'sides', label: 'Sides', type: 'float', default: 6, min: 3, max: 32, step: 1 },
+  ]);
+}
+
+/**
+ * A star with a point at the top.  Its inner vertices sit at `innerRatio` of the way out.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {ShaderTool}
+ */
+export function createStarTool(gl) {
+  return createShapeTool(gl, 'star', `
+uniform float u_points;
+uniform float u_innerRatio;
+
+vec2 vertex(int i, vec2 halfSize) {
+    float angle = 0.5 * PI + PI * float(i) / round(u_points);
+    float radius = i % 2 == 0 ? 1.0 : u_innerRatio;
+    return radius * halfSize * vec2(cos(angle), sin(angle));
+}
+${POLYGON_DISTANCE_GLSL}
+float shapeDistance(vec2 p, vec2 halfSize) {
+    return polygonDistance(p, 2 * int(round(u_points)), halfSize);
+}
+`, [
+    { name: 'points', label: 'Points', type: 'float', default: 5, min: 3, max: 32, step: 1 },
+    { name: 'innerRatio', label: 'Inner radius', type: 'float', default: 0.5, min: 0.1, max: 1, step: 0.05 },
+  ]);
+}
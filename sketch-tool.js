@@ -0,0 +1,159 @@
+import { ShaderTool } from './shader-tool.js';
+
+/**
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ */
+
+// The wider Gaussian of the difference of Gaussians is this much wider than the narrower one.
+const SIGMA_RATIO = 1.6;
+
+// Blurs are cut off this many standard deviations out.
+const BLUR_EXTENT = 3;
+
+const LUMINANCE_GLSL = `
+float luminance(vec4 color) {
+    // Transparent pixels read as paper.
+    return mix(1.0, dot(color.rgb, vec3(0.2126, 0.7152, 0.0722)), color.a);
+}
+`;
+
+// The first two passes blur the luminance with both Gaussians, across and then up.  The
+// luminance itself rides along in red, with the narrow and wide blurs in green and blue.
+const blurPassSource = (/** @type {'across' | 'up'} */ direction) => `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_lineWeight;
+
+out vec4 fragColor;
+${LUMINANCE_GLSL}
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec4 center = texture(u_texture, p / u_resolution);
+    float sigma = u_lineWeight;
+    float wideSigma = sigma * ${SIGMA_RATIO.toFixed(2)};
+    int radius = int(ceil(${BLUR_EXTENT.toFixed(1)} * wideSigma));
+    vec2 axis = ${direction === 'across' ? 'vec2(1.0, 0.0)' : 'vec2(0.0, 1.0)'};
+
+    vec2 sums = vec2(0.0);
+    vec2 weights = vec2(0.0);
+    for (int i = -radius; i <= radius; i++) {
+        vec4 sampled = texture(u_texture, (p + float(i) * axis) / u_resolution);
+        ${direction === 'across' ? 'vec2 values = vec2(luminance(sampled));' : 'vec2 values = sampled.gb;'}
+        float x2 = float(i * i);
+        vec2 w = vec2(exp(-x2 / (2.0 * sigma * sigma)), exp(-x2 / (2.0 * wideSigma * wideSigma)));
+        sums += w * values;
+        weights += w;
+    }
+    float value = ${direction === 'across' ? 'luminance(center)' : 'center.r'};
+    fragColor = vec4(value, sums / weights, 1.0);
+}
+`;
+
+// The last pass finds the edges by thresholding the difference of the two blurs (XDoG) and
+// shades the darker areas with layers of hatching.
+const sketchPassSource = `#version 300 es
+
+precision highp float;
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_detail;
+uniform float u_shading;
+uniform float u_hatchSpacing;
+uniform vec3 u_lead;
+uniform vec3 u_paper;
+// Where the window sits in the document.  Hatching is laid out in document pixels, so its
+// lines carry on across tile seams.
+uniform vec2 u_origin;
+
+out vec4 fragColor;
+
+// How much of a set of parallel lines, one pixel wide and spacing apart, covers p.
+float hatch(vec2 p, vec2 direction, float spacing) {
+    float d = abs(fract(dot(p, direction) / spacing) - 0.5) * spacing;
+    return 1.0 - smoothstep(0.0, 1.0, d);
+}
+
+void main() {
+    vec2 p = gl_FragCoord.xy;
+    vec3 values = texture(u_texture, p / u_resolution).rgb;
+    vec2 documentPoint = p + u_origin;
+    float lum = values.r;
+
+    // Just short of the plain difference, so flat areas stay clear.  More detail lets
+    // fainter edges through.
+    float difference = values.g - 0.99 * values.b;
+    float threshold = -0.04 * (1.0 - u_detail);
+    float edge = difference >= threshold ? 0.0 : -tanh(100.0 * (difference - threshold));
+
+    // Each layer of hatching comes in at a darker tone, at a new angle.
+    float tone = 1.0 - lum;
+    float spacing = u_hatchSpacing;
+    float shade = 0.0;
+    shade = max(shade, hatch(documentPoint, normalize(vec2(1.0, 1.0)), spacing) * smoothstep(0.25, 0.35, tone));
+    shade = max(shade, hatch(documentPoint, normalize(vec2(1.0, -1.0)), spacing) * smoothstep(0.5, 0.6, tone));
+    shade = max(shade, hatch(documentPoint, vec2(0.0, 1.0), spacing) * smoothstep(0.75, 0.85, tone));
+
+    float darkness = max(edge, 0.6 * u_shading * shade);
+    fragColor = vec4(mix(u_paper, u_lead, darkness), 1.0);
+}
+`;
+
+/**
+ * Turns the active layer into a pencil sketch, so a photo can be worked over with the other
+ * tools without a round trip through Gemini.  Edges come from an extended difference of
+ * Gaussians, and darker areas are hatched.  Clicking the canvas applies it to the whole layer,
+ * or to the selection.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {DragTool}
+ */
+export function createSketchTool(gl) {
+  const shaderTool = new ShaderTool(gl, [
+    blurPassSource('across'),
+    blurPassSource('up'),
+    sketchPassSource,
+  ], {
+    id: 'sketch',
+    params: [
+      { name: 'lineWeight', label: 'Line weight', type: 'float', default: 1.2, min: 0.5, max: 5, step: 0.1 },
+      { name: 'detail', label: 'Detail', type: 'float', default: 0.7, min: 0, max: 1, step: 0.05 },
+      { name: 'shading', label: 'Shading', type: 'float', default: 0.6, min: 0, max: 1, step: 0.05 },
+      { name: 'hatchSpacing', label: 'Hatch spacing', type: 'float', default: 5, min: 3, max: 16, step: 1 },
+      { name: 'lead', label: 'Pencil', type: 'color', default: '#000000', follows: 'foreground' },
+      { name: 'paper', label: 'Paper', type: 'color', default: '#ffffff', follows: 'background' },
+    ],
+    footprint: (stroke) => ({ x: 0, y: 0, width: stroke.width, height: stroke.height }),
+    reach: (stroke, params) => blurReach(params),
+  });
+
+  return {
+    id: 'sketch-filter',
+    shaderTool,
+    onDragStart(controller, point) {
+      controller.commitStroke(shaderTool, {
+        tool: shaderTool.id,
+        start: { ...point },
+        mid: { ...point },
+        end: { ...point },
+        pressure: 1,
+        tilt: { x: 0, y: 0 },
+        width: controller.width,
+        height: controller.height,
+        timestamp: Date.now(),
+        params: { ...shaderTool.paramValues },
+      });
+    },
+    onDragMove() { },
+    onDragEnd() { },
+  };
+}
+
+/**
+ * @param {ParamValues} params
+ * @returns {number} How far the two blur passes reach between them, in pixels.
+ */
+function blurReach(params) {
+  return 2 * Math.ceil(BLUR_EXTENT * SIGMA_RATIO * Number(params.lineWeight)) + 1;
+}
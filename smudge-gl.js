@@ -1,15 +1,25 @@
 // @ts-check
 
+import { boundingRect } from './rect.js';
 import { ShaderTool } from './shader-tool.js';
 
+/**
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./shader-tool.js').ParamValues} ParamValues
+ * @typedef {import('./shader-tool.js').ToolParam} ToolParam
+ */
+
 class SmudgeSource {
   static fragmentShaderSource = `#version 300 es
 
-precision mediump float;
+precision highp float;
 uniform sampler2D u_texture;
 uniform vec2 u_resolution;
 uniform vec2 u_start;
 uniform vec2 u_end;
+uniform float u_pressure;
+uniform float u_innerRadius;
+uniform float u_outerRadius;
 
 out vec4 fragColor;
 
@@ -53,10 +63,11 @@ void main() {
     // Cacluate the smudge vector.
     vec2 smudge_vec = end - start;
 
-    // 4. Define pill radii based on drag length
+    // 4. Define pill radii based on drag length.  Light pen pressure narrows the reach.
     float drag_len = length(smudge_vec);
-    float inner_radius = drag_len * 0.5;
-    float outer_radius = drag_len * 1.5;
+    float reach = mix(0.25, 1.0, u_pressure);
+    float inner_radius = drag_len * u_innerRadius * reach;
+    float outer_radius = drag_len * u_outerRadius * reach;
 
     if (dist_from_line > outer_radius) {
       smudge_vec = vec2(0.0, 0.0);
@@ -79,12 +90,41 @@ void main() {
 `
 }
 
+/** @param {StrokeRecord} stroke */
+function dragLength(stroke) {
+  return Math.hypot(stroke.end.x - stroke.start.x, stroke.end.y - stroke.start.y);
+}
+
+/**
+ * The pill's radii, as multiples of the drag length.
+ * @type {ToolParam[]}
+ */
+const smudgeParams = [
+  { name: 'innerRadius', label: 'Inner radius', type: 'float', default: 0.5, min: 0, max: 3, step: 0.05 },
+  { name: 'outerRadius', label: 'Outer radius', type: 'float', default: 1.5, min: 0.1, max: 5, step: 0.05 },
+];
+
+/**
+ * Pixels outside the pill's outer radius don't move.
+ * @param {StrokeRecord} stroke
+ * @param {ParamValues} params
+ */
+function smudgeFootprint(stroke, params) {
+  return boundingRect([stroke.start, stroke.end], Number(params.outerRadius) * dragLength(stroke) + 1);
+}
+
 /**
  * @param {WebGL2RenderingContext} gl
  * @returns {ShaderTool}
  */
 export function createSmudgeTool(gl) {
-  return new ShaderTool(gl, SmudgeSource.fragmentShaderSource);
+  return new ShaderTool(gl, SmudgeSource.fragmentShaderSource, {
+    id: 'smudge',
+    params: smudgeParams,
+    footprint: smudgeFootprint,
+    // Pixels are displaced by at most the drag, plus one for the linear filtering.
+    reach: (stroke) => dragLength(stroke) + 1,
+  });
 }
 
 /**
@@ -92,5 +132,10 @@ export function createSmudgeTool(gl) {
  * @returns {ShaderTool}
  */
 export function createDoubleSmudgeTool(gl) {
-  return new ShaderTool(gl, [SmudgeSource.fragmentShaderSource, SmudgeSource.fragmentShaderSource]);
+  return new ShaderTool(gl, [SmudgeSource.fragmentShaderSource, SmudgeSource.fragmentShaderSource], {
+    id: 'double-smudge',
+    params: smudgeParams,
+    footprint: smudgeFootprint,
+    reach: (stroke) => 2 * (dragLength(stroke) + 1),
+  });
 }
@@ -0,0 +1,117 @@
+/**
+ * @typedef {{x: number, y: number}} Point
+ */
+
+/**
+ * One committed tool operation.  Points are in canvas pixels with the origin
+ * in the lower-left corner, exactly as they were handed to the shader uniforms.
+ * Pressure runs from 0 to 1 and tilt from -1 to 1 on each axis; strokes made
+ * without a pen have full pressure and no tilt.  `params` holds the tool's settings; strokes
+ * recorded before a setting existed leave it out and get the tool's default.  Tools that draw
+ * along the drag, such as the brush, also record every point of it in `path`.  Tools that copy
+ * from elsewhere in the document, such as the clone stamp, record where the stroke's start
+ * copies from in `source`.
+ * @typedef {{
+ *   tool: string,
+ *   start: Point,
+ *   mid: Point,
+ *   end: Point,
+ *   pressure: number,
+ *   tilt: Point,
+ *   width: number,
+ *   height: number,
+ *   timestamp: number,
+ *   params?: Record<string, number | string>,
+ *   path?: import('./stroke-path.js').PathPoint[],
+ *   source?: Point,
+ * }} StrokeRecord
+ */
+
+// Version 2 added pressure and tilt, version 3 tool params, version 4 paths and version 5
+// source points.
+export const STROKE_LOG_VERSION = 5;
+
+/**
+ * @param {StrokeRecord[]} strokes
+ * @returns {string}
+ */
+export function serializeStrokeLog(strokes) {
+  return JSON.stringify({ version: STROKE_LOG_VERSION, strokes }, null, 2);
+}
+
+/**
+ * Parses and validates a stroke log produced by `serializeStrokeLog`.
+ * @param {string} json
+ * @returns {StrokeRecord[]}
+ */
+export function parseStrokeLog(json) {
+  return readStrokeLog(JSON.parse(json));
+}
+
+/**
+ * Validates an already-parsed stroke log, such as one embedded in a project file.
+ * @param {any} data
+ * @returns {StrokeRecord[]}
+ */
+export function readStrokeLog(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.strokes)) {
+    throw new Error('Stroke log is missing its strokes.');
+  }
+  if (data.version > STROKE_LOG_VERSION) {
+    throw new Error(`Unsupported stroke log version ${data.version}.`);
+  }
+  return data.strokes.map((stroke, index) => {
+    if (typeof stroke.tool !== 'string') {
+      throw new Error(`Stroke ${index} has no tool.`);
+    }
+    for (const key of ['start', 'mid', 'end']) {
+      if (!isPoint(stroke[key])) {
+        throw new Error(`Stroke ${index} has an invalid ${key} point.`);
+      }
+    }
+    if (!Number.isFinite(stroke.width) || !Number.isFinite(stroke.height)) {
+      throw new Error(`Stroke ${index} has an invalid canvas size.`);
+    }
+    if (stroke.params !== undefined && !isParams(stroke.params)) {
+      throw new Error(`Stroke ${index} has invalid params.`);
+    }
+    if (stroke.path !== undefined && !(Array.isArray(stroke.path) &&
+      stroke.path.every((p) => isPoint(p) && Number.isFinite(p.pressure)))) {
+      throw new Error(`Stroke ${index} has an invalid path.`);
+    }
+    if (stroke.source !== undefined && !isPoint(stroke.source)) {
+      throw new Error(`Stroke ${index} has an invalid source point.`);
+    }
+    return {
+      tool: stroke.tool,
+      start: { x: stroke.start.x, y: stroke.start.y },
+      mid: { x: stroke.mid.x, y: stroke.mid.y },
+      end: { x: stroke.end.x, y: stroke.end.y },
+      pressure: Number.isFinite(stroke.pressure) ? stroke.pressure : 1,
+      tilt: isPoint(stroke.tilt) ? { x: stroke.tilt.x, y: stroke.tilt.y } : { x: 0, y: 0 },
+      width: stroke.width,
+      height: stroke.height,
+      timestamp: Number.isFinite(stroke.timestamp) ? stroke.timestamp : 0,
+      ...(stroke.params ? { params: { ...stroke.params } } : {}),
+      ...(stroke.path ? { path: stroke.path.map((p) => ({ x: p.x, y: p.y, pressure: p.pressure })) } : {}),
+      ...(stroke.source ? { source: { x: stroke.source.x, y: stroke.source.y } } : {}),
+    };
+  });
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPoint(value) {
+  return !!value && Number.isFinite(value.x) && Number.isFinite(value.y);
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isParams(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every((v) => Number.isFinite(v) || typeof v === 'string');
+}
@@ -0,0 +1,232 @@
+/**
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/**
+ * A sample along a freehand drag, in canvas pixels.  Pressure runs from 0 to 1.  A point with
+ * negative pressure is a break, and no segment joins it to the points on either side.
+ * @typedef {{x: number, y: number, pressure: number}} PathPoint
+ */
+
+const BREAK = { x: 0, y: 0, pressure: -1 };
+
+/**
+ * Spaces points evenly along the path, interpolating pressure, so the result doesn't depend
+ * on how fast the pointer moved.
+ * @param {PathPoint[]} points
+ * @param {number} spacing In pixels.
+ * @returns {PathPoint[]}
+ */
+export function resamplePath(points, spacing) {
+  if (points.length < 2) return points.map((p) => ({ ...p }));
+  const result = [{ ...points[0] }];
+  // How far along the current segment the next sample lands.
+  let carried = spacing;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    let distance = carried;
+    while (distance <= length) {
+      const t = distance / length;
+      result.push({
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        pressure: a.pressure + (b.pressure - a.pressure) * t,
+      });
+      distance += spacing;
+    }
+    carried = distance - length;
+  }
+  const last = points[points.length - 1];
+  const end = result[result.length - 1];
+  if (end.x !== last.x || end.y !== last.y) result.push({ ...last });
+  return result;
+}
+
+/**
+ * Averages each point with its neighbours to take out the jitter of the pointer.  The ends
+ * stay where they are.
+ * @param {PathPoint[]} points
+ * @param {number} radius How many neighbours on each side to average.
+ * @returns {PathPoint[]}
+ */
+export function smoothPath(points, radius) {
+  const n = Math.round(radius);
+  if (n < 1 || points.length < 3) return points;
+  return points.map((point, i) => {
+    // Shrink the window near the ends so it stays centred.
+    const k = Math.min(n, i, points.length - 1 - i);
+    let x = 0;
+    let y = 0;
+    let pressure = 0;
+    for (let j = i - k; j <= i + k; j++) {
+      x += points[j].x;
+      y += points[j].y;
+      pressure += points[j].pressure;
+    }
+    const count = 2 * k + 1;
+    return { x: x / count, y: y / count, pressure: pressure / count };
+  });
+}
+
+/**
+ * Drops the segments that don't come within `margin` of a rectangle.  Where segments are
+ * dropped from the middle of the path, a break takes their place.
+ * @param {PathPoint[]} points
+ * @param {Rect} rect
+ * @param {number} margin
+ * @returns {PathPoint[]}
+ */
+export function clipPath(points, rect, margin) {
+  const left = rect.x - margin;
+  const right = rect.x + rect.width + margin;
+  const bottom = rect.y - margin;
+  const top = rect.y + rect.height + margin;
+  /** @param {PathPoint} a @param {PathPoint} b */
+  const touches = (a, b) =>
+    Math.max(a.x, b.x) >= left && Math.min(a.x, b.x) <= right &&
+    Math.max(a.y, b.y) >= bottom && Math.min(a.y, b.y) <= top;
+
+  if (points.length === 1) return touches(points[0], points[0]) ? [{ ...points[0] }] : [];
+  /** @type {PathPoint[]} */
+  const result = [];
+  let lastKept = -1;
+  for (let i = 1; i < points.length; i++) {
+    if (!touches(points[i - 1], points[i])) continue;
+    if (lastKept !== i - 1) {
+      if (result.length > 0) result.push({ ...BREAK });
+      result.push({ ...points[i - 1] });
+    }
+    result.push({ ...points[i] });
+    lastKept = i;
+  }
+  return result;
+}
+
+/** The width of the square cells `binPath` sorts segments into, in pixels. */
+export const PATH_CELL_SIZE = 32;
+
+/**
+ * Sorts a path's segments into the cells of a window they come within `margin` of, so a
+ * shader only tests each pixel against the segments near it rather than the whole path.  The
+ * result is laid out for the path texture, as `BINNED_PATH_GLSL` reads it: first a point whose
+ * x is how many cells there are across, then one point per cell, row by row from the bottom,
+ * whose x is the index of the cell's first segment and y how many it has, then the segments,
+ * each as the two points at its ends.  A lone point is a segment from itself to itself.
+ * @param {PathPoint[]} points
+ * @param {number} width The window's width.
+ * @param {number} height The window's height.
+ * @param {number} margin
+ * @returns {PathPoint[]}
+ */
+export function binPath(points, width, height, margin) {
+  const across = Math.max(1, Math.ceil(width / PATH_CELL_SIZE));
+  const up = Math.max(1, Math.ceil(height / PATH_CELL_SIZE));
+  /** @type {PathPoint[][]} The ends of each cell's segments. */
+  const cells = Array.from({ length: across * up }, () => []);
+  // A segment within this distance of a cell's center may come within `margin` of the cell.
+  const reach = margin + PATH_CELL_SIZE * Math.SQRT1_2;
+  /** @param {number} value @param {number} count */
+  const cellIndex = (value, count) => Math.min(Math.max(Math.floor(value / PATH_CELL_SIZE), 0), count - 1);
+  /** @param {PathPoint} a @param {PathPoint} b */
+  const add = (a, b) => {
+    const left = Math.min(a.x, b.x) - margin;
+    const right = Math.max(a.x, b.x) + margin;
+    const bottom = Math.min(a.y, b.y) - margin;
+    const top = Math.max(a.y, b.y) + margin;
+    if (right < 0 || left > width || top < 0 || bottom > height) return;
+    for (let row = cellIndex(bottom, up); row <= cellIndex(top, up); row++) {
+      for (let column = cellIndex(left, across); column <= cellIndex(right, across); column++) {
+        const center = { x: (column + 0.5) * PATH_CELL_SIZE, y: (row + 0.5) * PATH_CELL_SIZE };
+        if (distanceToSegment(center, a, b) <= reach) cells[row * across + column].push(a, b);
+      }
+    }
+  };
+  if (points.length === 1 && points[0].pressure >= 0) add(points[0], points[0]);
+  for (let i = 1; i < points.length; i++) {
+    // Negative pressure marks a break in the path.
+    if (points[i - 1].pressure >= 0 && points[i].pressure >= 0) add(points[i - 1], points[i]);
+  }
+
+  /** @type {PathPoint[]} */
+  const result = [{ x: across, y: 0, pressure: 0 }];
+  let next = 1 + cells.length;
+  for (const cell of cells) {
+    result.push({ x: next, y: cell.length / 2, pressure: 0 });
+    next += cell.length;
+  }
+  for (const cell of cells) {
+    for (const point of cell) result.push({ ...point });
+  }
+  return result;
+}
+
+/**
+ * @param {{x: number, y: number}} p
+ * @param {PathPoint} a
+ * @param {PathPoint} b
+ * @returns {number} How far p is from the segment from a to b.
+ */
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length2 = dx * dx + dy * dy;
+  const t = length2 > 0 ? Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / length2, 0), 1) : 0;
+  return Math.hypot(p.x - a.x - dx * t, p.y - a.y - dy * t);
+}
+
+/**
+ * Turns a Catmull-Rom spline through `points` into the cubic Bézier segments that draw it.
+ * The ends are treated as if the first and last points were doubled.
+ * @param {PathPoint[]} points
+ * @returns {PathPoint[]} Control points: each segment's start, its two handles, then the next
+ *   segment's start, ending with the last point.
+ */
+export function catmullRomToBezier(points) {
+  if (points.length < 2) return points.map((p) => ({ ...p }));
+  const result = [{ ...points[0] }];
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[Math.max(i - 1, 0)];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[Math.min(i + 2, points.length - 1)];
+    result.push(
+      { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6, pressure: p1.pressure },
+      { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6, pressure: p2.pressure },
+      { ...p2 });
+  }
+  return result;
+}
+
+/**
+ * Samples a chain of cubic Bézier segments into a polyline.
+ * @param {PathPoint[]} controlPoints As returned by `catmullRomToBezier`: 3n + 1 points.
+ * @param {number} spacing About how far apart the samples are, in pixels.
+ * @returns {PathPoint[]}
+ */
+export function flattenBezier(controlPoints, spacing) {
+  if (controlPoints.length < 4) return controlPoints.map((p) => ({ ...p }));
+  const result = [{ ...controlPoints[0] }];
+  for (let i = 0; i + 3 < controlPoints.length; i += 3) {
+    const [p0, p1, p2, p3] = controlPoints.slice(i, i + 4);
+    // The control polygon is never shorter than the curve.
+    const length = Math.hypot(p1.x - p0.x, p1.y - p0.y) + Math.hypot(p2.x - p1.x, p2.y - p1.y) +
+      Math.hypot(p3.x - p2.x, p3.y - p2.y);
+    const steps = Math.max(1, Math.ceil(length / spacing));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const u = 1 - t;
+      const a = u * u * u;
+      const b = 3 * u * u * t;
+      const c = 3 * u * t * t;
+      const d = t * t * t;
+      result.push({
+        x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+        y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+        pressure: u * p0.pressure + t * p3.pressure,
+      });
+    }
+  }
+  return result;
+}
@@ -0,0 +1,21 @@
+/**
+ * @typedef {import('./tool-controller.js').DragTool} DragTool
+ */
+
+/**
+ * Moves the symmetry's center, where its axes cross, to wherever the drag is.  The axes
+ * themselves are drawn over the document whenever symmetry is on, whatever the tool.
+ * @returns {DragTool}
+ */
+export function createSymmetryAxisTool() {
+  return {
+    id: 'symmetry-axis',
+    onDragStart(controller, point) {
+      controller.setSymmetry({ center: { ...point } });
+    },
+    onDragMove(controller, points) {
+      controller.setSymmetry({ center: { ...points[points.length - 1] } });
+    },
+    onDragEnd() { },
+  };
+}
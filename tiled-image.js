@@ -0,0 +1,270 @@
+import { TEXTURE_FORMATS, blitTexture, clearTexture, createTexture } from './gl-utils.js';
+import { intersectRects, isEmptyRect } from './rect.js';
+
+/**
+ * @typedef {import('./rect.js').Point} Point
+ * @typedef {import('./rect.js').Rect} Rect
+ */
+
+/**
+ * Side of a full tile in pixels.  It is within every WebGL2 implementation's texture size
+ * limit, and region scales must divide it.
+ */
+export const TILE_SIZE = 1024;
+
+/**
+ * An image stored as a grid of textures, so documents can be larger than the GPU's texture
+ * size limit and edits only touch the tiles they change.  Tiles are numbered row by row from
+ * the lower-left.  Those on the right and top edges are cut down to the image size.  A tile
+ * that has never been drawn on is null and reads as transparent, so empty layers cost nothing.
+ */
+export class TiledImage {
+  /**
+   * @param {WebGL2RenderingContext} gl
+   * @param {number} width
+   * @param {number} height
+   * @param {import('./gl-utils.js').TextureFormat} [format]
+   */
+  constructor(gl, width, height, format = 'rgba8') {
+    this.gl = gl;
+    this.width = width;
+    this.height = height;
+    this.format = format;
+    this.columns = Math.ceil(width / TILE_SIZE);
+    this.rows = Math.ceil(height / TILE_SIZE);
+    /** @type {(WebGLTexture | null)[]} */
+    this.tiles = new Array(this.columns * this.rows).fill(null);
+  }
+
+  /** Approximate GPU memory held by the allocated tiles. */
+  get byteSize() {
+    const bytesPerPixel = TEXTURE_FORMATS[this.format].bytesPerPixel;
+    let total = 0;
+    this.tiles.forEach((tile, index) => {
+      if (!tile) return;
+      const { width, height } = this.tileRect(index);
+      total += width * height * bytesPerPixel;
+    });
+    return total;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Rect} Where the tile sits in the image.
+   */
+  tileRect(index) {
+    const x = (index % this.columns) * TILE_SIZE;
+    const y = Math.floor(index / this.columns) * TILE_SIZE;
+    return { x, y, width: Math.min(TILE_SIZE, this.width - x), height: Math.min(TILE_SIZE, this.height - y) };
+  }
+
+  /**
+   * @param {Rect} rect In image pixels.
+   * @returns {number[]} The tiles that overlap `rect`.
+   */
+  tilesIn(rect) {
+    const clipped = intersectRects(rect, { x: 0, y: 0, width: this.width, height: this.height });
+    if (isEmptyRect(clipped)) return [];
+    const left = Math.floor(clipped.x / TILE_SIZE);
+    const right = Math.ceil((clipped.x + clipped.width) / TILE_SIZE) - 1;
+    const bottom = Math.floor(clipped.y / TILE_SIZE);
+    const top = Math.ceil((clipped.y + clipped.height) / TILE_SIZE) - 1;
+    const indices = [];
+    for (let row = bottom; row <= top; row++) {
+      for (let column = left; column <= right; column++) {
+        indices.push(row * this.columns + column);
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * Allocates a texture the size of a tile.  It is not part of the image until it is put
+   * into `tiles`.
+   * @param {number} index
+   * @returns {WebGLTexture}
+   */
+  createTileTexture(index) {
+    const { width, height } = this.tileRect(index);
+    return createTexture(this.gl, width, height, this.format);
+  }
+
+  /**
+   * @param {number} index
+   * @returns {WebGLTexture} The tile, allocated transparent if it was empty.
+   */
+  ensureTile(index) {
+    return this.tiles[index] ??= this.createTileTexture(index);
+  }
+
+  /**
+   * Sets every pixel, allocating every tile.
+   * @param {[number, number, number, number]} color RGBA, each 0 to 1.
+   */
+  fill(color) {
+    this.tiles.forEach((_, index) => clearTexture(this.gl, this.ensureTile(index), color));
+  }
+
+  /** Frees every tile, leaving the image transparent. */
+  clear() {
+    this.tiles.forEach((tile) => this.gl.deleteTexture(tile));
+    this.tiles.fill(null);
+  }
+
+  /** Frees the GPU memory.  The image must not be used afterwards. */
+  delete() {
+    this.clear();
+  }
+
+  /** @returns {TiledImage} A copy with its own textures. */
+  clone() {
+    const copy = new TiledImage(this.gl, this.width, this.height, this.format);
+    this.tiles.forEach((tile, index) => {
+      if (!tile) return;
+      const rect = { ...this.tileRect(index), x: 0, y: 0 };
+      copy.tiles[index] = copy.createTileTexture(index);
+      blitTexture(this.gl, tile, rect, copy.tiles[index], rect);
+    });
+    return copy;
+  }
+
+  /**
+   * Gathers a rectangle of the image into a texture of the same format, which is cleared
+   * first.  Parts of the rectangle outside the image or on empty tiles come out transparent.
+   * @param {Rect} rect In image pixels.
+   * @param {WebGLTexture} target At least as large as `rect`.
+   * @param {Point} [offset] Where the rectangle's lower-left corner lands in `target`.
+   */
+  readInto(rect, target, offset = { x: 0, y: 0 }) {
+    clearTexture(this.gl, target, [0, 0, 0, 0], { ...offset, width: rect.width, height: rect.height });
+    for (const index of this.tilesIn(rect)) {
+      const tile = this.tiles[index];
+      if (!tile) continue;
+      const tileRect = this.tileRect(index);
+      const overlap = intersectRects(rect, tileRect);
+      blitTexture(this.gl, tile,
+        { ...overlap, x: overlap.x - tileRect.x, y: overlap.y - tileRect.y },
+        target,
+        { ...overlap, x: overlap.x - rect.x + offset.x, y: overlap.y - rect.y + offset.y });
+    }
+  }
+
+  /**
+   * Copies a rectangle of a texture into the image, allocating tiles as needed.  Whatever
+   * falls outside the image is dropped.
+   * @param {WebGLTexture} source A texture of the same format.
+   * @param {Rect} sourceRect The part of `source` to copy.
+   * @param {Point} offset Where the rectangle's lower-left corner lands in the image.
+   */
+  writeFrom(source, sourceRect, offset) {
+    const rect = { ...sourceRect, ...offset };
+    for (const index of this.tilesIn(rect)) {
+      const tileRect = this.tileRect(index);
+      const overlap = intersectRects(rect, tileRect);
+      blitTexture(this.gl, source,
+        { ...overlap, x: overlap.x - offset.x + sourceRect.x, y: overlap.y - offset.y + sourceRect.y },
+        this.ensureTile(index),
+        { ...overlap, x: overlap.x - tileRect.x, y: overlap.y - tileRect.y });
+    }
+  }
+
+  /**
+   * Copies every pixel of another image into this one.
+   * @param {TiledImage} other An image of the same format.
+   * @param {Point} offset Where the other image's lower-left corner lands in this one.
+   */
+  copyFrom(other, offset) {
+    other.tiles.forEach((tile, index) => {
+      if (!tile) return;
+      const rect = other.tileRect(index);
+      this.writeFrom(tile, { ...rect, x: 0, y: 0 }, { x: rect.x + offset.x, y: rect.y + offset.y });
+    });
+  }
+
+  /**
+   * Reads the image, or part of it, back from the GPU.  Only `rgba8` images can be read;
+   * convert float images first.
+   * @param {Rect} [rect] The part to read, inside the image.  Defaults to all of it.
+   * @returns {Uint8Array} RGBA pixels, bottom row first.
+   */
+  readPixels(rect = { x: 0, y: 0, width: this.width, height: this.height }) {
+    const gl = this.gl;
+    if (this.format !== 'rgba8') throw new Error(`Cannot read back ${this.format} pixels`);
+    const pixels = new Uint8Array(rect.width * rect.height * 4);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    // Each tile's rows land at their place in the rectangle.
+    gl.pixelStorei(gl.PACK_ROW_LENGTH, rect.width);
+    for (const index of this.tilesIn(rect)) {
+      const tile = this.tiles[index];
+      if (!tile) continue;
+      const tileRect = this.tileRect(index);
+      const overlap = intersectRects(rect, tileRect);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tile, 0);
+      gl.readPixels(overlap.x - tileRect.x, overlap.y - tileRect.y, overlap.width, overlap.height,
+        gl.RGBA, gl.UNSIGNED_BYTE, pixels, ((overlap.y - rect.y) * rect.width + overlap.x - rect.x) * 4);
+    }
+    gl.pixelStorei(gl.PACK_ROW_LENGTH, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(framebuffer);
+    return pixels;
+  }
+
+  /**
+   * Replaces every pixel, or those in a rectangle.  Tiles that come out entirely zero are left
+   * empty.  Only 8-bit images can be written; write float images through an `rgba8` one.
+   * @param {ArrayBufferView & ArrayLike<number>} pixels Bottom row first, with as many
+   *   channels as the format has.
+   * @param {Rect} [rect] Where the pixels go, inside the image.  Defaults to all of it.
+   */
+  writePixels(pixels, rect = { x: 0, y: 0, width: this.width, height: this.height }) {
+    const gl = this.gl;
+    const { format, type, bytesPerPixel } = TEXTURE_FORMATS[this.format];
+    if (type !== 'UNSIGNED_BYTE') throw new Error(`Cannot write ${this.format} pixels`);
+    if (pixels.length !== rect.width * rect.height * bytesPerPixel) {
+      throw new Error('Pixels do not match the image size');
+    }
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, rect.width);
+    // Single-channel rows are not 4-byte aligned unless the width happens to be.
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    for (const index of this.tilesIn(rect)) {
+      const tileRect = this.tileRect(index);
+      const overlap = intersectRects(rect, tileRect);
+      if (this.#isBlank(pixels, rect, overlap, bytesPerPixel)) {
+        if (!this.tiles[index]) continue;
+        if (overlap.width === tileRect.width && overlap.height === tileRect.height) {
+          gl.deleteTexture(this.tiles[index]);
+          this.tiles[index] = null;
+          continue;
+        }
+      }
+      gl.bindTexture(gl.TEXTURE_2D, this.ensureTile(index));
+      gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, overlap.x - rect.x);
+      gl.pixelStorei(gl.UNPACK_SKIP_ROWS, overlap.y - rect.y);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, overlap.x - tileRect.x, overlap.y - tileRect.y,
+        overlap.width, overlap.height, gl[format], gl.UNSIGNED_BYTE, pixels);
+    }
+    gl.pixelStorei(gl.UNPACK_ROW_LENGTH, 0);
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, 0);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * @param {ArrayLike<number>} pixels
+   * @param {Rect} pixelsRect Where `pixels` lie in the image.
+   * @param {Rect} rect The part of them to check, inside `pixelsRect`.
+   * @param {number} bytesPerPixel
+   */
+  #isBlank(pixels, pixelsRect, rect, bytesPerPixel) {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      const start = ((y - pixelsRect.y) * pixelsRect.width + rect.x - pixelsRect.x) * bytesPerPixel;
+      const end = start + rect.width * bytesPerPixel;
+      for (let i = start; i < end; i++) {
+        if (pixels[i] !== 0) return false;
+      }
+    }
+    return true;
+  }
+}
@@ -1,10 +1,106 @@
 /**
  * @typedef {{x: number, y: number}} Point
+ * @typedef {{x: number, y: number, width: number, height: number}} Rect
+ * @typedef {import('./stroke-log.js').StrokeRecord} StrokeRecord
+ * @typedef {import('./stroke-path.js').PathPoint} PathPoint
  */
 
 /**
- * A simple renderer that just copies a texture to the canvas.
- * This is used for the default state when no tool is active.
+ * A tool that handles drags itself instead of running shader passes over the layer, like the
+ * selection tools.  Points are in document coordinates.
+ * @typedef {{
+ *   id: string,
+ *   onDragStart(controller: ToolController, point: Point, e: PointerEvent): void,
+ *   onDragMove(controller: ToolController, points: Point[]): void,
+ *   onDragEnd(controller: ToolController, point: Point): void,
+ *   onKeyDown?(controller: ToolController, e: KeyboardEvent): boolean,
+ *   drawOverlay?(ctx: CanvasRenderingContext2D, toOverlay: (p: Point) => Point, scale: number): void,
+ *   shaderTool?: ShaderTool,
+ * }} DragTool
+ *   `onKeyDown` returns whether the tool used the key.  `drawOverlay` draws guides over the
+ *   document; `toOverlay` maps document points onto the overlay, which is `scale` overlay
+ *   pixels to a document pixel.  `shaderTool` is the tool the drag tool commits strokes with,
+ *   whose params are the drag tool's settings.
+ */
+
+/**
+ * A document set aside while one of its regions is edited at a higher resolution.
+ * @typedef {{
+ *   layers: import('./layer-stack.js').LayerStack,
+ *   width: number,
+ *   height: number,
+ *   strokes: StrokeRecord[],
+ *   history: import('./undo-history.js').UndoHistory,
+ *   view: import('./view-transform.js').ViewTransform,
+ *   selection: Uint8Array | null,
+ *   rect: Rect,
+ *   scale: number,
+ *   feather: number,
+ * }} ParentDocument
+ */
+
+/**
+ * How drags are repeated around the document.  `vertical` mirrors them across a vertical
+ * axis through `center`, `horizontal` across a horizontal one and `both` across both, and
+ * `radial` turns them evenly around `center`, `segments` copies in all.  A null center is the
+ * middle of the document.
+ * @typedef {{
+ *   mode: SymmetryMode,
+ *   segments: number,
+ *   center: Point | null,
+ * }} Symmetry
+ * @typedef {'off' | 'vertical' | 'horizontal' | 'both' | 'radial'} SymmetryMode
+ */
+
+/**
+ * A liquify in progress on `layer`.  Brushes edit `field`, which holds for each pixel how far
+ * away the pixel shown there comes from, and `warped` holds the layer's tiles resampled
+ * through it.  `fieldPreview` holds the field under the current drag, reused from frame to
+ * frame like the preview tiles.  `history` holds the field tiles each brush stroke replaced,
+ * so strokes can be undone one at a time before the liquify is applied.
+ * @typedef {{
+ *   layer: Layer,
+ *   field: TiledImage,
+ *   fieldPreview: Map<number, WebGLTexture>,
+ *   warped: Map<number, WebGLTexture>,
+ *   history: UndoHistory,
+ * }} LiquifySession
+ */
+
+/**
+ * Scratch textures for running a tool over one window of the document.  `a` and `b` are
+ * ping-ponged between passes; `mask` holds that part of the selection and `toolMask` that part
+ * of the tool's mask.
+ * @typedef {{
+ *   source: WebGLTexture,
+ *   a: WebGLTexture,
+ *   b: WebGLTexture,
+ *   mask: WebGLTexture,
+ *   toolMask: WebGLTexture,
+ * }} WindowTextures
+ */
+
+/**
+ * A copy of the document's pixels and structure that outlives the GPU textures, for saving.
+ * Layer pixels are RGBA, bottom row first.
+ * @typedef {{
+ *   width: number,
+ *   height: number,
+ *   activeIndex: number,
+ *   layers: {
+ *     name: string,
+ *     visible: boolean,
+ *     opacity: number,
+ *     blendMode: import('./layer-stack.js').BlendMode,
+ *     pixels: Uint8Array,
+ *   }[],
+ *   strokes: StrokeRecord[],
+ * }} DocumentSnapshot
+ */
+
+/**
+ * A simple renderer that copies one tile of the document at a time to the canvas through
+ * the view transform.  Everything the user sees goes through here.
  */
 class PassthroughRenderer {
   /**
@@ -14,24 +110,73 @@ class PassthroughRenderer {
     this.gl = gl;
     const vs = `#version 300 es
       in vec2 a_position;
+      // x, y, width and height of the tile in document pixels.
+      uniform vec4 u_tileRect;
+      uniform vec2 u_viewSize;
+      uniform float u_zoom;
+      uniform vec2 u_pan;
       out vec2 v_texCoord;
       void main() {
-        gl_Position = vec4(a_position, 0.0, 1.0);
         v_texCoord = a_position * 0.5 + 0.5;
+        vec2 viewPosition = (u_tileRect.xy + v_texCoord * u_tileRect.zw) * u_zoom + u_pan;
+        gl_Position = vec4(viewPosition / u_viewSize * 2.0 - 1.0, 0.0, 1.0);
       }`;
     const fs = `#version 300 es
-      precision mediump float;
+      precision highp float;
       in vec2 v_texCoord;
       uniform sampler2D u_texture;
+      uniform sampler2D u_selection;
+      uniform bool u_showSelection;
+      uniform float u_antsOffset;
+      uniform bool u_dither;
       out vec4 fragColor;
+      ${DITHER_GLSL}
+      bool isSelected(vec2 uv) {
+        return texture(u_selection, uv).r >= 0.5;
+      }
+
       void main() {
-        fragColor = texture(u_texture, v_texCoord);
+        // Show transparent areas over a checkerboard.
+        float checker = mod(floor(gl_FragCoord.x / 8.0) + floor(gl_FragCoord.y / 8.0), 2.0);
+        vec3 backdrop = mix(vec3(0.8), vec3(1.0), checker);
+        vec4 color = texture(u_texture, v_texCoord);
+        fragColor = vec4(mix(backdrop, color.rgb, color.a), 1.0);
+        if (u_dither) {
+          // The canvas only has 8 bits per channel.
+          fragColor = dither(fragColor, gl_FragCoord.xy);
+        }
+
+        if (u_showSelection) {
+          // Marching ants wherever the selection's edge passes between this screen pixel and
+          // the next one over or up.
+          bool selected = isSelected(v_texCoord);
+          if (selected != isSelected(v_texCoord + dFdx(v_texCoord)) ||
+              selected != isSelected(v_texCoord + dFdy(v_texCoord))) {
+            float dash = step(4.0, mod(gl_FragCoord.x + gl_FragCoord.y + u_antsOffset, 8.0));
+            fragColor = vec4(vec3(dash), 1.0);
+          }
+        }
       }`;
 
     const vertexShader = this.#createShader(gl.VERTEX_SHADER, vs);
     const fragmentShader = this.#createShader(gl.FRAGMENT_SHADER, fs);
     this.program = this.#createProgram(vertexShader, fragmentShader);
     this.textureLocation = gl.getUniformLocation(this.program, 'u_texture');
+    this.tileRectLocation = gl.getUniformLocation(this.program, 'u_tileRect');
+    this.viewSizeLocation = gl.getUniformLocation(this.program, 'u_viewSize');
+    this.zoomLocation = gl.getUniformLocation(this.program, 'u_zoom');
+    this.panLocation = gl.getUniformLocation(this.program, 'u_pan');
+    this.selectionLocation = gl.getUniformLocation(this.program, 'u_selection');
+    this.showSelectionLocation = gl.getUniformLocation(this.program, 'u_showSelection');
+    this.antsOffsetLocation = gl.getUniformLocation(this.program, 'u_antsOffset');
+    this.ditherLocation = gl.getUniformLocation(this.program, 'u_dither');
+
+    // Zoomed in past 1:1, show crisp pixels without changing how the tools sample.
+    this.nearestSampler = gl.createSampler();
+    gl.samplerParameteri(this.nearestSampler, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.samplerParameteri(this.nearestSampler, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    // Stands in for the selection's empty tiles.
+    this.emptyMask = createTexture(gl, 1, 1, 'r8');
   }
 
   #createShader(type, source) {
@@ -50,9 +195,44 @@ class PassthroughRenderer {
   }
 }
 
-import { ShaderTool } from './shader-tool.js';
+import { DITHER_GLSL, FormatConverter } from './format-converter.js';
+import { blitTexture, clearTexture, createTexture, supportedColorFormats } from './gl-utils.js';
+import { encodeImage, flipRows } from './image-export.js';
+import { LayerCompositor } from './layer-compositor.js';
+import { Layer, LayerStack } from './layer-stack.js';
+import { MAX_DISPLACEMENT, createLiquifyWarpTool } from './liquify-gl.js';
+import { boundingRect, expandRect, intersectRects, isEmptyRect, rectsEqual, roundRectOut, unionRects } from './rect.js';
+import { createRegionDownsampleTool, createRegionMergeTool } from './region-merge-gl.js';
+import { Selection } from './selection.js';
+import { PATH_TEXTURE_WIDTH, ShaderTool } from './shader-tool.js';
+import { TILE_SIZE, TiledImage } from './tiled-image.js';
+import { UndoHistory } from './undo-history.js';
+import { ViewTransform } from './view-transform.js';
 
-export class ToolController {
+// Browsers report wheel deltas in pixels, lines or pages.
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_ZOOM_SPEED = 0.002;
+// How often the marching ants take a step, in milliseconds.
+const ANTS_STEP_INTERVAL = 100;
+const MAX_REGION_SCALE = 8;
+// Documents are tiled, so they can be larger than a texture.  This keeps a single layer
+// within a few gigabytes of GPU memory.
+export const MAX_DOCUMENT_SIZE = 32768;
+// How many sets of window textures to keep between strokes.
+const WINDOW_CACHE_SIZE = 4;
+
+/** @type {SymmetryMode[]} */
+export const SYMMETRY_MODES = ['off', 'vertical', 'horizontal', 'both', 'radial'];
+export const MAX_SYMMETRY_SEGMENTS = 32;
+
+/**
+ * Dispatches a `layerschange` event whenever the layer stack or any layer's properties change,
+ * a `regionchange` event when a region is opened or closed, a `documentchange` event
+ * after every commit, undo or other change to the committed pixels, a `symmetrychange`
+ * event when `setSymmetry` changes how drags are repeated, and a `toolerror` event, a
+ * CustomEvent whose detail says why, when a drag can't be drawn.
+ */
+export class ToolController extends EventTarget {
   /** @type {HTMLCanvasElement} */
   canvas;
   /** @type {WebGL2RenderingContext} */
@@ -61,18 +241,97 @@ export class ToolController {
   isDragging = false;
   /** @type {boolean} */
   isDirty = true;
-  /** @type {ShaderTool | null} */
+  /** @type {ShaderTool | DragTool | null} */
   activeTool = null;
   /** @type {PassthroughRenderer | null} */
   passthroughRenderer = null;
   /** @type {import('./gemini-chat.js').GeminiChat | null} */
   chatInstance = null;
+  /**
+   * Every stroke committed since the background was set.  The array is replaced rather than
+   * mutated so the undo history can hold on to earlier versions.
+   * @type {StrokeRecord[]}
+   */
+  strokes = [];
+  /** When set, commits replace the active layer's tiles without recording an undo step. */
+  #suspendHistory = false;
+  /**
+   * The format new documents' layers are stored in.  The float formats keep repeated edits
+   * from banding, at two or four times the memory.
+   * @type {import('./gl-utils.js').TextureFormat}
+   */
+  workingFormat = 'rgba8';
+  /** Document size in pixels, independent of the canvas size. */
+  width = 0;
+  height = 0;
+  view = new ViewTransform();
+  layers = new LayerStack();
+  /**
+   * Documents set aside while one of their regions is edited, innermost last.
+   * @type {ParentDocument[]}
+   */
+  #parents = [];
+  /**
+   * Tiles holding the current drag's preview, by index.  They are reused from frame to frame,
+   * and the ones a commit uses become part of the layer.
+   * @type {Map<number, WebGLTexture>}
+   */
+  #previewTiles = new Map();
+  /**
+   * The other set of preview tiles a symmetric drag's copies ping-pong with, so none of them
+   * writes a tile another is still reading.
+   * @type {Map<number, WebGLTexture>}
+   */
+  #symmetryTiles = new Map();
+  /** @type {Symmetry} */
+  symmetry = { mode: 'off', segments: 6, center: null };
+  /**
+   * The undo step the last layer property change recorded, which later ones may fold into.
+   * @type {import('./undo-history.js').HistoryEntry | null}
+   */
+  #propertiesEntry = null;
+  /**
+   * Tiles the last composite drew with a preview, so the next one can put them back.
+   * @type {number[]}
+   */
+  #previewedTiles = [];
+  /**
+   * Tiles of the composite that show the committed layers, apart from those still showing a
+   * preview.  Only the tiles in view are drawn, so the others fall behind.
+   * @type {Set<number>}
+   */
+  #currentTiles = new Set();
+  /** Set when every tile of the composite must be redrawn, even during a preview. */
+  #compositeStale = true;
+  /** The size and format of the last composite, which starts over empty when they change. */
+  #compositeShape = '';
+  /**
+   * A stroke shown until it is applied or cancelled, such as an adjustment being tuned.
+   * @type {{tool: ShaderTool, stroke: StrokeRecord} | null}
+   */
+  #pendingStroke = null;
+  /**
+   * The liquify being worked on, which is shown but not part of the layer until it is
+   * applied.
+   * @type {LiquifySession | null}
+   */
+  #liquify = null;
+  /**
+   * Scratch textures for running tools, by window size, least recently used first.
+   * @type {Map<string, WindowTextures>}
+   */
+  #windowTextures = new Map();
 
   /**
    * @param {HTMLCanvasElement} canvas The canvas element to draw on.
    */
   constructor(canvas) {
+    super();
     this.canvas = canvas;
+    /** A canvas over the document for the active tool's guides, such as curve handles. */
+    this.overlay = document.createElement('canvas');
+    this.overlay.classList.add('tool-overlay');
+    canvas.after(this.overlay);
 
     const maybeGl = canvas.getContext('webgl2');
     if (!maybeGl) {
@@ -80,19 +339,35 @@ export class ToolController {
     }
     this.gl = maybeGl;
     this.passthroughRenderer = new PassthroughRenderer(this.gl);
+    this.compositor = new LayerCompositor(this.gl);
+    this.history = new UndoHistory(this.gl);
+    this.selection = new Selection(this.gl);
+    this.regionDownsampleTool = createRegionDownsampleTool(this.gl);
+    this.converter = new FormatConverter(this.gl);
+    /** The working formats this GPU can draw into, from least to most precise. */
+    this.supportedFormats = supportedColorFormats(this.gl);
+    this.regionMergeTool = createRegionMergeTool(this.gl);
+    this.liquifyWarpTool = createLiquifyWarpTool(this.gl);
+    /** The marching ants' position when the canvas was last drawn. */
+    this.antsOffset = 0;
 
     this.initialize();
-    this.sourceTexture = undefined;
-    this.targetTextureA = undefined;
-    this.targetTextureB = undefined;
+    new ResizeObserver(() => this.#resizeCanvas()).observe(this.canvas);
     this.framebuffer = undefined;
   }
 
   /**
-   * @param {ShaderTool} tool
+   * @param {ShaderTool | DragTool} tool
    */
   setTool(tool) {
+    if (tool instanceof ShaderTool && tool.target === 'displacement' && !this.canLiquify) {
+      throw new Error('Liquify needs a GPU that can draw into float textures');
+    }
     if (this.activeTool !== tool) {
+      if (!(tool instanceof ShaderTool && tool.target === 'displacement')) {
+        // Other tools work on the layer's pixels, so the warp has to be in them first.
+        this.applyLiquify();
+      }
       this.activeTool = tool;
       this.isDirty = true;
     }
@@ -102,23 +377,71 @@ export class ToolController {
   setChatInstance(chatInstance) {
     if (chatInstance) {
       this.chatInstance = chatInstance;
+      chatInstance.setImageSource(() => this.layers.active ? new ImageData(
+        flipRows(this.readDocumentPixels(), this.width, this.height), this.width, this.height) : null);
     }
   }
 
   /**
-   * Gets the canvas-relative coordinates from a mouse or touch event.  We use a right-handed coordinate
-   * system measured in pixels with the origin in the lower-left corner.
-   * @param {MouseEvent | Touch} e The mouse or touch event.
+   * Gets the document coordinates from a pointer event.  We use a right-handed coordinate
+   * system measured in document pixels with the origin in the lower-left corner.
+   * @param {PointerEvent | WheelEvent} e The pointer event.
    * @returns {Point}
    */
   getCanvasPointFromEvent(e) {
+    return this.view.toDocument(this.#getViewPointFromEvent(e));
+  }
+
+  /**
+   * Gets the position of an event in canvas pixels, with the origin in the lower-left corner.
+   * @param {PointerEvent | WheelEvent} e
+   * @returns {Point}
+   */
+  #getViewPointFromEvent(e) {
     const rect = this.canvas.getBoundingClientRect();
+    // The canvas has a border, and its backing store may be larger than its CSS size.
+    const left = rect.left + this.canvas.clientLeft;
+    const top = rect.top + this.canvas.clientTop;
+    const scaleX = this.canvas.width / this.canvas.clientWidth;
+    const scaleY = this.canvas.height / this.canvas.clientHeight;
     return {
-      x: e.clientX - rect.left,
-      y: this.canvas.height - (e.clientY - rect.top) // Invert Y for WebGL coords
+      x: (e.clientX - left) * scaleX,
+      y: this.canvas.height - (e.clientY - top) * scaleY // Invert Y for WebGL coords
     };
   }
 
+  /** Matches the canvas backing store to its displayed size. */
+  #resizeCanvas() {
+    const width = Math.max(1, Math.round(this.canvas.clientWidth * devicePixelRatio));
+    const height = Math.max(1, Math.round(this.canvas.clientHeight * devicePixelRatio));
+    if (width === this.canvas.width && height === this.canvas.height) return;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    if (this.view.isFitted && this.width > 0) {
+      this.zoomToFit();
+    }
+    this.isDirty = true;
+  }
+
+  zoomToFit() {
+    this.view.fit(this.width, this.height, this.canvas.width, this.canvas.height);
+    this.isDirty = true;
+  }
+
+  zoomToActualSize() {
+    this.view.actualSize(this.width, this.height, this.canvas.width, this.canvas.height);
+    this.isDirty = true;
+  }
+
+  /**
+   * @param {number} factor Values above 1 zoom in.
+   * @param {Point} [center] The point to keep fixed, in canvas pixels.  Defaults to the middle.
+   */
+  zoomBy(factor, center = { x: this.canvas.width / 2, y: this.canvas.height / 2 }) {
+    this.view.zoomAt(factor, center);
+    this.isDirty = true;
+  }
+
   #squaredDistance(a, b) {
     const dx = a.x - b.x;
     const dy = a.y - b.y;
@@ -151,15 +474,15 @@ export class ToolController {
     return this.#squaredDistance(p, closestPoint);
   }
 
-  updateToolPoints() {
-    if (!this.activeTool) return;
+  /**
+   * Builds a stroke record from the current drag.
+   * @param {ShaderTool} tool
+   * @returns {StrokeRecord}
+   */
+  #currentStroke(tool) {
     if (!this.startPoint) throw new Error('Start point not initialized');
     if (!this.endPoint) throw new Error('End point not initialized');
 
-    const dx = this.endPoint.x - this.startPoint.x;
-    const dy = this.endPoint.y - this.startPoint.y;
-    const dragLength = Math.sqrt(dx * dx + dy * dy);
-
     // Find the mid point furthest from start and end.
     let midPoint = this.startPoint;
 
@@ -176,13 +499,57 @@ export class ToolController {
       }
     }
 
+    const samples = Math.max(this.penSampleCount, 1);
+    const { start, end } = tool.constrainDrag(this.startPoint, this.endPoint, this.dragModifiers);
+    return {
+      tool: tool.id,
+      start: { ...start },
+      mid: { ...midPoint },
+      end: { ...end },
+      pressure: this.penSampleCount > 0 ? this.pressureSum / samples : 1,
+      tilt: { x: this.tiltSum.x / samples, y: this.tiltSum.y / samples },
+      width: this.width,
+      height: this.height,
+      timestamp: Date.now(),
+      params: { ...tool.paramValues },
+      ...(tool.pathFunction ? { path: this.path.map((p) => ({ ...p })) } : {}),
+      ...(this.dragSource ? { source: { ...this.dragSource } } : {}),
+    };
+  }
+
+  /**
+   * Sets the stroke uniforms on all of the tool's programs.
+   * @param {ShaderTool} tool
+   * @param {StrokeRecord} stroke
+   * @param {Point} [origin] Where the window the stroke was moved into sits in the document, as
+   *   `u_origin`, for patterns that have to line up from one window to the next.
+   */
+  updateToolPoints(tool, stroke, origin = { x: 0, y: 0 }) {
+    const dx = stroke.end.x - stroke.start.x;
+    const dy = stroke.end.y - stroke.start.y;
+    const dragLength = Math.sqrt(dx * dx + dy * dy);
+    const params = tool.paramsFor(stroke);
+    const path = tool.pathFor(stroke);
+    if (path) this.#uploadPath(path);
+
     // Set uniforms for all programs
-    this.activeTool.programs.forEach(({ program, locations }) => {
+    tool.programs.forEach(({ program, locations }) => {
       this.gl.useProgram(program);
-      this.gl.uniform2f(locations.uniforms.resolution, this.gl.canvas.width, this.gl.canvas.height);
-      this.gl.uniform2f(locations.uniforms.start, this.startPoint.x, this.startPoint.y);
-      this.gl.uniform2f(locations.uniforms.end, this.endPoint.x, this.endPoint.y);
-      this.gl.uniform2f(locations.uniforms.mid, midPoint.x, midPoint.y);
+      this.gl.uniform2f(locations.uniforms.resolution, stroke.width, stroke.height);
+      this.gl.uniform2f(locations.uniforms.start, stroke.start.x, stroke.start.y);
+      this.gl.uniform2f(locations.uniforms.end, stroke.end.x, stroke.end.y);
+      this.gl.uniform2f(locations.uniforms.mid, stroke.mid.x, stroke.mid.y);
+      this.gl.uniform1f(locations.uniforms.pressure, stroke.pressure);
+      this.gl.uniform2f(locations.uniforms.tilt, stroke.tilt.x, stroke.tilt.y);
+      // Strokes that don't copy copy from where they are.
+      const source = stroke.source ?? stroke.start;
+      this.gl.uniform2f(locations.uniforms.source, source.x, source.y);
+      this.gl.uniform2f(locations.uniforms.origin, origin.x, origin.y);
+      tool.setParamUniforms(locations, params);
+      if (path) {
+        this.gl.uniform1i(locations.uniforms.path, 1);
+        this.gl.uniform1i(locations.uniforms.pathLength, path.length);
+      }
       if (locations.uniforms.isDragging) {
         this.gl.uniform1f(locations.uniforms.isDragging, this.isDragging ? 1.0 : 0.0);
       }
@@ -199,52 +566,249 @@ export class ToolController {
     this.endPoint = { x: 0, y: 0 };
     /** @type {Point[]} */
     this.midPoints = [];
+    /** @type {PathPoint[]} Every sample of the drag, for tools that draw along it. */
+    this.path = [];
+    /** @type {import('./shader-tool.js').DragModifiers} As of the latest pointer event. */
+    this.dragModifiers = { shiftKey: false, altKey: false };
+    /** @type {number | null} The pointer that owns the current drag. */
+    this.dragPointerId = null;
+    /** @type {Point | null} Where the current drag copies from, for tools that copy. */
+    this.dragSource = null;
+    // Pen samples are averaged over the drag to give the stroke's pressure and tilt.
+    this.pressureSum = 0;
+    this.tiltSum = { x: 0, y: 0 };
+    this.penSampleCount = 0;
+
+    /**
+     * Positions of the fingers on the canvas, in canvas pixels.  Two fingers pinch and pan.
+     * @type {Map<number, Point>}
+     */
+    this.touchPoints = new Map();
+    /** @type {{ distance: number, center: Point } | null} */
+    this.pinch = null;
+    /** @type {{ pointerId: number, last: Point } | null} A middle-button pan. */
+    this.panDrag = null;
+
+    // Pointer events cover mouse, touch and pen.  Capturing the pointer keeps the drag alive
+    // when it leaves the canvas.
+    this.canvas.addEventListener('pointerdown', (e) => this.#onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.#onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.#onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', (e) => this.#onPointerUp(e));
+    this.canvas.addEventListener('lostpointercapture', (e) => this.#onPointerUp(e));
+    this.canvas.addEventListener('wheel', (e) => this.#onWheel(e), { passive: false });
+  }
+
+  /** @param {PointerEvent} e */
+  #onPointerDown(e) {
+    if (e.pointerType === 'touch') {
+      this.touchPoints.set(e.pointerId, this.#getViewPointFromEvent(e));
+      if (this.touchPoints.size === 2) {
+        // A second finger turns the stroke into a pinch.
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        this.#cancelDrag();
+        this.pinch = this.#measurePinch();
+        return;
+      }
+      if (this.touchPoints.size > 2) return;
+    }
+    if (e.button === 1) {
+      e.preventDefault();
+      this.canvas.setPointerCapture(e.pointerId);
+      this.panDrag = { pointerId: e.pointerId, last: this.#getViewPointFromEvent(e) };
+      return;
+    }
+    this.onDragStart(e);
+  }
+
+  /** @param {PointerEvent} e */
+  #onPointerMove(e) {
+    if (this.touchPoints.has(e.pointerId)) {
+      this.touchPoints.set(e.pointerId, this.#getViewPointFromEvent(e));
+    }
+    if (this.pinch && this.touchPoints.has(e.pointerId)) {
+      e.preventDefault();
+      const pinch = this.#measurePinch();
+      this.view.zoomAt(pinch.distance / this.pinch.distance, this.pinch.center);
+      this.view.panBy(pinch.center.x - this.pinch.center.x, pinch.center.y - this.pinch.center.y);
+      this.pinch = pinch;
+      this.isDirty = true;
+      return;
+    }
+    if (this.panDrag && this.panDrag.pointerId === e.pointerId) {
+      const point = this.#getViewPointFromEvent(e);
+      this.view.panBy(point.x - this.panDrag.last.x, point.y - this.panDrag.last.y);
+      this.panDrag.last = point;
+      this.isDirty = true;
+      return;
+    }
+    this.onDragMove(e);
+  }
+
+  /** @param {PointerEvent} e */
+  #onPointerUp(e) {
+    if (this.touchPoints.delete(e.pointerId) && this.pinch) {
+      if (this.touchPoints.size < 2) {
+        this.pinch = null;
+      }
+      return;
+    }
+    if (this.panDrag && this.panDrag.pointerId === e.pointerId) {
+      this.panDrag = null;
+      return;
+    }
+    this.onDragEnd(e);
+  }
+
+  /** @returns {{ distance: number, center: Point }} */
+  #measurePinch() {
+    const [a, b] = [...this.touchPoints.values()];
+    return {
+      distance: Math.max(Math.sqrt(this.#squaredDistance(a, b)), 1),
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    };
+  }
+
+  /**
+   * Ctrl+wheel (and trackpad pinch, which browsers report the same way) zooms about the
+   * cursor.  A plain wheel pans.
+   * @param {WheelEvent} e
+   */
+  #onWheel(e) {
+    e.preventDefault();
+    const scale = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? WHEEL_LINE_HEIGHT :
+      e.deltaMode === WheelEvent.DOM_DELTA_PAGE ? this.canvas.height : 1;
+    if (e.ctrlKey || e.metaKey) {
+      this.view.zoomAt(Math.exp(-e.deltaY * scale * WHEEL_ZOOM_SPEED), this.#getViewPointFromEvent(e));
+    } else {
+      this.view.panBy(-e.deltaX * scale * devicePixelRatio, e.deltaY * scale * devicePixelRatio);
+    }
+    this.isDirty = true;
+  }
+
+  /** Abandons the current drag without committing it. */
+  #cancelDrag() {
+    if (!this.isDragging) return;
+    if (this.dragPointerId !== null && this.canvas.hasPointerCapture(this.dragPointerId)) {
+      this.canvas.releasePointerCapture(this.dragPointerId);
+    }
+    this.dragPointerId = null;
+    this.isDragging = false;
+    this.startPoint = { x: 0, y: 0 };
+    this.endPoint = { x: 0, y: 0 };
+    this.#clearPreview();
+    this.isDirty = true;
+  }
 
-    // Handle mouse events
-    this.canvas.addEventListener('mousedown', (e) => this.onDragStart(e));
-    this.canvas.addEventListener('mousemove', (e) => this.onDragMove(e));
-    this.canvas.addEventListener('mouseup', () => this.onDragEnd());
-    this.canvas.addEventListener('mouseleave', () => this.onDragEnd()); // Handle mouse leaving canvas
+  /**
+   * Accumulates pressure and tilt from a pen sample.  Mice and fingers report no useful
+   * pressure, so their strokes are recorded at full pressure.
+   * @param {PointerEvent} e
+   */
+  #addPenSample(e) {
+    if (e.pointerType !== 'pen') return;
+    this.pressureSum += e.pressure;
+    this.tiltSum.x += e.tiltX / 90;
+    this.tiltSum.y += e.tiltY / 90;
+    this.penSampleCount++;
+  }
 
-    this.canvas.addEventListener('touchstart', (e) => this.onDragStart(e));
-    this.canvas.addEventListener('touchmove', (e) => this.onDragMove(e));
-    this.canvas.addEventListener('touchend', () => this.onDragEnd());
-    this.canvas.addEventListener('touchcancel', () => this.onDragEnd()); // Handle touch interruption
+  /**
+   * @param {Point} point
+   * @param {PointerEvent} e
+   * @returns {PathPoint} Mice and fingers draw at full pressure.
+   */
+  #pathPoint(point, e) {
+    return { ...point, pressure: e.pointerType === 'pen' ? e.pressure : 1 };
   }
 
-  /** @param {MouseEvent | TouchEvent} e */
+  /** @param {PointerEvent} e */
   onDragStart(e) {
-    if (!this.activeTool) return;
+    if (!this.activeTool || this.isDragging || this.#pendingStroke || e.button !== 0) return;
     e.preventDefault();
+    const copyingTool = this.activeTool instanceof ShaderTool && this.activeTool.sourceFunction ? this.activeTool : null;
+    if (copyingTool && e.altKey) {
+      // Alt-clicking picks what the tool copies from instead of drawing.
+      copyingTool.sourcePoint = this.getCanvasPointFromEvent(e);
+      this.isDirty = true;
+      return;
+    }
+    if (copyingTool && !copyingTool.sourcePoint) return;
+    this.canvas.setPointerCapture(e.pointerId);
+    this.dragPointerId = e.pointerId;
     this.isDragging = true;
-    const pointSource = e instanceof MouseEvent ? e : e.touches[0];
-    this.startPoint = this.getCanvasPointFromEvent(pointSource);
+    this.startPoint = this.getCanvasPointFromEvent(e);
     this.endPoint = { ...this.startPoint };
     this.midPoints.length = 0;
+    this.pressureSum = 0;
+    this.tiltSum = { x: 0, y: 0 };
+    this.penSampleCount = 0;
+    this.path = [this.#pathPoint(this.startPoint, e)];
+    this.dragSource = copyingTool?.sourceFor(this.startPoint) ?? null;
+    this.dragModifiers = { shiftKey: e.shiftKey, altKey: e.altKey };
+    this.#addPenSample(e);
     this.needsCommit = false;
     this.isDirty = true;
+    if (copyingTool && copyingTool.reach(this.#currentStroke(copyingTool)) > this.maxReach) {
+      // Windows can't reach that far, so the copy would read the edge of the window instead.
+      this.#cancelDrag();
+      this.dispatchEvent(new CustomEvent('toolerror', {
+        detail: 'The source is too far away to copy from.  Alt-click a source closer to where you paint.',
+      }));
+      return;
+    }
+    this.#dragTool?.onDragStart(this, { ...this.startPoint }, e);
   }
 
-  /** @param {MouseEvent | TouchEvent} e */
+  /** @param {PointerEvent} e */
   onDragMove(e) {
-    if (!this.activeTool || !this.isDragging) return;
+    if (!this.activeTool || !this.isDragging || e.pointerId !== this.dragPointerId) return;
     e.preventDefault();
-    const pointSource = e instanceof MouseEvent ? e : e.touches[0];
-    this.midPoints.push(this.endPoint);
-    this.endPoint = this.getCanvasPointFromEvent(pointSource);
+    // Tablets deliver many samples per frame; use all of them rather than just the last.
+    const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    /** @type {Point[]} */
+    const points = [];
+    for (const sample of samples.length > 0 ? samples : [e]) {
+      this.midPoints.push(this.endPoint);
+      this.endPoint = this.getCanvasPointFromEvent(sample);
+      this.#addPenSample(sample);
+      this.path.push(this.#pathPoint(this.endPoint, sample));
+      points.push(this.endPoint);
+    }
+    this.dragModifiers = { shiftKey: e.shiftKey, altKey: e.altKey };
+    this.#dragTool?.onDragMove(this, points);
     this.isDirty = true;
   }
 
-  onDragEnd() {
-    if (!this.activeTool || !this.isDragging) return;
+  /** @param {PointerEvent} e */
+  onDragEnd(e) {
+    if (!this.activeTool || !this.isDragging || e.pointerId !== this.dragPointerId) return;
+    if (this.canvas.hasPointerCapture(e.pointerId)) {
+      this.canvas.releasePointerCapture(e.pointerId);
+    }
+    this.dragPointerId = null;
     this.isDragging = false;
     this.isDirty = true;
+    const dragTool = this.#dragTool;
+    if (dragTool) {
+      // Drag tools have already applied their changes, so there is nothing to commit.
+      dragTool.onDragEnd(this, { ...this.endPoint });
+      this.startPoint = { x: 0, y: 0 };
+      this.endPoint = { x: 0, y: 0 };
+      return;
+    }
     this.needsCommit = true;
   }
 
-  #runProgram(program, locations, currentSource) {
+  /** @returns {DragTool | null} The active tool, if it handles drags itself. */
+  get #dragTool() {
+    return this.activeTool && !(this.activeTool instanceof ShaderTool) ? this.activeTool : null;
+  }
+
+  #runProgram(program, locations, currentSource, width, height) {
     this.gl.useProgram(program);
-    this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
+    this.gl.viewport(0, 0, width, height);
 
     this.gl.activeTexture(this.gl.TEXTURE0);
     this.gl.bindTexture(this.gl.TEXTURE_2D, currentSource);
@@ -254,177 +818,1614 @@ export class ToolController {
     this.gl.flush();
   }
 
-  #runTwoShaderPasses(commitTexture) {
-    if (!this.activeTool) return;
-    // Pass 1: Render from sourceTexture to targetTextureA
-    const { program: program0, locations: locations0 } = this.activeTool.programs[0];
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-    this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.targetTextureA, 0);
-    this.#runProgram(program0, locations0, this.sourceTexture);
-
-    // Pass 2: Render from targetTextureA (result of pass 1) to final destination
-    const { program: program1, locations: locations1 } = this.activeTool.programs[1];
-    if (!commitTexture) {
-      // Final pass is a preview, so render to the canvas using targetTextureA as source.
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-      this.#runProgram(program1, locations1, this.targetTextureA);
-    } else {
-      // Final pass is a commit. Render the result of pass 1 (in targetTextureA) to targetTextureB
-      // because we cannot read from and write to the same texture in a single pass.
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.targetTextureB, 0);
-      this.#runProgram(program1, locations1, this.targetTextureA);
-      // The final result is in targetTextureB. Swap it into sourceTexture.
-      [this.sourceTexture, this.targetTextureB] = [this.targetTextureB, this.sourceTexture];
-      console.log('Committing two passes. Swapped targetTextureB into sourceTexture.');
-    }
-  }
-
-  #runSingleShaderPass(commitTexture) {
-    if (!this.activeTool) return;
-    const { program, locations } = this.activeTool.programs[0];
-    if (!commitTexture) {
-      // Easy case: just display the final output
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-    } else {
-      // When committing, we render to an intermediate texture first...
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-      this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.targetTextureA, 0);
-    }
-    this.#runProgram(program, locations, this.sourceTexture);
-    if (commitTexture) {
-      [this.targetTextureA, this.sourceTexture] = [this.sourceTexture, this.targetTextureA];
-      console.log('Committing single pass. Swapped targetTextureA into sourceTexture.');
-
-    }
-  }
+  /**
+   * Runs a tool over the tiles of an image that `footprint` touches.  Each tile is run in a
+   * window that adds a halo of `reach` pixels around the part of it that can change, so the
+   * passes see the neighbouring pixels they sample.  The image itself is not changed.
+   * @param {ShaderTool} tool
+   * @param {Rect} footprint The pixels the tool can change, in document pixels.
+   * @param {number} reach How far from a changed pixel the passes may read.
+   * @param {(window: Rect) => void} prepare Sets the uniforms for a window before its passes
+   *   run.  The passes draw in window pixels.
+   * @param {TiledImage} [image] Defaults to the active layer's.
+   * @param {Map<number, WebGLTexture>} [output] Where the new tiles go.  Defaults to the
+   *   preview tiles.
+   * @returns {Map<number, WebGLTexture>} The new pixels of each tile touched.  They are
+   *   `output`'s tiles, reused by the next run unless they are committed.
+   */
+  #runTool(tool, footprint, reach, prepare, image = /** @type {Layer} */ (this.layers.active).image,
+    output = this.#previewTiles) {
+    const gl = this.gl;
+    const area = intersectRects(roundRectOut(footprint), { x: 0, y: 0, width: this.width, height: this.height });
+    /** @type {Map<number, WebGLTexture>} */
+    const results = new Map();
+    for (const index of image.tilesIn(area)) {
+      const tileRect = image.tileRect(index);
+      const interior = intersectRects(tileRect, area);
+      const window = this.#toolWindow(interior, reach);
+      const textures = this.#getWindowTextures(window.width, window.height, image.format, tool.mask?.format);
+      image.readInto(window, textures.source);
+      gl.activeTexture(gl.TEXTURE3);
+      gl.bindTexture(gl.TEXTURE_2D, textures.source);
+      gl.activeTexture(gl.TEXTURE0);
+      for (const { program, locations } of tool.programs) {
+        if (!locations.uniforms.original) continue;
+        gl.useProgram(program);
+        gl.uniform1i(locations.uniforms.original, 3);
+      }
+      prepare(window);
+      if (tool.mask) {
+        tool.mask.readInto(window, textures.toolMask);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, textures.toolMask);
+        gl.activeTexture(gl.TEXTURE0);
+        for (const { program, locations } of tool.programs) {
+          gl.useProgram(program);
+          gl.uniform1i(locations.uniforms.mask, 2);
+        }
+      }
 
-  #runMultipleShaderPasses(commitTexture) {
-    if (!this.activeTool) return;
-    let currentSource = this.sourceTexture;
-    for (let i = 0; i < this.activeTool.programs.length; i++) {
-      const { program, locations } = this.activeTool.programs[i];
-      const isLastPass = i === this.activeTool.programs.length - 1;
+      // We cannot read from and write to the same texture in a single pass, so ping-pong.
+      let current = textures.source;
+      let next = textures.a;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+      for (const { program, locations } of tool.programs) {
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, next, 0);
+        this.#runProgram(program, locations, current, window.width, window.height);
+        current = next;
+        next = current === textures.a ? textures.b : textures.a;
+      }
+      if (this.selection.isActive) {
+        // Put back the original pixels outside the selection, blending by coverage along
+        // feathered edges.
+        this.selection.image.readInto(window, textures.mask);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, next, 0);
+        this.selection.drawConstrained(textures.source, current, textures.mask, window.width, window.height);
+        current = next;
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-      if (isLastPass) {
-        if (!commitTexture) {
-          this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+      // Only the interior is new; the rest of the tile keeps the image's pixels.
+      let tile = output.get(index);
+      if (!tile) {
+        tile = image.createTileTexture(index);
+        output.set(index, tile);
+      }
+      const tileBounds = { ...tileRect, x: 0, y: 0 };
+      if (!rectsEqual(interior, tileRect)) {
+        const original = image.tiles[index];
+        if (original) {
+          blitTexture(gl, original, tileBounds, tile, tileBounds);
         } else {
-          this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-          this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.targetTextureA, 0);
+          clearTexture(gl, tile, [0, 0, 0, 0]);
         }
-      } else {
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-        this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.targetTextureA, 0);
       }
+      blitTexture(gl, current, { ...interior, x: interior.x - window.x, y: interior.y - window.y },
+        tile, { ...interior, x: interior.x - tileRect.x, y: interior.y - tileRect.y });
+      results.set(index, tile);
+    }
+    return results;
+  }
 
-      this.#runProgram(program, locations, currentSource);
+  /** How far any tool can read beyond a tile it changes, within the largest texture. */
+  get maxReach() {
+    return Math.floor((this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE) - TILE_SIZE) / 2);
+  }
 
-      currentSource = this.targetTextureA;
-      [this.targetTextureA, this.targetTextureB] = [this.targetTextureB, this.targetTextureA];
-    }
+  /**
+   * @param {Rect} interior The part of a tile that can change.
+   * @param {number} reach
+   * @returns {Rect} `interior` with its halo, within the document and a texture's size.
+   */
+  #toolWindow(interior, reach) {
+    const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+    const halo = Math.min(Math.ceil(reach), Math.floor((maxSize - Math.max(interior.width, interior.height)) / 2));
+    return intersectRects(expandRect(interior, halo), { x: 0, y: 0, width: this.width, height: this.height });
   }
 
-  runShaderPasses(commitTexture) {
-    if (!this.activeTool) return;
-    if (this.activeTool.programs.length === 1) {
-      this.#runSingleShaderPass(commitTexture);
-    } else if (this.activeTool.programs.length === 2) {
-      this.#runTwoShaderPasses(commitTexture);
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {import('./gl-utils.js').TextureFormat} format The layer's format.
+   * @param {import('./gl-utils.js').TextureFormat} [maskFormat] The tool mask's format.
+   * @returns {WindowTextures}
+   */
+  #getWindowTextures(width, height, format, maskFormat = 'r8') {
+    const key = `${width}x${height} ${format} ${maskFormat}`;
+    let textures = this.#windowTextures.get(key);
+    if (textures) {
+      // Move it to the back, as the most recently used.
+      this.#windowTextures.delete(key);
     } else {
-      this.#runMultipleShaderPasses(commitTexture);
+      const gl = this.gl;
+      textures = {
+        source: createTexture(gl, width, height, format),
+        a: createTexture(gl, width, height, format),
+        b: createTexture(gl, width, height, format),
+        mask: createTexture(gl, width, height, 'r8'),
+        toolMask: createTexture(gl, width, height, maskFormat),
+      };
     }
-  }
-
-  render() {
-    if (!this.isDirty || !this.activeTool || !this.sourceTexture) {
-      return;
+    this.#windowTextures.set(key, textures);
+    for (const [oldKey, old] of this.#windowTextures) {
+      if (this.#windowTextures.size <= WINDOW_CACHE_SIZE) break;
+      Object.values(old).forEach((texture) => this.gl.deleteTexture(texture));
+      this.#windowTextures.delete(oldKey);
     }
+    return textures;
+  }
 
-    this.isDirty = false;
-
-    // If there's no active drag, just render the source texture directly.
-    const isIdle = this.startPoint.x === 0 && this.startPoint.y === 0 && this.endPoint.x === 0 && this.endPoint.y === 0;
+  /**
+   * Moves a stroke into a window's pixels, so the tool's shaders can run on the window as if
+   * it were the whole document.
+   * @param {StrokeRecord} stroke
+   * @param {Rect} window
+   * @returns {StrokeRecord}
+   */
+  #strokeInWindow(stroke, window) {
+    /** @param {Point} p */
+    const shift = (p) => ({ x: p.x - window.x, y: p.y - window.y });
+    return {
+      ...stroke,
+      start: shift(stroke.start),
+      mid: shift(stroke.mid),
+      end: shift(stroke.end),
+      ...(stroke.path ? { path: stroke.path.map((p) => ({ ...shift(p), pressure: p.pressure })) } : {}),
+      ...(stroke.source ? { source: shift(stroke.source) } : {}),
+      width: window.width,
+      height: window.height,
+    };
+  }
 
-    if (isIdle && !this.needsCommit) {
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-      this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
-      this.gl.useProgram(this.passthroughRenderer.program);
-      this.gl.activeTexture(this.gl.TEXTURE0);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.sourceTexture);
-      this.gl.uniform1i(this.passthroughRenderer.textureLocation, 0);
-      this.gl.drawArrays(this.gl.TRIANGLES, 0, 6);
-      console.log('Passthrough done.');
+  /**
+   * Puts new tiles into a layer and hands the ones they replace to the undo history.
+   * @param {Layer} layer
+   * @param {Map<number, WebGLTexture>} tiles Taken from the preview tiles.
+   */
+  #commitTiles(layer, tiles) {
+    /** @type {Map<number, WebGLTexture | null>} */
+    const replaced = new Map();
+    tiles.forEach((tile, index) => {
+      replaced.set(index, layer.image.tiles[index]);
+      layer.image.tiles[index] = tile;
+      for (const preview of [this.#previewTiles, this.#symmetryTiles]) {
+        if (preview.get(index) === tile) preview.delete(index);
+      }
+    });
+    if (this.#suspendHistory) {
+      replaced.forEach((tile) => this.gl.deleteTexture(tile));
     } else {
-      this.updateToolPoints();
-      this.runShaderPasses(this.needsCommit);
+      this.history.push({
+        kind: 'pixels',
+        layerId: layer.id,
+        tiles: replaced,
+        format: layer.image.format,
+        strokes: this.strokes,
+      });
+    }
+  }
 
+  /** Frees the preview tiles, for when no drag is previewing. */
+  #clearPreview() {
+    for (const preview of [this.#previewTiles, this.#symmetryTiles]) {
+      preview.forEach((tile) => this.gl.deleteTexture(tile));
+      preview.clear();
     }
+  }
 
-    if (this.needsCommit) {
-      this.startPoint = { x: 0, y: 0 };
-      this.endPoint = { x: 0, y: 0 };
-      this.needsCommit = false;
-      this.isDirty = true;
+  /**
+   * Hands the current layers to the history, which then owns their images.
+   * @returns {import('./undo-history.js').DocumentEntry}
+   */
+  #documentHistoryEntry() {
+    return {
+      kind: 'document',
+      layers: this.layers.layers,
+      activeIndex: this.layers.activeIndex,
+      width: this.width,
+      height: this.height,
+      strokes: this.strokes,
+    };
+  }
 
-      if (this.chatInstance) {
-        // Read pixels from the committed sourceTexture and send to chat
-        const pixels = new Uint8ClampedArray(this.gl.canvas.width * this.gl.canvas.height * 4);
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-        this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.sourceTexture, 0);
-        this.gl.readPixels(0, 0, this.gl.canvas.width, this.gl.canvas.height, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+  /**
+   * Records the layer stack before a structural change.  The current layers stay in the
+   * document, so the history gets copies of them.
+   */
+  #pushDocumentState() {
+    const entry = this.#documentHistoryEntry();
+    entry.layers = entry.layers.map((layer) => {
+      const copy = new Layer(layer.id, layer.name, layer.image.clone());
+      layer.copyPropertiesTo(copy);
+      return copy;
+    });
+    this.history.push(entry);
+  }
 
-        this.chatInstance.setImage(pixels, this.gl.canvas.width, this.gl.canvas.height);
+  /**
+   * Steps back to the state before the last commit.  During a liquify, takes back the last
+   * brush stroke, or drops the liquify once none are left.
+   * @returns {boolean} True if there was anything to undo.
+   */
+  undo() {
+    if (this.isDragging || !this.layers.active) return false;
+    if (this.#liquify) {
+      if (!this.#liquify.history.undo((entry) => this.#restoreFieldEntry(entry))) {
+        this.cancelLiquify();
       }
+      return true;
     }
+    return this.history.undo((entry) => this.#restoreHistoryEntry(entry));
   }
 
   /**
-   * Creates a WebGL texture from a canvas and stores it.
-   * @param {HTMLCanvasElement} canvas The source canvas for the texture.
+   * Reapplies the last undone commit.
+   * @returns {boolean} True if there was anything to redo.
    */
-  setBackgroundTexture(canvas) {
-    const gl = this.gl;
+  redo() {
+    if (this.isDragging || !this.layers.active) return false;
+    if (this.#liquify?.history.canRedo) {
+      return this.#liquify.history.redo((entry) => this.#restoreFieldEntry(entry));
+    }
+    this.applyLiquify();
+    return this.history.redo((entry) => this.#restoreHistoryEntry(entry));
+  }
 
-    // Initialize textures and framebuffer on first run
-    if (!this.framebuffer) {
-      // The vertex buffer was missing, let's add it here.
-      const positionBuffer = gl.createBuffer();
-      gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-      const positions = [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1];
-      gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
-      gl.enableVertexAttribArray(0);
-      gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  /**
+   * Puts a history entry back into the document.
+   * @param {import('./undo-history.js').HistoryEntry} entry
+   * @returns {import('./undo-history.js').HistoryEntry} The state it replaced.
+   */
+  #restoreHistoryEntry(entry) {
+    /** @type {import('./undo-history.js').HistoryEntry} */
+    let replaced;
+    if (entry.kind === 'pixels') {
+      // History is linear, so the layer always exists in the state being restored.
+      const image = /** @type {Layer} */ (this.layers.find(entry.layerId)).image;
+      /** @type {Map<number, WebGLTexture | null>} */
+      const tiles = new Map();
+      entry.tiles.forEach((tile, index) => {
+        tiles.set(index, image.tiles[index]);
+        image.tiles[index] = tile;
+      });
+      replaced = { kind: 'pixels', layerId: entry.layerId, tiles, format: entry.format, strokes: this.strokes };
     } else {
-      gl.deleteTexture(this.sourceTexture);
-      gl.deleteTexture(this.targetTextureA);
-      gl.deleteTexture(this.targetTextureB);
-    }
-
-    const createAndSetupTexture = () => {
-      const texture = gl.createTexture();
-      gl.bindTexture(gl.TEXTURE_2D, texture);
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.canvas.width, gl.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-      return texture;
-    };
-
-    this.sourceTexture = createAndSetupTexture();
-    gl.bindTexture(gl.TEXTURE_2D, this.sourceTexture);
-    console.log('Setting background texture. New sourceTexture created.');
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+      replaced = this.#documentHistoryEntry();
+      this.layers.reset(entry.layers, entry.activeIndex);
+      if (entry.width !== this.width || entry.height !== this.height) {
+        // Undoing a background change can bring back a document of another size.
+        this.#setDocumentSize(entry.width, entry.height);
+      }
+      this.#notifyLayersChanged();
+    }
+    this.strokes = entry.strokes;
+    this.isDirty = true;
+    this.#documentChanged();
+    return replaced;
+  }
 
-    this.targetTextureA = createAndSetupTexture();
-    this.targetTextureB = createAndSetupTexture();
+  /**
+   * Runs the tool over the tiles of the active layer that the stroke touches.  The new tiles
+   * either replace the layer's or are kept as a preview.  Liquify brushes run over the
+   * displacement field instead, and the tiles are those of the layer warped through it.
+   * @param {ShaderTool} tool
+   * @param {StrokeRecord} stroke In document pixels.
+   * @param {boolean} commit
+   * @returns {Map<number, WebGLTexture>} The new tiles by index.  Once committed they belong
+   *   to the layer.
+   */
+  runShaderPasses(tool, stroke, commit) {
+    tool.prepare(this, stroke);
+    if (tool.target === 'displacement') {
+      return this.#runLiquifyBrush(tool, stroke, commit);
+    }
+    const tiles = this.#runTool(tool, tool.footprint(stroke), tool.reach(stroke),
+      (window) => this.updateToolPoints(tool, this.#strokeInWindow(stroke, window), window));
+    if (commit) {
+      this.#commitTiles(/** @type {Layer} */ (this.layers.active), tiles);
+      console.log(`Committing ${tool.programs.length} pass(es) over ${tiles.size} tile(s).`);
+    }
+    return tiles;
+  }
 
-    if (!this.framebuffer) {
-      this.framebuffer = gl.createFramebuffer();
+  /**
+   * Runs strokes one after another, each over what the ones before it left, and commits
+   * them as one undoable step.
+   * @param {ShaderTool} tool
+   * @param {StrokeRecord[]} strokes In document pixels.
+   * @param {boolean} commit
+   * @returns {Map<number, WebGLTexture>} The new tiles by index, as `runShaderPasses`.
+   */
+  #runStrokes(tool, strokes, commit) {
+    if (strokes.length === 1) return this.runShaderPasses(tool, strokes[0], commit);
+    const layer = /** @type {Layer} */ (this.layers.active);
+    // The layer as the strokes so far have left it, sharing their tiles.
+    const working = new TiledImage(this.gl, this.width, this.height, layer.image.format);
+    working.tiles = [...layer.image.tiles];
+    /** @type {Set<number>} */
+    const changed = new Set();
+    strokes.forEach((stroke, i) => {
+      const output = i % 2 === 0 ? this.#previewTiles : this.#symmetryTiles;
+      const other = i % 2 === 0 ? this.#symmetryTiles : this.#previewTiles;
+      // Tiles the stroke before last left in the set this one writes to, and the last one
+      // didn't touch, move over to the other set so the stroke can still read them.
+      working.tiles.forEach((tile, index) => {
+        if (!tile || output.get(index) !== tile) return;
+        let moved = other.get(index);
+        if (!moved) {
+          moved = working.createTileTexture(index);
+          other.set(index, moved);
+        }
+        const bounds = { ...working.tileRect(index), x: 0, y: 0 };
+        blitTexture(this.gl, tile, bounds, moved, bounds);
+        working.tiles[index] = moved;
+      });
+      tool.prepare(this, stroke);
+      const tiles = this.#runTool(tool, tool.footprint(stroke), tool.reach(stroke),
+        (window) => this.updateToolPoints(tool, this.#strokeInWindow(stroke, window), window), working, output);
+      tiles.forEach((tile, index) => {
+        working.tiles[index] = tile;
+        changed.add(index);
+      });
+    });
+    /** @type {Map<number, WebGLTexture>} */
+    const tiles = new Map([...changed].map((index) => [index, /** @type {WebGLTexture} */ (working.tiles[index])]));
+    if (commit) {
+      this.#commitTiles(layer, tiles);
+      console.log(`Committing ${strokes.length} symmetric copies over ${tiles.size} tile(s).`);
     }
+    return tiles;
+  }
 
-    gl.bindTexture(gl.TEXTURE_2D, null);
+  /**
+   * Changes how drags are repeated.  The setting itself isn't recorded in the undo history,
+   * but the copies of each stroke are.  Fills, filters, adjustments and liquify strokes aren't
+   * repeated.
+   * @param {Partial<Symmetry>} changes
+   */
+  setSymmetry(changes) {
+    const symmetry = { ...this.symmetry, ...changes };
+    if (!SYMMETRY_MODES.includes(symmetry.mode)) {
+      throw new Error(`Unknown symmetry mode ${symmetry.mode}`);
+    }
+    if (!Number.isInteger(symmetry.segments) || symmetry.segments < 2 || symmetry.segments > MAX_SYMMETRY_SEGMENTS) {
+      throw new Error(`Radial symmetry needs 2 to ${MAX_SYMMETRY_SEGMENTS} segments, got ${symmetry.segments}`);
+    }
+    this.symmetry = symmetry;
     this.isDirty = true;
+    this.dispatchEvent(new Event('symmetrychange'));
+  }
+
+  /** @returns {Point} Where the symmetry's axes cross, in document pixels. */
+  get symmetryCenter() {
+    return this.symmetry.center ?? { x: this.width / 2, y: this.height / 2 };
+  }
+
+  /**
+   * @returns {[number, number, number, number][]} The linear part of each symmetric copy, about
+   *   the center, as the matrix's rows (xx, xy, yx, yy).  The first leaves points where they are.
+   */
+  #symmetryMatrices() {
+    const { mode, segments } = this.symmetry;
+    switch (mode) {
+      case 'vertical': return [[1, 0, 0, 1], [-1, 0, 0, 1]];
+      case 'horizontal': return [[1, 0, 0, 1], [1, 0, 0, -1]];
+      case 'both': return [[1, 0, 0, 1], [-1, 0, 0, 1], [1, 0, 0, -1], [-1, 0, 0, -1]];
+      case 'radial': return Array.from({ length: segments }, (_, k) => {
+        const angle = 2 * Math.PI * k / segments;
+        return [Math.cos(angle), -Math.sin(angle), Math.sin(angle), Math.cos(angle)];
+      });
+      default: return [[1, 0, 0, 1]];
+    }
+  }
+
+  /**
+   * @param {ShaderTool} tool The tool named by `stroke.tool`.
+   * @param {StrokeRecord} stroke
+   * @returns {StrokeRecord[]} The stroke and its symmetric copies, the stroke first.  The pen's
+   *   tilt and the tool's angle params turn with each copy.
+   */
+  #symmetricStrokes(tool, stroke) {
+    const center = this.symmetryCenter;
+    const params = tool.paramsFor(stroke);
+    return this.#symmetryMatrices().map(([xx, xy, yx, yy], k) => {
+      if (k === 0) return stroke;
+      /** @param {Point} v */
+      const turn = (v) => ({ x: xx * v.x + xy * v.y, y: yx * v.x + yy * v.y });
+      /** @param {Point} p */
+      const move = (p) => {
+        const turned = turn({ x: p.x - center.x, y: p.y - center.y });
+        return { x: center.x + turned.x, y: center.y + turned.y };
+      };
+      /** @type {import('./shader-tool.js').ParamValues} */
+      const turnedParams = {};
+      for (const param of tool.params) {
+        if (!param.turns) continue;
+        const radians = Number(params[param.name]) * Math.PI / 180;
+        const direction = turn({ x: Math.cos(radians), y: Math.sin(radians) });
+        const min = param.min ?? 0;
+        const span = (param.max ?? min + 360) - min;
+        const degrees = Math.atan2(direction.y, direction.x) * 180 / Math.PI;
+        turnedParams[param.name] = min + ((degrees - min) % span + span) % span;
+      }
+      return {
+        ...stroke,
+        start: move(stroke.start),
+        mid: move(stroke.mid),
+        end: move(stroke.end),
+        tilt: turn(stroke.tilt),
+        params: { ...stroke.params, ...turnedParams },
+        ...(stroke.path ? { path: stroke.path.map((p) => ({ ...move(p), pressure: p.pressure })) } : {}),
+        ...(stroke.source ? { source: move(stroke.source) } : {}),
+      };
+    });
+  }
+
+  /**
+   * Commits a stroke a drag tool built as one undoable step, as if it had been drawn.
+   * @param {ShaderTool} tool The tool named by `stroke.tool`.
+   * @param {StrokeRecord} stroke
+   * @param {boolean} [symmetric] Whether to repeat the stroke like a drag, by the symmetry.
+   */
+  commitStroke(tool, stroke, symmetric = false) {
+    const strokes = symmetric ? this.#symmetricStrokes(tool, stroke) : [stroke];
+    if (strokes.length === 1) {
+      this.applyStroke(tool, stroke);
+    } else {
+      this.#runStrokes(tool, strokes, true);
+      this.strokes = [...this.strokes, ...strokes];
+      this.isDirty = true;
+    }
+    this.#clearPreview();
+    this.#documentChanged();
+  }
+
+  /**
+   * Shows a stroke as if it had been drawn, without committing it, until `applyPreview` or
+   * `cancelPreview`.  Calling it again replaces the stroke, for example after a param changed.
+   * Drags are ignored meanwhile.
+   * @param {ShaderTool} tool The tool named by `stroke.tool`.
+   * @param {StrokeRecord} stroke
+   */
+  previewStroke(tool, stroke) {
+    if (this.isDragging) throw new Error('Cannot preview a stroke during a drag');
+    this.applyLiquify();
+    this.#pendingStroke = { tool, stroke };
+    this.isDirty = true;
+  }
+
+  /** Commits the previewed stroke as one undoable step. */
+  applyPreview() {
+    const pending = this.#pendingStroke;
+    if (!pending) return;
+    // Kept until the commit succeeds, so a failed one can still be cancelled.
+    this.commitStroke(pending.tool, pending.stroke);
+    this.#pendingStroke = null;
+  }
+
+  /** Drops the previewed stroke, leaving the document as it was. */
+  cancelPreview() {
+    if (!this.#pendingStroke) return;
+    this.#pendingStroke = null;
+    this.#clearPreview();
+    this.isDirty = true;
+  }
+
+  get isLiquifying() {
+    return this.#liquify !== null;
+  }
+
+  /** Whether this GPU can hold a liquify's displacement field, which needs float textures. */
+  get canLiquify() {
+    return this.supportedFormats.some((format) => format !== 'rgba8');
+  }
+
+  /**
+   * Resamples the layer through the liquify displacement field as one undoable step, and
+   * ends the liquify.  A liquify stroke still being drawn is dropped.
+   */
+  applyLiquify() {
+    const session = this.#liquify;
+    if (!session) return;
+    // With every stroke undone the warp moves nothing, and isn't worth an undo step.
+    const isEmpty = session.field.tiles.every((tile) => !tile);
+    this.#endLiquify(session);
+    if (isEmpty || session.warped.size === 0) {
+      session.warped.forEach((tile) => this.gl.deleteTexture(tile));
+      return;
+    }
+    this.#commitTiles(session.layer, session.warped);
+    // The warped pixels did not come from strokes, so the log starts over.
+    this.strokes = [];
+    this.#documentChanged();
+  }
+
+  /** Ends the liquify without changing the layer. */
+  cancelLiquify() {
+    const session = this.#liquify;
+    if (!session) return;
+    this.#endLiquify(session);
+    session.warped.forEach((tile) => this.gl.deleteTexture(tile));
+  }
+
+  /** @returns {LiquifySession} A new liquify of the active layer, with an empty field. */
+  #openLiquify() {
+    // The field needs fractions of a pixel, and displacements in both directions.
+    const format = this.supportedFormats.at(-1) ?? 'rgba8';
+    if (format === 'rgba8') throw new Error('Liquify needs a GPU that can draw into float textures');
+    this.#liquify = {
+      layer: /** @type {Layer} */ (this.layers.active),
+      field: new TiledImage(this.gl, this.width, this.height, format),
+      fieldPreview: new Map(),
+      warped: new Map(),
+      history: new UndoHistory(this.gl),
+    };
+    this.dispatchEvent(new Event('liquifychange'));
+    return this.#liquify;
+  }
+
+  /**
+   * Frees the field.  The warped tiles are left to the caller.
+   * @param {LiquifySession} session
+   */
+  #endLiquify(session) {
+    this.#cancelDrag();
+    this.#liquify = null;
+    session.field.delete();
+    session.fieldPreview.forEach((tile) => this.gl.deleteTexture(tile));
+    session.history.clear();
+    this.#clearPreview();
+    this.isDirty = true;
+    this.dispatchEvent(new Event('liquifychange'));
+  }
+
+  /**
+   * Runs a liquify brush over the displacement field, starting a liquify if there is none,
+   * and warps the tiles of the layer it touched.
+   * @param {ShaderTool} tool
+   * @param {StrokeRecord} stroke
+   * @param {boolean} commit Whether the stroke goes into the field or is only previewed.
+   * @returns {Map<number, WebGLTexture>} Every warped tile, as it shows with the stroke.
+   */
+  #runLiquifyBrush(tool, stroke, commit) {
+    const session = this.#liquify ?? this.#openLiquify();
+    const fieldTiles = this.#runTool(tool, tool.footprint(stroke), tool.reach(stroke),
+      (window) => this.updateToolPoints(tool, this.#strokeInWindow(stroke, window), window),
+      session.field, session.fieldPreview);
+    let field = session.field;
+    if (commit) {
+      /** @type {Map<number, WebGLTexture | null>} */
+      const replaced = new Map();
+      fieldTiles.forEach((tile, index) => {
+        replaced.set(index, field.tiles[index]);
+        field.tiles[index] = tile;
+        session.fieldPreview.delete(index);
+      });
+      session.history.push({
+        kind: 'pixels', layerId: session.layer.id, tiles: replaced, format: field.format, strokes: [],
+      });
+    } else {
+      // The field as it would be after the stroke, sharing the liquify's tiles.
+      field = new TiledImage(this.gl, field.width, field.height, field.format);
+      field.tiles = session.field.tiles.map((tile, index) => fieldTiles.get(index) ?? tile);
+    }
+
+    const warped = this.#warpTiles(session, field, [...fieldTiles.keys()], commit ? session.warped : this.#previewTiles);
+    return commit ? session.warped : new Map([...session.warped, ...warped]);
+  }
+
+  /**
+   * Resamples tiles of the liquify's layer through a displacement field.
+   * @param {LiquifySession} session
+   * @param {TiledImage} field
+   * @param {number[]} indices The tiles whose field changed.
+   * @param {Map<number, WebGLTexture>} output
+   * @returns {Map<number, WebGLTexture>} The warped tiles, as `#runTool`.
+   */
+  #warpTiles(session, field, indices, output) {
+    // Whole tiles are warped, so none of them keeps pixels warped through an older field.
+    const area = indices.reduce((rect, index) => unionRects(rect, field.tileRect(index)),
+      { x: 0, y: 0, width: 0, height: 0 });
+    const warp = this.liquifyWarpTool;
+    warp.mask = field;
+    try {
+      return this.#runTool(warp, area, MAX_DISPLACEMENT + 1, () => { }, session.layer.image, output);
+    } finally {
+      warp.mask = null;
+    }
+  }
+
+  /**
+   * Puts field tiles from the liquify's history back, and warps the layer through them again.
+   * @param {import('./undo-history.js').HistoryEntry} entry
+   * @returns {import('./undo-history.js').HistoryEntry} The field tiles it replaced.
+   */
+  #restoreFieldEntry(entry) {
+    const session = /** @type {LiquifySession} */ (this.#liquify);
+    if (entry.kind !== 'pixels') throw new Error('Liquify history only holds field tiles');
+    /** @type {Map<number, WebGLTexture | null>} */
+    const tiles = new Map();
+    entry.tiles.forEach((tile, index) => {
+      tiles.set(index, session.field.tiles[index]);
+      session.field.tiles[index] = tile;
+    });
+    this.#warpTiles(session, session.field, [...entry.tiles.keys()], session.warped);
+    this.isDirty = true;
+    return { ...entry, tiles };
+  }
+
+  /**
+   * Offers a key press to the active tool.
+   * @param {KeyboardEvent} e
+   * @returns {boolean} Whether the tool used it.
+   */
+  handleToolKey(e) {
+    if (this.isDragging) return false;
+    const used = !!this.#dragTool?.onKeyDown?.(this, e);
+    if (used) this.isDirty = true;
+    return used;
+  }
+
+  /**
+   * Commits a recorded stroke to the active layer, exactly as if it had just been drawn.
+   * @param {ShaderTool} tool The tool named by `stroke.tool`.
+   * @param {StrokeRecord} stroke
+   */
+  applyStroke(tool, stroke) {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    if (stroke.width !== this.width || stroke.height !== this.height) {
+      throw new Error(`Stroke was recorded on a ${stroke.width}x${stroke.height} canvas, ` +
+        `but the canvas is ${this.width}x${this.height}`);
+    }
+    this.#checkSourceReach(tool, stroke);
+    this.runShaderPasses(tool, stroke, true);
+    // Liquify strokes only change the field.  Applying it starts the log over.
+    if (tool.target === 'layer') {
+      this.strokes = [...this.strokes, stroke];
+    }
+    this.isDirty = true;
+  }
+
+  /**
+   * Throws if a stroke copies from further away than its windows can reach.
+   * @param {ShaderTool} tool
+   * @param {StrokeRecord} stroke
+   */
+  #checkSourceReach(tool, stroke) {
+    if (tool.sourceFunction && tool.reach(stroke) > this.maxReach) {
+      throw new Error(`Stroke copies from further than the ${this.maxReach} pixels this GPU can reach`);
+    }
+  }
+
+  /**
+   * Rebuilds the document by applying `strokes` in order on top of `background`.  Replaying
+   * the same log onto the same background always produces the same pixels.  The whole replay
+   * is a single undo step.  Selections are not logged, so strokes replay unconstrained.
+   * @param {HTMLCanvasElement} background
+   * @param {StrokeRecord[]} strokes
+   * @param {Record<string, ShaderTool>} toolsById
+   */
+  replayStrokes(background, strokes, toolsById) {
+    if (this.isDragging) throw new Error('Cannot replay strokes during a drag');
+    // Resolve and check every stroke up front so a bad log leaves the document
+    // untouched.
+    const tools = strokes.map((stroke) => {
+      const tool = toolsById[stroke.tool];
+      if (!tool) throw new Error(`Unknown tool '${stroke.tool}' in stroke log`);
+      if (stroke.width !== background.width || stroke.height !== background.height) {
+        throw new Error(`Stroke was recorded on a ${stroke.width}x${stroke.height} canvas, ` +
+          `but the background is ${background.width}x${background.height}`);
+      }
+      this.#checkSourceReach(tool, stroke);
+      return tool;
+    });
+
+    this.setBackgroundTexture(background);
+    this.#suspendHistory = true;
+    try {
+      strokes.forEach((stroke, i) => this.applyStroke(tools[i], stroke));
+    } finally {
+      this.#suspendHistory = false;
+      this.#clearPreview();
+    }
+    this.#documentChanged();
+  }
+
+  render() {
+    if (!this.isDirty && this.selection.isActive && this.#currentAntsOffset() !== this.antsOffset) {
+      // Keep the marching ants marching.
+      this.isDirty = true;
+    }
+    if (!this.isDirty || !this.layers.active) {
+      return;
+    }
+
+    this.isDirty = false;
+
+    // If there's no active drag, just render the layers directly.
+    const isIdle = this.startPoint.x === 0 && this.startPoint.y === 0 && this.endPoint.x === 0 && this.endPoint.y === 0;
+
+    const tool = this.activeTool instanceof ShaderTool ? this.activeTool : null;
+    const pending = this.#pendingStroke;
+    if (pending) {
+      // Previews run through the same passes as a drag, without committing.
+      this.#present(this.#composite(this.runShaderPasses(pending.tool, pending.stroke, false)));
+    } else if ((isIdle && !this.needsCommit) || !tool) {
+      this.#present(this.#composite(this.#liquify?.warped ?? null));
+    } else if (tool.target === 'displacement') {
+      // The committed field still only shows until the liquify is applied.
+      this.#present(this.#composite(this.runShaderPasses(tool, this.#currentStroke(tool), this.needsCommit)));
+    } else {
+      // Every copy goes in the log, so replays don't depend on the symmetry.
+      const strokes = this.#symmetricStrokes(tool, this.#currentStroke(tool));
+      const tiles = this.#runStrokes(tool, strokes, this.needsCommit);
+      this.#present(this.#composite(this.needsCommit ? null : tiles));
+      if (this.needsCommit) {
+        this.strokes = [...this.strokes, ...strokes];
+      }
+    }
+    this.#drawOverlay();
+
+    if (this.needsCommit) {
+      this.startPoint = { x: 0, y: 0 };
+      this.endPoint = { x: 0, y: 0 };
+      this.needsCommit = false;
+      this.isDirty = true;
+      this.#clearPreview();
+
+      if (tool?.target !== 'displacement') {
+        this.#documentChanged();
+      }
+    }
+  }
+
+  /** Lines the overlay up with the canvas and lets the active tool draw on it. */
+  #drawOverlay() {
+    const overlay = this.overlay;
+    overlay.style.left = `${this.canvas.offsetLeft}px`;
+    overlay.style.top = `${this.canvas.offsetTop}px`;
+    overlay.style.width = `${this.canvas.offsetWidth}px`;
+    overlay.style.height = `${this.canvas.offsetHeight}px`;
+    if (overlay.width !== this.canvas.width || overlay.height !== this.canvas.height) {
+      overlay.width = this.canvas.width;
+      overlay.height = this.canvas.height;
+    }
+    const ctx = overlay.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+    // View pixels have their origin in the lower-left corner, the overlay's in the upper-left.
+    /** @param {Point} p */
+    const toOverlay = (p) => {
+      const view = this.view.toView(p);
+      return { x: view.x, y: overlay.height - view.y };
+    };
+    this.#dragTool?.drawOverlay?.(ctx, toOverlay, this.view.zoom);
+    this.#drawSymmetryAxes(ctx, toOverlay);
+
+    const sourcePoint = this.activeTool instanceof ShaderTool ? this.activeTool.sourcePoint : null;
+    if (sourcePoint) {
+      // Mark where the tool copies from, which follows the pointer during a drag.
+      const source = this.isDragging && this.dragSource ?
+        { x: this.dragSource.x + this.endPoint.x - this.startPoint.x, y: this.dragSource.y + this.endPoint.y - this.startPoint.y } :
+        sourcePoint;
+      const q = toOverlay(source);
+      ctx.beginPath();
+      ctx.moveTo(q.x - 8, q.y);
+      ctx.lineTo(q.x + 8, q.y);
+      ctx.moveTo(q.x, q.y - 8);
+      ctx.lineTo(q.x, q.y + 8);
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = '#000000';
+      ctx.stroke();
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Draws the lines drags are mirrored across, or turned around, over the document.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {(p: Point) => Point} toOverlay
+   */
+  #drawSymmetryAxes(ctx, toOverlay) {
+    if (this.symmetry.mode === 'off') return;
+    const center = this.symmetryCenter;
+    // Long enough to cross the document from anywhere in it.
+    const length = Math.hypot(this.width, this.height);
+    /** @type {Point[]} Directions of the axes, or of the spokes between radial segments. */
+    let directions;
+    if (this.symmetry.mode === 'radial') {
+      directions = Array.from({ length: this.symmetry.segments }, (_, k) => {
+        const angle = Math.PI / 2 + 2 * Math.PI * k / this.symmetry.segments;
+        return { x: Math.cos(angle), y: Math.sin(angle) };
+      });
+    } else {
+      directions = [];
+      if (this.symmetry.mode !== 'horizontal') directions.push({ x: 0, y: 1 }, { x: 0, y: -1 });
+      if (this.symmetry.mode !== 'vertical') directions.push({ x: 1, y: 0 }, { x: -1, y: 0 });
+    }
+    const c = toOverlay(center);
+    ctx.beginPath();
+    for (const direction of directions) {
+      const end = toOverlay({ x: center.x + direction.x * length, y: center.y + direction.y * length });
+      ctx.moveTo(c.x, c.y);
+      ctx.lineTo(end.x, end.y);
+    }
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#4299e1';
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, 4, 0, 2 * Math.PI);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * Draws a document-sized image to the canvas through the view transform, one tile at a time.
+   * @param {TiledImage} image
+   */
+  #present(image) {
+    const gl = this.gl;
+    const renderer = /** @type {PassthroughRenderer} */ (this.passthroughRenderer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+    // Match the page background around the document.
+    gl.clearColor(0.102, 0.125, 0.173, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(renderer.program);
+    gl.bindSampler(0, this.view.zoom > 1 ? renderer.nearestSampler : null);
+    gl.uniform1i(renderer.textureLocation, 0);
+    gl.uniform2f(renderer.viewSizeLocation, gl.canvas.width, gl.canvas.height);
+    gl.uniform1f(renderer.zoomLocation, this.view.zoom);
+    gl.uniform2f(renderer.panLocation, this.view.pan.x, this.view.pan.y);
+    this.antsOffset = this.#currentAntsOffset();
+    gl.uniform1i(renderer.showSelectionLocation, this.selection.isActive ? 1 : 0);
+    gl.uniform1f(renderer.antsOffsetLocation, this.antsOffset);
+    gl.uniform1i(renderer.ditherLocation, image.format === 'rgba8' ? 0 : 1);
+    gl.uniform1i(renderer.selectionLocation, 1);
+    // Skip the tiles scrolled out of view.
+    const visible = this.#visibleRect();
+    image.tiles.forEach((tile, index) => {
+      const rect = image.tileRect(index);
+      if (isEmptyRect(intersectRects(rect, visible))) return;
+      gl.uniform4f(renderer.tileRectLocation, rect.x, rect.y, rect.width, rect.height);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, tile);
+      gl.activeTexture(gl.TEXTURE1);
+      // The selection is tiled the same way as the document.
+      gl.bindTexture(gl.TEXTURE_2D, this.selection.image.tiles[index] ?? renderer.emptyMask);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+    });
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindSampler(0, null);
+  }
+
+  #currentAntsOffset() {
+    return Math.floor(performance.now() / ANTS_STEP_INTERVAL) % 8;
+  }
+
+  /**
+   * Flattens the visible layers, drawing only the tiles that overlap `rect`.  With a preview,
+   * only those of them it or the previous preview covers, or that fell behind, are redrawn.
+   * @param {Map<number, WebGLTexture> | null} preview Tiles shown in place of the active
+   *   layer's.
+   * @param {Rect} [rect] Defaults to the part of the document in view.  Tiles elsewhere are
+   *   left as they were, and may be out of date.
+   * @returns {TiledImage}
+   */
+  #composite(preview = null, rect = this.#visibleRect()) {
+    const layers = this.layers.layers;
+    const active = this.layers.active;
+    if (!active) {
+      return this.compositor.composite(layers, this.width, this.height, this.#documentFormat);
+    }
+    const shape = `${this.width}x${this.height} ${this.#documentFormat}`;
+    if (shape !== this.#compositeShape) {
+      this.#compositeShape = shape;
+      this.#compositeStale = true;
+    }
+    let indices = active.image.tilesIn(rect);
+    if (!preview || this.#compositeStale) {
+      // The committed layers may have changed anywhere, so only the tiles drawn now are current.
+      this.#compositeStale = false;
+      this.#currentTiles = new Set(indices);
+    } else {
+      const previewed = new Set([...this.#previewedTiles, ...preview.keys()]);
+      indices = indices.filter((index) => previewed.has(index) || !this.#currentTiles.has(index));
+      indices.forEach((index) => this.#currentTiles.add(index));
+    }
+    // An earlier preview left in a tile that isn't drawn now no longer matches the layers.
+    const drawn = new Set(indices);
+    for (const index of this.#previewedTiles) {
+      if (!drawn.has(index)) this.#currentTiles.delete(index);
+    }
+    this.#previewedTiles = preview ? indices.filter((index) => preview.has(index)) : [];
+    return this.compositor.composite(layers, this.width, this.height, this.#documentFormat,
+      preview ? { layer: active, tiles: preview } : null, indices);
+  }
+
+  /** @returns {Rect} The part of the document the canvas shows. */
+  #visibleRect() {
+    const canvas = this.gl.canvas;
+    return boundingRect([
+      this.view.toDocument({ x: 0, y: 0 }),
+      this.view.toDocument({ x: canvas.width, y: canvas.height }),
+    ]);
+  }
+
+  /** Tells the chat and any `documentchange` listeners that the committed document changed. */
+  #documentChanged() {
+    this.chatInstance?.markImageChanged();
+    this.dispatchEvent(new Event('documentchange'));
+  }
+
+  /**
+   * Reads back the flattened document at full resolution, bottom row first.
+   * @param {Rect} [rect] The part to read, inside the document.  Defaults to all of it.
+   * @returns {Uint8Array} RGBA pixels.
+   */
+  readDocumentPixels(rect) {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    // A liquify in progress is shown, so it is what the user sees.
+    return this.#readImagePixels(
+      this.#composite(this.#liquify?.warped ?? null, rect ?? { x: 0, y: 0, width: this.width, height: this.height }), rect);
+  }
+
+  /**
+   * Encodes the flattened document, or only the active layer, as an image file the right way up.
+   * @param {import('./image-export.js').EncodeOptions & { activeLayerOnly?: boolean }} [options]
+   * @returns {Promise<Blob>}
+   */
+  async exportImage(options = {}) {
+    const pixels = options.activeLayerOnly ? this.readActiveLayerPixels() : this.readDocumentPixels();
+    return encodeImage(pixels, this.width, this.height, options);
+  }
+
+  /**
+   * Reads back the committed pixels of the active layer, bottom row first.
+   * @param {Rect} [rect] The part to read, inside the document.  Defaults to all of it.
+   * @returns {Uint8Array} RGBA pixels.
+   */
+  readActiveLayerPixels(rect) {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    return this.#readImagePixels(this.layers.active.image, rect);
+  }
+
+  /**
+   * @param {TiledImage} image
+   * @param {Rect} [rect] Defaults to the whole image.
+   * @returns {Uint8Array} RGBA pixels, bottom row first.  Float colors are dithered.
+   */
+  #readImagePixels(image, rect) {
+    if (image.format === 'rgba8') return image.readPixels(rect);
+    const bytes = this.converter.convert(image, 'rgba8', rect);
+    try {
+      return bytes.readPixels(rect);
+    } finally {
+      bytes.delete();
+    }
+  }
+
+  /**
+   * @param {Uint8Array} pixels RGBA, bottom row first.
+   * @param {number} width
+   * @param {number} height
+   * @param {import('./gl-utils.js').TextureFormat} format
+   * @returns {TiledImage}
+   */
+  #imageFromPixels(pixels, width, height, format) {
+    const image = new TiledImage(this.gl, width, height);
+    image.writePixels(pixels);
+    if (format === 'rgba8') return image;
+    const converted = this.converter.convert(image, format);
+    image.delete();
+    return converted;
+  }
+
+  /** The format the current document's layers are in. */
+  get #documentFormat() {
+    return this.layers.active?.image.format ?? this.workingFormat;
+  }
+
+  /**
+   * Resizes everything that follows the document size.  The layers must already have the
+   * new size.
+   * @param {number} width
+   * @param {number} height
+   */
+  #setDocumentSize(width, height) {
+    this.width = width;
+    this.height = height;
+    // An axis placed on the old document may not be on this one.
+    this.symmetry = { ...this.symmetry, center: null };
+    // Preview tiles are cut to the old size.
+    this.#clearPreview();
+    this.selection.resize(width, height);
+    if (this.view.isFitted) {
+      this.zoomToFit();
+    }
+  }
+
+  /**
+   * Starts a new document with a single layer holding the canvas pixels.  Replacing an
+   * existing document is recorded in the undo history.
+   * @param {HTMLCanvasElement} canvas The source canvas for the texture.
+   */
+  setBackgroundTexture(canvas) {
+    this.#checkDocumentSize(canvas.width, canvas.height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Unable to read the background canvas');
+    // The canvas's top row is the document's bottom row, which is the order tiles are read in.
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+    this.cancelLiquify();
+    // Initialize textures and framebuffer on first run
+    if (!this.framebuffer) {
+      this.#initializeGl();
+    } else {
+      // Keep the old layers so the new background can be undone.
+      this.history.push(this.#documentHistoryEntry());
+      this.strokes = [];
+    }
+
+    // The document takes the size of the background.
+    const image = this.#imageFromPixels(new Uint8Array(pixels.buffer), canvas.width, canvas.height, this.workingFormat);
+    console.log(`Setting background texture. ${image.tiles.length} ${image.format} tile(s) created.`);
+    this.layers.reset([this.layers.createLayer('Background', image)], 0);
+
+    this.#setDocumentSize(canvas.width, canvas.height);
+    this.#notifyLayersChanged();
+
+    this.isDirty = true;
+    this.#documentChanged();
+  }
+
+  /**
+   * Sets up the full-screen quad every program draws, the framebuffer they draw into and the
+   * texture that holds paths.
+   */
+  #initializeGl() {
+    const gl = this.gl;
+    // The vertex buffer was missing, let's add it here.
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    const positions = [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1];
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    this.framebuffer = gl.createFramebuffer();
+    // Float textures can't be filtered everywhere, and read as black if they are set to be.
+    this.pathTexture = createTexture(gl, 1, 1, 'rgba32f');
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * Puts a path into the texture the tool shaders read it from, bound to texture unit 1.
+   * @param {PathPoint[]} path
+   */
+  #uploadPath(path) {
+    const gl = this.gl;
+    const rows = Math.max(1, Math.ceil(path.length / PATH_TEXTURE_WIDTH));
+    const data = new Float32Array(PATH_TEXTURE_WIDTH * rows * 4);
+    path.forEach((point, i) => data.set([point.x, point.y, point.pressure, 0], i * 4));
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.pathTexture ?? null);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, PATH_TEXTURE_WIDTH, rows, 0, gl.RGBA, gl.FLOAT, data);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /**
+   * Reads back every layer, for saving the document.
+   * @returns {DocumentSnapshot}
+   */
+  snapshotDocument() {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    return {
+      width: this.width,
+      height: this.height,
+      activeIndex: this.layers.activeIndex,
+      layers: this.layers.layers.map((layer) => ({
+        name: layer.name,
+        visible: layer.visible,
+        opacity: layer.opacity,
+        blendMode: layer.blendMode,
+        pixels: this.#readImagePixels(layer.image),
+      })),
+      strokes: this.strokes,
+    };
+  }
+
+  /**
+   * Replaces the whole document, for example with one read from a project file.  Loading
+   * can't be undone; the undo history starts over.
+   * @param {DocumentSnapshot} snapshot
+   */
+  loadDocument(snapshot) {
+    if (this.isDragging) throw new Error('Cannot load a document during a drag');
+    if (this.isEditingRegion) throw new Error('Merge or discard the open region first');
+    this.#checkDocumentSize(snapshot.width, snapshot.height);
+    for (const [index, saved] of snapshot.layers.entries()) {
+      if (saved.pixels.byteLength !== snapshot.width * snapshot.height * 4) {
+        throw new Error(`Layer ${index} does not match the document size`);
+      }
+    }
+
+    if (!this.framebuffer) {
+      this.#initializeGl();
+    }
+    this.cancelLiquify();
+    this.history.clear();
+    this.layers.layers.forEach((layer) => layer.image.delete());
+
+    const layers = snapshot.layers.map((saved) => {
+      const image = this.#imageFromPixels(saved.pixels, snapshot.width, snapshot.height, this.workingFormat);
+      const layer = this.layers.createLayer(saved.name, image);
+      layer.visible = saved.visible;
+      layer.opacity = saved.opacity;
+      layer.blendMode = saved.blendMode;
+      return layer;
+    });
+    this.layers.reset(layers, snapshot.activeIndex);
+    this.strokes = snapshot.strokes;
+
+    this.#setDocumentSize(snapshot.width, snapshot.height);
+    this.#notifyLayersChanged();
+    this.isDirty = true;
+    this.#documentChanged();
+  }
+
+  /**
+   * Changes the document size without scaling its pixels.  New area is filled with `fillColor`.
+   * @param {number} width
+   * @param {number} height
+   * @param {Point} [anchor] Where the old pixels sit in the new canvas: 0 is left/bottom,
+   *   0.5 is centered and 1 is right/top.
+   * @param {[number, number, number, number]} [fillColor] RGBA, each 0 to 1.
+   */
+  resizeCanvas(width, height, anchor = { x: 0.5, y: 0.5 }, fillColor = [1, 1, 1, 1]) {
+    const offset = {
+      x: Math.round((width - this.width) * anchor.x),
+      y: Math.round((height - this.height) * anchor.y),
+    };
+    this.#reframe(width, height, offset, fillColor);
+  }
+
+  /**
+   * Cuts the document down to a rectangle.  The rectangle is in document pixels with the
+   * origin in the lower-left corner, like every other document coordinate.
+   * @param {{ x: number, y: number, width: number, height: number }} rect
+   */
+  crop(rect) {
+    const x = Math.round(Math.max(0, rect.x));
+    const y = Math.round(Math.max(0, rect.y));
+    const width = Math.round(Math.min(rect.x + rect.width, this.width)) - x;
+    const height = Math.round(Math.min(rect.y + rect.height, this.height)) - y;
+    if (width < 1 || height < 1) {
+      throw new Error('Crop rectangle does not overlap the document');
+    }
+    this.#reframe(width, height, { x: -x, y: -y }, [0, 0, 0, 0]);
+  }
+
+  /**
+   * Moves every layer into a new image of another size, as one undoable step.  The
+   * stroke log starts over because its strokes were recorded against the old frame.
+   * @param {number} width
+   * @param {number} height
+   * @param {Point} offset Where the old lower-left corner lands in the new document.
+   * @param {[number, number, number, number]} fillColor Color for area the old document doesn't cover.
+   */
+  #reframe(width, height, offset, fillColor) {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    if (this.isDragging) throw new Error('Cannot change the document size during a drag');
+    width = Math.round(width);
+    height = Math.round(height);
+    this.#checkDocumentSize(width, height);
+    this.applyLiquify();
+
+    const entry = this.#documentHistoryEntry();
+    this.history.push(entry);
+    this.strokes = [];
+
+    // Every layer gets new pixels; the old layers now belong to the history.
+    const layers = entry.layers.map((oldLayer, index) => {
+      const layer = new Layer(oldLayer.id, oldLayer.name, new TiledImage(this.gl, width, height, oldLayer.image.format));
+      oldLayer.copyPropertiesTo(layer);
+      // Only the bottom layer is filled; new area on the layers above stays transparent.
+      if (index === 0 && fillColor.some((channel) => channel !== 0)) {
+        layer.image.fill(fillColor);
+      }
+      layer.image.copyFrom(oldLayer.image, offset);
+      return layer;
+    });
+    this.layers.reset(layers, entry.activeIndex);
+
+    this.#setDocumentSize(width, height);
+    this.isDirty = true;
+    this.#documentChanged();
+  }
+
+  /**
+   * Chooses the format layers are stored in, and converts the current document to it as one
+   * undoable step.  Converting to `rgba8` dithers the colors.
+   * @param {import('./gl-utils.js').TextureFormat} format One of `supportedFormats`.
+   */
+  setWorkingFormat(format) {
+    if (!this.supportedFormats.includes(format)) {
+      throw new Error(`This GPU cannot draw into ${format} textures`);
+    }
+    if (this.isDragging) throw new Error('Cannot change the working format during a drag');
+    this.workingFormat = format;
+    if (!this.layers.active || this.#documentFormat === format) return;
+    this.applyLiquify();
+
+    // The old layers now belong to the history.
+    const entry = this.#documentHistoryEntry();
+    this.history.push(entry);
+    const layers = entry.layers.map((oldLayer) => {
+      const layer = new Layer(oldLayer.id, oldLayer.name, this.converter.convert(oldLayer.image, format));
+      oldLayer.copyPropertiesTo(layer);
+      return layer;
+    });
+    this.layers.reset(layers, entry.activeIndex);
+    // Preview tiles are in the old format.
+    this.#clearPreview();
+    this.isDirty = true;
+    this.#documentChanged();
+  }
+
+  get isEditingRegion() {
+    return this.#parents.length > 0;
+  }
+
+  /**
+   * Opens a rectangle of the active layer as a document of its own, `scale` times as dense,
+   * for working on its details.  The region has its own layers, strokes and undo history
+   * until it is merged back or discarded.  Regions can be nested.
+   * @param {Rect} rect In document pixels, with the origin in the lower-left corner.
+   * @param {number} scale Region pixels per document pixel, a whole number that divides
+   *   TILE_SIZE so region tiles line up with document pixels.
+   * @param {number} [feather] Width of the seam when merging back, in document pixels.
+   */
+  openRegion(rect, scale, feather = 0) {
+    this.#checkLayerEdit();
+    if (!Number.isInteger(scale) || scale < 1 || scale > MAX_REGION_SCALE || TILE_SIZE % scale !== 0) {
+      throw new Error(`Region scale must be 1, 2, 4 or ${MAX_REGION_SCALE}`);
+    }
+    // Merging back works in whole document pixels.
+    const x = Math.max(0, Math.floor(rect.x));
+    const y = Math.max(0, Math.floor(rect.y));
+    const width = Math.min(this.width, Math.ceil(rect.x + rect.width)) - x;
+    const height = Math.min(this.height, Math.ceil(rect.y + rect.height)) - y;
+    if (width < 1 || height < 1) {
+      throw new Error('Region does not overlap the document');
+    }
+    this.#checkDocumentSize(width * scale, height * scale);
+    const image = this.#upsample(/** @type {Layer} */ (this.layers.active).image, { x, y, width, height }, scale);
+
+    this.#parents.push({
+      layers: this.layers,
+      width: this.width,
+      height: this.height,
+      strokes: this.strokes,
+      history: this.history,
+      view: this.view,
+      selection: this.selection.mask,
+      rect: { x, y, width, height },
+      scale,
+      feather,
+    });
+    this.layers = new LayerStack();
+    this.layers.reset([this.layers.createLayer('Region', image)], 0);
+    this.history = new UndoHistory(this.gl);
+    this.view = new ViewTransform();
+    this.strokes = [];
+    this.#setDocumentSize(width * scale, height * scale);
+    this.#afterRegionChange();
+  }
+
+  /**
+   * Closes the region and resamples its flattened pixels into the active layer of the
+   * document it came from, as one undoable step.  The parent's selection, if it had one,
+   * still limits what changes.
+   */
+  mergeRegion() {
+    const parent = this.#parents.at(-1);
+    if (!parent) throw new Error('No region is open');
+    if (this.isDragging) throw new Error('Cannot merge a region during a drag');
+    this.applyLiquify();
+    // The compositor reuses its tiles at the parent's size, so shrink the region first.
+    const region = this.#downsample(this.#composite(null, { x: 0, y: 0, width: this.width, height: this.height }), parent.scale);
+    this.#closeRegion(parent);
+
+    const gl = this.gl;
+    const { rect } = parent;
+    const tool = this.regionMergeTool;
+    const { program, locations } = tool.programs[0];
+    gl.useProgram(program);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_region'), 1);
+    gl.uniform1f(gl.getUniformLocation(program, 'u_feather'),
+      Math.min(parent.feather, rect.width / 2, rect.height / 2));
+    /** @type {WebGLTexture | null} */
+    let regionWindow = null;
+    const tiles = this.#runTool(tool, rect, 0, (window) => {
+      // The part of the region under this window, lined up with the layer's pixels.
+      gl.deleteTexture(regionWindow);
+      regionWindow = createTexture(gl, window.width, window.height, region.format);
+      region.readInto({ ...window, x: window.x - rect.x, y: window.y - rect.y }, regionWindow);
+      gl.useProgram(program);
+      gl.uniform2f(locations.uniforms.resolution, window.width, window.height);
+      gl.uniform4f(gl.getUniformLocation(program, 'u_rect'), rect.x - window.x, rect.y - window.y, rect.width, rect.height);
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, regionWindow);
+      gl.activeTexture(gl.TEXTURE0);
+    });
+    this.#commitTiles(/** @type {Layer} */ (this.layers.active), tiles);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.deleteTexture(regionWindow);
+    region.delete();
+    this.#clearPreview();
+
+    // The merged pixels did not come from strokes, so the log starts over.
+    this.strokes = [];
+    this.isDirty = true;
+    this.#documentChanged();
+  }
+
+  /** Closes the region without changing the document it came from. */
+  discardRegion() {
+    const parent = this.#parents.at(-1);
+    if (!parent) throw new Error('No region is open');
+    if (this.isDragging) throw new Error('Cannot discard a region during a drag');
+    this.cancelLiquify();
+    this.#closeRegion(parent);
+  }
+
+  /**
+   * Frees the region's layers and history, and brings back the document it came from.
+   * @param {ParentDocument} parent
+   */
+  #closeRegion(parent) {
+    this.#parents.pop();
+    this.history.clear();
+    this.layers.layers.forEach((layer) => layer.image.delete());
+    this.layers = parent.layers;
+    this.history = parent.history;
+    this.view = parent.view;
+    this.strokes = parent.strokes;
+    this.#setDocumentSize(parent.width, parent.height);
+    if (parent.selection) {
+      this.selection.combine(parent.selection, 'replace');
+    }
+    this.#afterRegionChange();
+  }
+
+  /**
+   * Scales a rectangle of an image up into a new image, with linear filtering.
+   * @param {TiledImage} image
+   * @param {Rect} rect In `image` pixels.
+   * @param {number} scale Divides TILE_SIZE, so each new tile covers whole pixels of `image`.
+   * @returns {TiledImage}
+   */
+  #upsample(image, rect, scale) {
+    const gl = this.gl;
+    const result = new TiledImage(gl, rect.width * scale, rect.height * scale, image.format);
+    const bounds = { x: 0, y: 0, width: image.width, height: image.height };
+    result.tiles.forEach((_, index) => {
+      const tileRect = result.tileRect(index);
+      const sourceRect = {
+        x: rect.x + tileRect.x / scale,
+        y: rect.y + tileRect.y / scale,
+        width: tileRect.width / scale,
+        height: tileRect.height / scale,
+      };
+      // Linear filtering reads one pixel past the edge.  Gather that too, except beyond the
+      // image, where the texture edge clamps just as the whole layer's would.
+      const gathered = intersectRects(expandRect(sourceRect, 1), bounds);
+      const source = createTexture(gl, gathered.width, gathered.height, image.format);
+      image.readInto(gathered, source);
+      blitTexture(gl, source, { ...sourceRect, x: sourceRect.x - gathered.x, y: sourceRect.y - gathered.y },
+        result.ensureTile(index), { ...tileRect, x: 0, y: 0 }, gl.LINEAR);
+      gl.deleteTexture(source);
+    });
+    return result;
+  }
+
+  /**
+   * Shrinks an image by averaging each block of `scale` by `scale` pixels.
+   * @param {TiledImage} image Its size is a multiple of `scale`.
+   * @param {number} scale Divides TILE_SIZE, so each tile shrinks to whole pixels.
+   * @returns {TiledImage}
+   */
+  #downsample(image, scale) {
+    const gl = this.gl;
+    const result = new TiledImage(gl, image.width / scale, image.height / scale, image.format);
+    const { program } = this.regionDownsampleTool.programs[0];
+    gl.useProgram(program);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_region'), 0);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_scale'), scale);
+    image.tiles.forEach((tile, index) => {
+      if (!tile) return;
+      const tileRect = image.tileRect(index);
+      const width = tileRect.width / scale;
+      const height = tileRect.height / scale;
+      const target = createTexture(gl, width, height, image.format);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target, 0);
+      gl.useProgram(program);
+      gl.viewport(0, 0, width, height);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, tile);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      result.writeFrom(target, { x: 0, y: 0, width, height }, { x: tileRect.x / scale, y: tileRect.y / scale });
+      gl.deleteTexture(target);
+    });
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return result;
+  }
+
+  #afterRegionChange() {
+    this.isDirty = true;
+    this.#notifyLayersChanged();
+    this.dispatchEvent(new Event('regionchange'));
+    this.#documentChanged();
+  }
+
+  /**
+   * Adds an empty layer above the active one and makes it active.
+   * @param {string} [name]
+   * @returns {Layer}
+   */
+  addLayer(name = `Layer ${this.layers.layers.length + 1}`) {
+    this.#checkLayerEdit();
+    this.#pushDocumentState();
+    const layer = this.layers.createLayer(name, new TiledImage(this.gl, this.width, this.height, this.#documentFormat));
+    const index = this.layers.activeIndex + 1;
+    this.layers.layers = [...this.layers.layers.slice(0, index), layer, ...this.layers.layers.slice(index)];
+    this.layers.activeIndex = index;
+    this.#afterLayerEdit();
+    return layer;
+  }
+
+  /**
+   * Deletes a layer.  The last remaining layer cannot be deleted.
+   * @param {number} id
+   */
+  removeLayer(id) {
+    this.#checkLayerEdit();
+    const index = this.layers.indexOf(id);
+    if (index < 0 || this.layers.layers.length <= 1) return;
+    this.#pushDocumentState();
+    const [layer] = this.layers.layers.splice(index, 1);
+    layer.image.delete();
+    this.layers.activeIndex = Math.min(this.layers.activeIndex, this.layers.layers.length - 1);
+    this.#afterLayerEdit();
+  }
+
+  /**
+   * Moves a layer to a new position in the stack, counted from the bottom.
+   * @param {number} id
+   * @param {number} toIndex
+   */
+  moveLayer(id, toIndex) {
+    this.#checkLayerEdit();
+    const index = this.layers.indexOf(id);
+    toIndex = Math.min(Math.max(toIndex, 0), this.layers.layers.length - 1);
+    if (index < 0 || index === toIndex) return;
+    this.#pushDocumentState();
+    const active = this.layers.active;
+    const layers = [...this.layers.layers];
+    const [layer] = layers.splice(index, 1);
+    layers.splice(toIndex, 0, layer);
+    this.layers.reset(layers, active ? layers.indexOf(active) : 0);
+    this.#afterLayerEdit();
+  }
+
+  /** @param {number} id */
+  setActiveLayer(id) {
+    const index = this.layers.indexOf(id);
+    if (index < 0 || index === this.layers.activeIndex || this.isDragging) return;
+    this.applyLiquify();
+    this.layers.activeIndex = index;
+    this.#notifyLayersChanged();
+  }
+
+  /**
+   * Changes how a layer is displayed, as one undoable step.
+   * @param {number} id
+   * @param {{ name?: string, visible?: boolean, opacity?: number, blendMode?: import('./layer-stack.js').BlendMode }} properties
+   * @param {{ merge?: boolean }} [options] `merge` folds the change into the step the last one
+   *   made, if nothing was recorded since, for sliders that report every position.
+   */
+  setLayerProperties(id, properties, { merge = false } = {}) {
+    const layer = this.layers.find(id);
+    if (!layer) return;
+    const undoEntries = this.history.undoEntries;
+    if (!merge || !this.#propertiesEntry || undoEntries[undoEntries.length - 1] !== this.#propertiesEntry) {
+      this.#pushDocumentState();
+      this.#propertiesEntry = undoEntries[undoEntries.length - 1];
+    }
+    if (properties.name !== undefined) layer.name = properties.name;
+    if (properties.visible !== undefined) layer.visible = properties.visible;
+    if (properties.opacity !== undefined) layer.opacity = Math.min(Math.max(properties.opacity, 0), 1);
+    if (properties.blendMode !== undefined) layer.blendMode = properties.blendMode;
+    // This can happen mid-stroke, when only the previewed tiles would be redrawn.
+    this.#compositeStale = true;
+    this.isDirty = true;
+    this.#notifyLayersChanged();
+    this.#documentChanged();
+  }
+
+  /**
+   * Combines a shape with the selection.  Selection changes are not recorded in the undo
+   * history.
+   * @param {Uint8Array} shape Coverage of each pixel from 0 to 255, bottom row first.
+   * @param {import('./selection.js').SelectionMode} [mode]
+   * @param {Rect} [bounds] Holds all of the shape's coverage, if the caller knows.
+   */
+  setSelection(shape, mode = 'replace', bounds) {
+    this.selection.combine(shape, mode, bounds);
+    this.isDirty = true;
+  }
+
+  selectAll() {
+    this.selection.selectAll();
+    this.isDirty = true;
+  }
+
+  deselect() {
+    this.selection.clear();
+    this.isDirty = true;
+  }
+
+  invertSelection() {
+    this.selection.invert();
+    this.isDirty = true;
+  }
+
+  /** @param {number} radius In document pixels. */
+  featherSelection(radius) {
+    this.selection.feather(radius);
+    this.isDirty = true;
+  }
+
+  #checkLayerEdit() {
+    if (!this.layers.active) throw new Error('Background texture not set');
+    if (this.isDragging) throw new Error('Cannot change layers during a drag');
+    this.applyLiquify();
+  }
+
+  #afterLayerEdit() {
+    this.isDirty = true;
+    this.#notifyLayersChanged();
+    this.#documentChanged();
+  }
+
+  #notifyLayersChanged() {
+    this.dispatchEvent(new Event('layerschange'));
+  }
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  #checkDocumentSize(width, height) {
+    if (!(width >= 1 && height >= 1)) {
+      throw new Error(`Invalid document size ${width}x${height}`);
+    }
+    if (width > MAX_DOCUMENT_SIZE || height > MAX_DOCUMENT_SIZE) {
+      throw new Error(`Document size ${width}x${height} exceeds the limit of ${MAX_DOCUMENT_SIZE}`);
+    }
   }
 }
\ No newline at end of file
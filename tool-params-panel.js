@@ -0,0 +1,121 @@
+import { ShaderTool } from './shader-tool.js';
+
+const STORAGE_KEY = 'last-draw.toolParams';
+
+/**
+ * Shows the active tool's params in the left rail.  Changes apply to the next stroke and are
+ * remembered per tool across visits.  Drag tools that commit through a shader tool show that
+ * tool's params.  Colors that follow the foreground or background are left to the color panel.
+ */
+export class ToolParamsPanel {
+  /**
+   * @param {HTMLElement} containerEl The element to build the panel in.
+   * @param {ShaderTool[]} tools Their saved values are restored now.
+   * @param {() => void} [onChange] Called after the user changes a value.
+   */
+  constructor(containerEl, tools, onChange = () => {}) {
+    if (!containerEl) {
+      throw new Error("Container element not provided for ToolParamsPanel.");
+    }
+    this.container = containerEl;
+    this.container.classList.add('tool-params');
+    this.onChange = onChange;
+    /** @type {Record<string, Record<string, number | string>>} */
+    this.saved = this.#load();
+    for (const tool of tools) {
+      for (const [name, value] of Object.entries(this.saved[tool.id] ?? {})) {
+        try {
+          tool.setParam(name, value);
+        } catch (error) {
+          // The tool no longer has this param, or the value is no longer valid.
+          console.warn(error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Replaces the controls with the given tool's.
+   * @param {ShaderTool | import('./tool-controller.js').DragTool} tool Tools without params
+   *   show nothing.
+   */
+  show(tool) {
+    this.container.replaceChildren();
+    const shaderTool = tool instanceof ShaderTool ? tool : tool.shaderTool;
+    if (!shaderTool) return;
+    for (const param of shaderTool.params) {
+      if (param.follows) continue;
+      const row = document.createElement('label');
+      row.classList.add('tool-param');
+      row.append(param.label);
+      if (param.type === 'choice') {
+        const select = document.createElement('select');
+        for (const { value, label } of param.options ?? []) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          select.appendChild(option);
+        }
+        select.value = String(shaderTool.paramValues[param.name]);
+        select.addEventListener('change', () => this.#set(shaderTool, param.name, select.value));
+        row.append(select);
+      } else if (param.type === 'color') {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = String(shaderTool.paramValues[param.name]);
+        input.addEventListener('input', () => this.#set(shaderTool, param.name, input.value));
+        row.append(input);
+      } else {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        const number = document.createElement('input');
+        number.type = 'number';
+        for (const input of [slider, number]) {
+          if (param.min !== undefined) input.min = String(param.min);
+          if (param.max !== undefined) input.max = String(param.max);
+          input.step = String(param.step ?? 'any');
+          input.value = String(shaderTool.paramValues[param.name]);
+        }
+        slider.addEventListener('input', () => {
+          this.#set(shaderTool, param.name, Number(slider.value));
+          number.value = slider.value;
+        });
+        number.addEventListener('change', () => {
+          if (number.value === '') return;
+          this.#set(shaderTool, param.name, Number(number.value));
+          // Show the value after clamping.
+          number.value = slider.value = String(shaderTool.paramValues[param.name]);
+        });
+        row.append(slider, number);
+      }
+      this.container.append(row);
+    }
+  }
+
+  /**
+   * @param {ShaderTool} tool
+   * @param {string} name
+   * @param {number | string} value
+   */
+  #set(tool, name, value) {
+    tool.setParam(name, value);
+    this.onChange();
+    this.saved[tool.id] = { ...tool.paramValues };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.saved));
+    } catch (error) {
+      console.warn('Could not save tool params:', error);
+    }
+  }
+
+  /** @returns {Record<string, Record<string, number | string>>} */
+  #load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      console.warn('Could not load tool params:', error);
+      return {};
+    }
+  }
+}
@@ -0,0 +1,141 @@
+import { TEXTURE_FORMATS } from './gl-utils.js';
+import { TILE_SIZE } from './tiled-image.js';
+
+/**
+ * The tiles of one layer that a commit changed, as they were before it.  A null tile was
+ * empty.
+ * @typedef {{
+ *   kind: 'pixels',
+ *   layerId: number,
+ *   tiles: Map<number, WebGLTexture | null>,
+ *   format: import('./gl-utils.js').TextureFormat,
+ *   strokes: import('./stroke-log.js').StrokeRecord[],
+ * }} PixelsEntry
+ */
+
+/**
+ * The whole layer stack, for changes to the document's structure or size.
+ * @typedef {{
+ *   kind: 'document',
+ *   layers: import('./layer-stack.js').Layer[],
+ *   activeIndex: number,
+ *   width: number,
+ *   height: number,
+ *   strokes: import('./stroke-log.js').StrokeRecord[],
+ * }} DocumentEntry
+ */
+
+/**
+ * A committed state of the document and the strokes that produced it.  The
+ * textures are owned by the history while the entry sits on one of its stacks.
+ * @typedef {PixelsEntry | DocumentEntry} HistoryEntry
+ */
+
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Undo/redo stacks of GPU texture snapshots.  Committing a stroke hands the
+ * tiles it replaced to the history instead of overwriting them, so taking a
+ * snapshot never costs a copy.  The oldest snapshots are deleted once the
+ * stacks grow past the memory budget.
+ */
+export class UndoHistory {
+  /** @type {HistoryEntry[]} */
+  undoEntries = [];
+  /** @type {HistoryEntry[]} */
+  redoEntries = [];
+
+  /**
+   * @param {WebGL2RenderingContext} gl
+   * @param {number} maxBytes Approximate GPU memory the snapshots may use.
+   */
+  constructor(gl, maxBytes = DEFAULT_MAX_BYTES) {
+    this.gl = gl;
+    this.maxBytes = maxBytes;
+  }
+
+  get canUndo() {
+    return this.undoEntries.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoEntries.length > 0;
+  }
+
+  /**
+   * Records the state that a commit is about to replace.  Any redo entries
+   * are discarded because they no longer follow from the current state.
+   * @param {HistoryEntry} entry
+   */
+  push(entry) {
+    this.undoEntries.push(entry);
+    this.#deleteEntries(this.redoEntries.splice(0));
+    this.#evict();
+  }
+
+  /**
+   * Pops the most recent undo entry and hands it to `restore`, which puts it
+   * back into the document and returns the state it replaced so it can be redone.
+   * @param {(entry: HistoryEntry) => HistoryEntry} restore
+   * @returns {boolean} True if there was anything to undo.
+   */
+  undo(restore) {
+    const entry = this.undoEntries.pop();
+    if (!entry) return false;
+    this.redoEntries.push(restore(entry));
+    return true;
+  }
+
+  /**
+   * Like `undo`, in the other direction.
+   * @param {(entry: HistoryEntry) => HistoryEntry} restore
+   * @returns {boolean} True if there was anything to redo.
+   */
+  redo(restore) {
+    const entry = this.redoEntries.pop();
+    if (!entry) return false;
+    this.undoEntries.push(restore(entry));
+    return true;
+  }
+
+  clear() {
+    this.#deleteEntries(this.undoEntries.splice(0));
+    this.#deleteEntries(this.redoEntries.splice(0));
+  }
+
+  /** @param {HistoryEntry} entry */
+  #bytes(entry) {
+    if (entry.kind === 'document') {
+      return entry.layers.reduce((total, layer) => total + layer.image.byteSize, 0);
+    }
+    // Edge tiles are smaller, but this is close enough for a budget.
+    let tileCount = 0;
+    entry.tiles.forEach((tile) => tileCount += tile ? 1 : 0);
+    return tileCount * TILE_SIZE * TILE_SIZE * TEXTURE_FORMATS[entry.format].bytesPerPixel;
+  }
+
+  #evict() {
+    let total = 0;
+    for (const entry of [...this.undoEntries, ...this.redoEntries]) {
+      total += this.#bytes(entry);
+    }
+    // Always keep the latest entry so at least one step can be undone.
+    while (total > this.maxBytes && this.undoEntries.length > 1) {
+      const oldest = this.undoEntries.shift();
+      if (!oldest) break;
+      total -= this.#bytes(oldest);
+      this.#deleteEntries([oldest]);
+    }
+  }
+
+  /** @param {HistoryEntry[]} entries */
+  #deleteEntries(entries) {
+    for (const entry of entries) {
+      if (entry.kind === 'document') {
+        entry.layers.forEach((layer) => layer.image.delete());
+      } else {
+        entry.tiles.forEach((tile) => this.gl.deleteTexture(tile));
+      }
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * @typedef {{x: number, y: number}} Point
+ */
+
+const MIN_ZOOM = 1 / 32;
+const MAX_ZOOM = 64;
+// Leave a little room around the document when fitting it to the window.
+const FIT_MARGIN = 0.95;
+
+/**
+ * Maps between document pixels and view (canvas) pixels.  Both spaces have
+ * their origin in the lower-left corner:  view = document * zoom + pan.
+ */
+export class ViewTransform {
+  zoom = 1;
+  /** @type {Point} */
+  pan = { x: 0, y: 0 };
+  /** While set, the view refits whenever the document or the window changes size. */
+  isFitted = true;
+
+  /**
+   * @param {Point} p A point in document pixels.
+   * @returns {Point} The point in view pixels.
+   */
+  toView(p) {
+    return { x: p.x * this.zoom + this.pan.x, y: p.y * this.zoom + this.pan.y };
+  }
+
+  /**
+   * @param {Point} p A point in view pixels.
+   * @returns {Point} The point in document pixels.
+   */
+  toDocument(p) {
+    return { x: (p.x - this.pan.x) / this.zoom, y: (p.y - this.pan.y) / this.zoom };
+  }
+
+  /**
+   * Scales the view by `factor`, keeping the document point under `center` fixed.
+   * @param {number} factor
+   * @param {Point} center The fixed point in view pixels.
+   */
+  zoomAt(factor, center) {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.zoom * factor));
+    const anchor = this.toDocument(center);
+    this.zoom = zoom;
+    this.pan = { x: center.x - anchor.x * zoom, y: center.y - anchor.y * zoom };
+    this.isFitted = false;
+  }
+
+  /**
+   * @param {number} dx Horizontal offset in view pixels.
+   * @param {number} dy Vertical offset in view pixels.
+   */
+  panBy(dx, dy) {
+    this.pan = { x: this.pan.x + dx, y: this.pan.y + dy };
+    this.isFitted = false;
+  }
+
+  /**
+   * Scales and centers the document so all of it is visible.
+   * @param {number} documentWidth
+   * @param {number} documentHeight
+   * @param {number} viewWidth
+   * @param {number} viewHeight
+   */
+  fit(documentWidth, documentHeight, viewWidth, viewHeight) {
+    this.zoom = FIT_MARGIN * Math.min(viewWidth / documentWidth, viewHeight / documentHeight);
+    this.#center(documentWidth, documentHeight, viewWidth, viewHeight);
+    this.isFitted = true;
+  }
+
+  /**
+   * Shows the document centered with one document pixel per view pixel.
+   * @param {number} documentWidth
+   * @param {number} documentHeight
+   * @param {number} viewWidth
+   * @param {number} viewHeight
+   */
+  actualSize(documentWidth, documentHeight, viewWidth, viewHeight) {
+    this.zoom = 1;
+    this.#center(documentWidth, documentHeight, viewWidth, viewHeight);
+    this.isFitted = false;
+  }
+
+  /**
+   * @param {number} documentWidth
+   * @param {number} documentHeight
+   * @param {number} viewWidth
+   * @param {number} viewHeight
+   */
+  #center(documentWidth, documentHeight, viewWidth, viewHeight) {
+    this.pan = {
+      x: (viewWidth - documentWidth * this.zoom) / 2,
+      y: (viewHeight - documentHeight * this.zoom) / 2,
+    };
+  }
+}